@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOrExit } = require('./lib/cli');
+const { readCsvFile, writeCsvFile } = require('./lib/csv');
+const { toNumber, toAmount, rowFromRecord, computeGains, summarizeGains, summarizeHoldings } = require('./lib/gains');
+const { MAX_PRECISION, normalize } = require('./lib/decimal');
+
+/**
+ * Format a token amount at the precision its asset was exported with
+ * @param {string} amount - Exact amount
+ * @param {string} asset - Asset symbol
+ * @param {Object} precisions - Decimals per asset, from computeGains
+ * @returns {string} - Formatted amount
+ */
+function formatAmount(amount, asset, precisions) {
+  const precision = precisions[asset] !== undefined ? precisions[asset] : MAX_PRECISION;
+  return normalize(amount, precision);
+}
+
+/**
+ * Format a fiat amount
+ * @param {number} value - Fiat value
+ * @returns {string} - Value with two decimals
+ */
+function formatFiat(value) {
+  return value.toFixed(2);
+}
+
+/**
+ * Read exported rows from the input files, keeping those inside the period
+ * @param {Array<string>} inputs - Exported CSV files
+ * @param {Object} options - Validated command-line options
+ * @returns {Array<Object>} - Engine rows
+ */
+function readInputRows(inputs, options) {
+  const start = options.startDate.toISOString().replace('T', ' ').substring(0, 19);
+  const end = options.endDate.toISOString().replace('T', ' ').substring(0, 19);
+  const rows = [];
+
+  for (const file of inputs) {
+    const records = readCsvFile(file);
+    if (records.length > 0 && !('Tidspunkt' in records[0])) {
+      throw new Error(`${file} is not a Kryptosekken export, export it again with --format kryptosekken`);
+    }
+    if (records.length > 0 && !('Verdi' in records[0])) {
+      throw new Error(`${file} has no Verdi column, export it again with --currency`);
+    }
+
+    let outside = 0;
+    for (const record of records) {
+      const row = rowFromRecord(record, path.basename(file));
+      if (row.timestamp >= start && row.timestamp < end) {
+        rows.push(row);
+      } else {
+        outside++;
+      }
+    }
+
+    console.log(`✓ Read ${records.length - outside} rows from ${file}`);
+    if (outside > 0) {
+      console.warn(`⚠ Skipped ${outside} rows outside ${options.label} in ${file}`);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Read opening lots written by a previous run
+ * @param {string} filename - Lots file
+ * @returns {Array<Object>} - Lots
+ */
+function readOpeningLots(filename) {
+  return readCsvFile(filename).map(record => ({
+    asset: record.asset,
+    acquired: record.acquired,
+    amount: toAmount(record.amount),
+    cost: toNumber(record.cost),
+    currency: record.currency
+  }));
+}
+
+// Report columns written with the configured decimal separator
+const NUMERIC_COLUMNS = ['amount', 'proceeds', 'cost', 'gain'];
+
+/**
+ * Write rows of fields to a CSV file
+ * @param {string} filename - Output filename
+ * @param {string} header - Header line
+ * @param {Array<Array>} rows - Rows of fields
+ * @param {Object} format - CSV format (delimiter, decimalSeparator, bom)
+ */
+function writeReport(filename, header, rows, format) {
+  writeCsvFile(filename, header.split(','), rows, { format, numericColumns: NUMERIC_COLUMNS });
+  console.log(`✓ Wrote ${rows.length} rows to ${filename}`);
+}
+
+/**
+ * Main function
+ * @param {Object} options - Validated command-line options
+ */
+async function main(options) {
+  const { inputs, method, lotsFile, label, outDir, csvFormat } = options;
+
+  console.log(`=== CAPITAL GAINS REPORT ===`);
+  console.log(`Method: ${method.toUpperCase()} | Period: ${label}`);
+
+  try {
+    console.log('\n1. READING ROWS:');
+    const rows = readInputRows(inputs, options);
+    const openingLots = lotsFile ? readOpeningLots(lotsFile) : [];
+    if (lotsFile) {
+      console.log(`✓ Read ${openingLots.length} opening lots from ${lotsFile}`);
+    }
+
+    console.log('\n2. COMPUTING GAINS:');
+    const result = computeGains(rows, { method, openingLots });
+    const { currency, precisions } = result;
+    for (const warning of result.warnings) {
+      console.warn(`⚠ ${warning}`);
+    }
+
+    console.log('\n3. WRITING REPORTS:');
+    fs.mkdirSync(outDir, { recursive: true });
+    const gainsFilename = path.join(outDir, `gains_${method}_${label}.csv`);
+    const holdingsFilename = path.join(outDir, `holdings_${method}_${label}.csv`);
+    const lotsFilename = path.join(outDir, `lots_${method}_${label}.csv`);
+
+    writeReport(gainsFilename, 'date,asset,amount,acquired,proceeds,cost,gain,currency,type,note',
+      result.disposals.map(disposal => [
+        disposal.timestamp,
+        disposal.asset,
+        formatAmount(disposal.amount, disposal.asset, precisions),
+        disposal.acquired,
+        formatFiat(disposal.proceeds),
+        formatFiat(disposal.cost),
+        formatFiat(disposal.gain),
+        currency,
+        disposal.kind,
+        disposal.note
+      ]), csvFormat);
+
+    const holdings = summarizeHoldings(result.lots);
+    writeReport(holdingsFilename, 'asset,amount,cost,currency',
+      Object.entries(holdings).map(([asset, holding]) => [
+        asset,
+        formatAmount(holding.amount, asset, precisions),
+        formatFiat(holding.cost),
+        currency
+      ]), csvFormat);
+
+    // Remaining lots, in the format --lots reads back next year
+    writeReport(lotsFilename, 'asset,acquired,amount,cost,currency',
+      result.lots.map(lot => [
+        lot.asset,
+        lot.acquired,
+        formatAmount(lot.amount, lot.asset, precisions),
+        formatFiat(lot.cost),
+        currency
+      ]), csvFormat);
+
+    console.log(`\n=== SUMMARY (${currency || 'no currency'}) ===`);
+    const totals = summarizeGains(result.disposals);
+    let totalGains = 0;
+    let totalLosses = 0;
+    for (const [asset, total] of Object.entries(totals)) {
+      console.log(`✓ ${asset}: gains ${formatFiat(total.gains)}, losses ${formatFiat(total.losses)}`);
+      totalGains += total.gains;
+      totalLosses += total.losses;
+    }
+    console.log(`✓ Total gains: ${formatFiat(totalGains)} | Total losses: ${formatFiat(totalLosses)}`);
+    console.log(`✓ Transfers out (no realization): ${result.transfers.length}`);
+    console.log(`✓ Lots transferred out and not deposited back: ${result.away.length}`);
+    console.log(`✓ Remaining lots carried into next period: ${result.lots.length}`);
+  } catch (error) {
+    console.error('\n❌ ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { main };
+
+// Run the script when invoked directly
+if (require.main === module) {
+  main(parseOrExit('gains', process.argv.slice(2)));
+}
@@ -1,293 +1,626 @@
 const fs = require('fs');
-const axios = require('axios');
-
-// Configuration
-const HIVE_ACCOUNT = 'your-hive-account';
-const YEAR = '2024';
-const TOKEN_SYMBOL = 'LEO';
-
-// Calculate start and end timestamps for the year
-const startDate = new Date(`${YEAR}-01-01T00:00:00Z`);
-const endDate = new Date(`${YEAR}-12-31T23:59:59Z`);
-const startTimestamp = Math.floor(startDate.getTime() / 1000);
-const endTimestamp = Math.floor(endDate.getTime() / 1000);
-
-// CSV filenames
-const tradesFilename = `${HIVE_ACCOUNT}_he-trades_${TOKEN_SYMBOL}_${YEAR}.csv`;
-const rewardsFilename = `${HIVE_ACCOUNT}_he-rewards_${TOKEN_SYMBOL}_${YEAR}.csv`;
-
-// Format date for CSV
-function formatDate(timestamp) {
-  const date = new Date(timestamp * 1000);
-  return date.toISOString().replace('T', ' ').substring(0, 19);
-}
-
-// Fetch all transactions with pagination
-async function getAllTransactions() {
-  try {
-    console.log(`Fetching all ${TOKEN_SYMBOL} transactions for ${HIVE_ACCOUNT}...`);
-    
-    const historyAPI = 'https://accounts.hive-engine.com/accountHistory';
-    
-    // Headers from the network request
-    const headers = {
-      'accept': 'application/json, text/plain, */*',
-      'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8,no;q=0.7',
-      'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
-      'sec-ch-ua-mobile': '?0',
-      'sec-ch-ua-platform': '"Linux"',
-      'sec-fetch-dest': 'empty',
-      'sec-fetch-mode': 'cors',
-      'sec-fetch-site': 'cross-site',
-      'sec-gpc': '1',
-      'Referer': 'https://he.dtools.dev/'
-    };
-    
-    // Use the exact page size the HE Explorer uses
-    const pageSize = 50;
-    
-    // Create an array to hold all transactions
-    const allTransactions = [];
-    let page = 1;
-    let hasMoreData = true;
-    
-    // Implement pagination using the same approach as HE Explorer
-    while (hasMoreData) {
-      const offset = (page - 1) * pageSize;
-      console.log(`Fetching page ${page} with offset: ${offset}, limit: ${pageSize}`);
-      
-      try {
-        const response = await axios.get(historyAPI, {
-          params: {
-            account: HIVE_ACCOUNT,
-            symbol: TOKEN_SYMBOL,
-            limit: pageSize,
-            offset: offset
-          },
-          headers: headers
-        });
-        
-        const transactions = response.data;
-        console.log(`Received ${transactions.length} transactions in page ${page}`);
-        
-        // Add this batch to our results
-        allTransactions.push(...transactions);
-        
-        // If we received fewer results than requested, we've reached the end
-        if (transactions.length < pageSize) {
-          hasMoreData = false;
-          console.log("Reached end of data");
-        } else {
-          // Otherwise, increase the page and continue
-          page++;
-        }
-        
-        // Add a small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 300));
-      } catch (error) {
-        console.error(`Error fetching page ${page}:`, error.message);
-        if (error.response) {
-          console.error('API response:', error.response.status, error.response.statusText);
-        }
-        
-        // If we encounter too many errors, stop
-        if (page > 1000) {  // arbitrary large number
-          hasMoreData = false;
-          console.error("Too many errors or pages, stopping pagination");
-        } else {
-          page++; // Try next page on error
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-    }
-    
-    console.log(`Total transactions found across all pages: ${allTransactions.length}`);
-    
-    // Filter for the year we're interested in
-    const filteredTransactions = allTransactions.filter(tx => 
-      tx.timestamp >= startTimestamp && tx.timestamp <= endTimestamp
-    );
-    
-    console.log(`Transactions for ${YEAR}: ${filteredTransactions.length}`);
-    
-    return filteredTransactions;
-  } catch (error) {
-    console.error('Error in getAllTransactions:', error.message);
-    return [];
-  }
-}
+const path = require('path');
+const { Client } = require('@hiveio/dhive');
+const { ALL_SYMBOLS, fetchHeHistory, fetchHeBalances, fetchHeOpenOrders, fetchHeTokenPrecisions } = require('./lib/he-history');
+const { parseOrExit, DEFAULT_HIVE_NODES } = require('./lib/cli');
+const { writeProfileCsv } = require('./lib/profiles');
+const { matchOrders, fillCounterparty, fillFee } = require('./lib/he-market');
+const { lpSymbol, isLpSymbol, parseSwap, parseLiquidity, isPoolReward } = require('./lib/he-pools');
+const { currentTokenBalances, heldTokenBalances } = require('./lib/he-balances');
+const { INTERNAL_TYPE } = require('./lib/consolidate');
+const { hePegLeg } = require('./lib/peg');
+const { exchangeOf } = require('./lib/exchanges');
+const { applyDustPolicy } = require('./lib/dust');
+const { applyRules, writeRuleReport } = require('./lib/rules');
+const { balanceChanges, readBalances, reconcileBalances, writeReconciliation } = require('./lib/reconcile');
+const { holdingTimestamps, holdingsFromCurrent, valueHoldings, writeHoldings } = require('./lib/holdings');
+const { createPriceOracle, valueRows, reportMissingPrices } = require('./lib/pricing');
+const { CHAINS, BALANCES, formatTimestamp, createTransaction, transactionLegs } = require('./lib/transaction');
+const { MAX_PRECISION, decimalsOf, normalize, sum, add, subtract, scale, isPositive } = require('./lib/decimal');
 
 // Process transactions to the required format for both files
-function processTransactions(transactions) {
+function processTransactions(transactions, ctx) {
   const trades = [];
   const rewards = [];
+  // Stakes, unstakes, delegations and peg movements within our own wallets; they are not taxable
+  const internal = [];
+  // Rows per token symbol, for the summary
+  const counts = {};
+  // Market fills and cancels belong to the order that was placed for them
+  const { orderOf } = matchOrders(transactions);
+  const seenPoolOperations = new Set();
+  const seenPegs = new Set();
 
   transactions.forEach(tx => {
-    const timestamp = formatDate(tx.timestamp);
+    const tradeCount = trades.length;
+    const rewardCount = rewards.length;
+    const internalCount = internal.length;
     const transactionId = tx.transactionId || '';
     const symbol = tx.symbol || '';
-    const quantity = tx.quantity || '';
+    // Pool operations are summarized under their token pair
+    const token = (String(tx.operation).startsWith('marketpools_') && tx.tokenPair) || symbol;
+    // Amounts are written at the native precision of their token
+    const amountOf = (value, sym) => normalize(value, tokenPrecision(ctx, sym));
+    const quantity = tx.quantity ? amountOf(tx.quantity, symbol) : '';
     const from = tx.from || '';
     const to = tx.to || '';
+    // Ledger entry for a change of one of our balances of this token
+    const entry = (balance, amount) => ({ asset: symbol, balance, amount });
+    const taken = quantity && subtract(0, quantity, decimalsOf(quantity));
     
     // Replace SWAP.HIVE with HIVE
     const normalizeSymbol = (sym) => sym === 'SWAP.HIVE' ? 'HIVE' : sym;
     
+    // Peg deposits and withdrawals move funds between our L1 and Hive-Engine wallets.
+    // The L1 export links both legs and records the gateway fee, so here they are internal.
+    const peg = hePegLeg(tx, ctx.account, ctx.gateways);
+    const pushPegMove = () => {
+      if (seenPegs.has(transactionId)) return;
+      seenPegs.add(transactionId);
+      const deposit = peg.direction === 'deposit';
+      const route = deposit ? 'peg deposit from' : 'peg withdrawal to';
+      // The tokens come from or go to the L1 wallet, so the Hive-Engine balance does change
+      internal.push(internalRow(tx, quantity, normalizeSymbol(symbol), `${transactionId} ${route} ${peg.gateway || 'L1'}`,
+        [entry(BALANCES.LIQUID, deposit ? quantity : taken)]));
+    };
+    
     // Process based on operation type
     switch(tx.operation) {
       case 'market_buy':
-        // For market_buy: Tokens received (in), HIVE spent (out)
-        trades.push({
-          timestamp,
+      case 'market_sell': {
+        // A buy receives tokens (in) for HIVE (out), a sell the other way around
+        const isBuy = tx.operation === 'market_buy';
+        const order = orderOf.get(tx);
+        const counterparty = fillCounterparty(tx, ctx.account);
+        const fee = fillFee(tx);
+        trades.push(heRow(tx, {
           type: 'Handel',
-          inAmount: tx.quantityTokens || '',
-          inSymbol: normalizeSymbol(symbol),
-          outAmount: tx.quantityHive || '',
-          outSymbol: 'HIVE',
-          fee: '',
-          feeSymbol: '',
-          market: 'Hive-Engine',
-          note: transactionId
-        });
+          inAmount: isBuy ? amountOf(tx.quantityTokens, symbol) : amountOf(tx.quantityHive, 'SWAP.HIVE'),
+          inAsset: isBuy ? normalizeSymbol(symbol) : 'HIVE',
+          outAmount: isBuy ? amountOf(tx.quantityHive, 'SWAP.HIVE') : amountOf(tx.quantityTokens, symbol),
+          outAsset: isBuy ? 'HIVE' : normalizeSymbol(symbol),
+          feeAmount: fee.amount && amountOf(fee.amount, fee.symbol),
+          feeAsset: normalizeSymbol(fee.symbol),
+          note: [transactionId, order && order.id !== transactionId && `order ${order.id}`, counterparty && `with ${counterparty}`]
+            .filter(Boolean).join(' '),
+          token,
+          counterparty,
+          order
+        }));
         break;
+      }
         
-      case 'market_sell':
-        // For market_sell: HIVE received (in), Tokens spent (out)
-        trades.push({
-          timestamp,
-          type: 'Handel',
-          inAmount: tx.quantityHive || '',
-          inSymbol: 'HIVE',
-          outAmount: tx.quantityTokens || '',
-          outSymbol: normalizeSymbol(symbol),
-          fee: '',
-          feeSymbol: '',
-          market: 'Hive-Engine',
-          note: transactionId
-        });
+      case 'hivepegged_buy':
+      case 'hivepegged_withdraw':
+        if (peg) pushPegMove();
         break;
         
-      case 'tokens_transfer':
-        if (to === HIVE_ACCOUNT) {
+      case 'tokens_transfer': {
+        const exchange = exchangeOf(to === ctx.account ? from : to, ctx.exchanges);
+        if (peg) {
+          pushPegMove();
+        } else if (exchange) {
+          // Tokens moved to or from our wallet at an exchange
+          const incoming = to === ctx.account;
+          rewards.push(heRow(tx, {
+            type: incoming ? 'Overføring-Inn' : 'Overføring-Ut',
+            ...(incoming
+              ? { inAmount: quantity, inAsset: normalizeSymbol(symbol) }
+              : { outAmount: quantity, outAsset: normalizeSymbol(symbol) }),
+            market: exchange,
+            note: `${exchange} ${incoming ? `withdrawal from ${from}` : `deposit to ${to}`}`,
+            memo: tx.memo,
+            counterparty: incoming ? from : to
+          }));
+        } else if (to === ctx.account) {
           // Incoming transfer - add to rewards as income
-          rewards.push({
-            timestamp,
+          rewards.push(heRow(tx, {
             type: 'Inntekt',
             inAmount: quantity,
-            inSymbol: normalizeSymbol(symbol),
-            outAmount: '',
-            outSymbol: '',
-            fee: '',
-            feeSymbol: '',
-            market: 'Hive-Engine',
-            note: `${from} tokens_transfer`
-          });
-        } else if (from === HIVE_ACCOUNT) {
+            inAsset: normalizeSymbol(symbol),
+            note: `${from} tokens_transfer`,
+            memo: tx.memo,
+            counterparty: from
+          }));
+        } else if (from === ctx.account) {
           // Outgoing transfer - add to rewards as outgoing transfer
-          rewards.push({
-            timestamp,
-            type: 'Overføring-ut',
-            inAmount: '',
-            inSymbol: '',
+          rewards.push(heRow(tx, {
+            type: 'Overføring-Ut',
             outAmount: quantity,
-            outSymbol: normalizeSymbol(symbol),
-            fee: '',
-            feeSymbol: '',
-            market: 'Hive-Engine',
-            note: `transfer to ${to}`
-          });
+            outAsset: normalizeSymbol(symbol),
+            note: `transfer to ${to}`,
+            memo: tx.memo,
+            counterparty: to
+          }));
         }
         break;
+      }
         
       case 'tokens_issue':
         // Add to rewards if we're the recipient
-        if (to === HIVE_ACCOUNT) {
-          rewards.push({
-            timestamp,
+        if (peg) {
+          pushPegMove();
+        } else if (to === ctx.account) {
+          rewards.push(heRow(tx, {
             type: 'Inntekt',
             inAmount: quantity,
-            inSymbol: normalizeSymbol(symbol),
-            outAmount: '',
-            outSymbol: '',
-            fee: '',
-            feeSymbol: '',
-            market: 'Hive-Engine',
+            inAsset: normalizeSymbol(symbol),
             note: `${from} tokens_issue`
-          });
+          }));
         }
         break;
         
       case 'tokens_stake':
-        // Add to rewards only if from ≠ to and we're the recipient
-        if (from !== to && to === HIVE_ACCOUNT) {
-          rewards.push({
-            timestamp,
+        if (from === to) {
+          // Staking our own tokens only moves them from the liquid to the staked balance
+          internal.push(internalRow(tx, quantity, normalizeSymbol(symbol), `${transactionId} stake`,
+            [entry(BALANCES.LIQUID, taken), entry(BALANCES.STAKED, quantity)]));
+        } else if (to === ctx.account) {
+          // Tokens staked to us by others: income, or a movement of tokens that were already ours
+          const income = ctx.stakePolicy !== 'movement';
+          rewards.push(heRow(tx, {
+            type: income ? 'Inntekt' : 'Overføring-Inn',
+            inAmount: quantity,
+            inAsset: normalizeSymbol(symbol),
+            note: `${from} tokens_stake`,
+            ledger: [entry(BALANCES.STAKED, quantity)]
+          }));
+        } else if (from === ctx.account) {
+          // Staking to another account gives the tokens away
+          rewards.push(heRow(tx, {
+            type: 'Overføring-Ut',
+            outAmount: quantity,
+            outAsset: normalizeSymbol(symbol),
+            note: `stake to ${to}`
+          }));
+        }
+        break;
+        
+      // Unstaking and delegating move tokens between our own balances. Only the
+      // parts that change a balance get a row: starting or cancelling an unstake
+      // and starting an undelegation only mark tokens as pending.
+      case 'tokens_unstakeDone':
+        internal.push(internalRow(tx, quantity, normalizeSymbol(symbol), `${transactionId} unstake`,
+          [entry(BALANCES.STAKED, taken), entry(BALANCES.LIQUID, quantity)]));
+        break;
+        
+      case 'tokens_delegate':
+        if (from === ctx.account) {
+          internal.push(internalRow(tx, quantity, normalizeSymbol(symbol), `${transactionId} delegate to ${to}`,
+            [entry(BALANCES.STAKED, taken), entry(BALANCES.DELEGATED, quantity)]));
+        }
+        break;
+        
+      case 'tokens_undelegateDone':
+        internal.push(internalRow(tx, quantity, normalizeSymbol(symbol), `${transactionId} undelegation returned`,
+          [entry(BALANCES.DELEGATED, taken), entry(BALANCES.STAKED, quantity)]));
+        break;
+        
+      case 'tokens_transferFromContract':
+        // Rewards paid to liquidity providers
+        if (isPoolReward(tx, ctx.account)) {
+          rewards.push(heRow(tx, {
             type: 'Inntekt',
             inAmount: quantity,
-            inSymbol: normalizeSymbol(symbol),
-            outAmount: '',
-            outSymbol: '',
-            fee: '',
-            feeSymbol: '',
-            market: 'Hive-Engine',
-            note: `${from} tokens_stake`
-          });
+            inAsset: normalizeSymbol(symbol),
+            note: `Liquidity pool reward from ${from}`
+          }));
+        }
+        break;
+        
+      case 'marketpools_swapTokens': {
+        // A swap may be listed once for each token of the pool
+        if (seenPoolOperations.has(`${transactionId}:${tx.operation}`)) break;
+        seenPoolOperations.add(`${transactionId}:${tx.operation}`);
+        
+        const swap = parseSwap(tx);
+        if (!swap) {
+          console.warn(`⚠ Incomplete swap ${transactionId}, left out`);
+          break;
+        }
+        trades.push(heRow(tx, {
+          type: 'Handel',
+          inAmount: amountOf(swap.inAmount, swap.inSymbol),
+          inAsset: normalizeSymbol(swap.inSymbol),
+          outAmount: amountOf(swap.outAmount, swap.outSymbol),
+          outAsset: normalizeSymbol(swap.outSymbol),
+          market: 'Hive-Engine pool',
+          note: `${transactionId} swap in ${swap.tokenPair}`,
+          token
+        }));
+        break;
+      }
+        
+      case 'marketpools_addLiquidity':
+      case 'marketpools_removeLiquidity': {
+        if (seenPoolOperations.has(`${transactionId}:${tx.operation}`)) break;
+        seenPoolOperations.add(`${transactionId}:${tx.operation}`);
+        
+        const liquidity = parseLiquidity(tx);
+        if (!liquidity) {
+          console.warn(`⚠ Incomplete ${tx.operation} ${transactionId}, left out`);
+          break;
+        }
+        
+        // Each token is traded for (or back from) its share of the pool shares;
+        // both sides of a deposit have the same value, so the shares split evenly
+        const adding = tx.operation === 'marketpools_addLiquidity';
+        const shares = scale(liquidity.shares, 1, liquidity.legs.length, MAX_PRECISION);
+        const lp = lpSymbol(liquidity.tokenPair);
+        const estimated = liquidity.sharesEstimated ? ', shares estimated' : '';
+        for (const leg of liquidity.legs) {
+          trades.push(heRow(tx, {
+            type: 'Handel',
+            inAmount: adding ? shares : amountOf(leg.amount, leg.symbol),
+            inAsset: adding ? lp : normalizeSymbol(leg.symbol),
+            outAmount: adding ? amountOf(leg.amount, leg.symbol) : shares,
+            outAsset: adding ? normalizeSymbol(leg.symbol) : lp,
+            market: 'Hive-Engine pool',
+            note: `${transactionId} ${adding ? 'add liquidity to' : 'remove liquidity from'} ${liquidity.tokenPair}${estimated}`,
+            token
+          }));
         }
         break;
+      }
     }
+
+    if (!counts[token]) counts[token] = { transactions: 0, trades: 0, rewards: 0, internal: 0 };
+    counts[token].transactions++;
+    counts[token].trades += trades.length - tradeCount;
+    counts[token].rewards += rewards.length - rewardCount;
+    counts[token].internal += internal.length - internalCount;
+  });
+
+  if (ctx.tradeGrouping === 'order') {
+    const grouped = groupTradesByOrder(trades, ctx);
+    for (const trade of trades) counts[trade.token].trades--;
+    for (const trade of grouped) counts[trade.token].trades++;
+    return { trades: grouped, rewards, internal, counts };
+  }
+
+  return { trades, rewards, internal, counts };
+}
+
+// Build the normalized transaction for a history item. The token a row is
+// summarized under and the market order a fill belongs to are kept alongside.
+function heRow(tx, fields) {
+  const { token, order, ...transaction } = fields;
+  return {
+    ...createTransaction({
+      chain: CHAINS.HIVE_ENGINE,
+      timestamp: formatTimestamp(tx.timestamp),
+      market: 'Hive-Engine',
+      opType: tx.operation,
+      txid: tx.transactionId,
+      block: tx.blockNumber,
+      ...transaction
+    }),
+    token,
+    order
+  };
+}
+
+// Build a row for a move between our own balances of a token, with the balances it moves between
+function internalRow(tx, quantity, symbol, note, ledger) {
+  return heRow(tx, {
+    type: INTERNAL_TYPE,
+    inAmount: quantity,
+    inAsset: symbol,
+    outAmount: quantity,
+    outAsset: symbol,
+    note,
+    ledger
   });
+}
+
+// Decimals of a token from its metadata; pool shares and tokens without metadata get the most a token can have
+function tokenPrecision(ctx, symbol) {
+  const precision = ctx.precisions && ctx.precisions.get(symbol);
+  return precision !== undefined ? precision : MAX_PRECISION;
+}
+
+// Build one trade row from all fills of an order
+function orderTradeRow(order, fills, ctx) {
+  // The fills of an order are in the same tokens, written at the same precision
+  const total = (field) => sum(fills.map(fill => fill[field]), Math.max(...fills.map(fill => decimalsOf(fill[field]))));
+  const counterparties = [...new Set(fills.map(fill => fill.counterparty).filter(Boolean))];
+  const fee = total('feeAmount');
+  const refunded = normalize(order.refunded, tokenPrecision(ctx, order.side === 'buy' ? 'SWAP.HIVE' : order.symbol));
+  const cancelled = isPositive(refunded) ? `, cancelled with ${refunded} returned` : '';
+
+  return {
+    // Trades come newest first, so the first fill is the last one of the order
+    ...fills[0],
+    inAmount: total('inAmount'),
+    outAmount: total('outAmount'),
+    feeAmount: isPositive(fee) ? fee : '',
+    feeAsset: fills.map(fill => fill.feeAsset).find(Boolean) || '',
+    note: `order ${order.id}: ${fills.length} fill${fills.length === 1 ? '' : 's'}`
+      + (counterparties.length > 0 ? ` with ${counterparties.join(' ')}` : '')
+      + cancelled,
+    counterparty: counterparties.length === 1 ? counterparties[0] : ''
+  };
+}
+
+// Merge the fills of each order into one trade at the time of its last fill.
+// Fills that could not be matched to an order stay as they are.
+function groupTradesByOrder(trades, ctx) {
+  const entries = [];
+  const fillsByOrder = new Map();
+
+  for (const trade of trades) {
+    if (!trade.order) {
+      entries.push(trade);
+    } else if (!fillsByOrder.has(trade.order)) {
+      fillsByOrder.set(trade.order, [trade]);
+      entries.push(trade.order);
+    } else {
+      fillsByOrder.get(trade.order).push(trade);
+    }
+  }
+
+  return entries.map(entry => fillsByOrder.has(entry) ? orderTradeRow(entry, fillsByOrder.get(entry), ctx) : entry);
+}
+
+// Map a processed row to its in/out/fee legs for valuation. Pool shares have
+// no market price of their own, so those rows are valued by the token side.
+function rowLegs(row) {
+  const legs = transactionLegs(row);
+  for (const leg of [legs.in, legs.out]) {
+    if (isLpSymbol(leg.asset)) leg.asset = '';
+  }
+  return legs;
+}
+
+// Apply the dust policy to the trades and rewards; separated dust of both goes to one file
+function applyDust(processed, policy) {
+  processed.dust = [];
+  processed.aggregated = 0;
+  for (const kind of ['trades', 'rewards']) {
+    const { rows, dust, aggregated } = applyDustPolicy(processed[kind], policy);
+    processed[kind] = rows;
+    processed.dust.push(...dust);
+    processed.aggregated += aggregated;
+  }
+  if (processed.aggregated > 0) {
+    console.log(`✓ Added up ${processed.aggregated} dust rows by ${policy.aggregation}`);
+  }
+}
 
-  return { trades, rewards };
+// Apply the --rules file to every row. Rows a rule makes internal move to the
+// internal file, and internal rows it gives another type to the rewards file.
+function applyRowRules(processed, ctx) {
+  const { trades, rewards, internal } = processed;
+  const hits = applyRules([...trades, ...rewards, ...internal], ctx.rules);
+  const isInternal = row => row.type === INTERNAL_TYPE;
+  processed.trades = trades.filter(row => !isInternal(row));
+  // History is newest first; moved rows take their place by time
+  processed.rewards = [...rewards, ...internal].filter(row => !isInternal(row))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  processed.internal = [...trades, ...rewards, ...internal].filter(isInternal)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  
+  const filename = path.join(ctx.outDir, `${ctx.account}_he-rules_${ctx.symbol || ALL_SYMBOLS}_${ctx.label}.csv`);
+  writeRuleReport(filename, hits, ctx.rules, ctx.csvFormat);
 }
 
 // Write transactions to CSV files
-function writeCSVFiles(transactions) {
-  const { trades, rewards } = processTransactions(transactions);
+function writeCSVFiles(transactions, processed, ctx) {
+  const { account, label, outDir } = ctx;
+  const symbol = ctx.symbol || ALL_SYMBOLS;
+  const { trades, rewards, internal, dust } = processed;
+  const withValue = Boolean(ctx.pricing);
   
-  // CSV header for both files
-  const csvHeader = 'Tidspunkt,Type,Inn,Inn-Valuta,Ut,Ut-Valuta,Gebyr,Gebyr-Valuta,Marked,Notat\n';
+  // CSV filenames
+  fs.mkdirSync(outDir, { recursive: true });
+  const tradesFilename = path.join(outDir, `${account}_he-trades_${symbol}_${label}.csv`);
+  const rewardsFilename = path.join(outDir, `${account}_he-rewards_${symbol}_${label}.csv`);
+  const internalFilename = path.join(outDir, `${account}_he-internal_${symbol}_${label}.csv`);
+  const dustFilename = path.join(outDir, `${account}_he-dust_${symbol}_${label}.csv`);
+  const rawFilename = path.join(outDir, `${account}_${symbol}_${label}_raw.json`);
   
-  // Write trades file
-  let tradesContent = csvHeader;
-  trades.forEach(trade => {
-    tradesContent += `${trade.timestamp},${trade.type},${trade.inAmount},${trade.inSymbol},${trade.outAmount},${trade.outSymbol},${trade.fee},${trade.feeSymbol},${trade.market},${trade.note}\n`;
-  });
+  // The fiat value columns appear when rows are valued
+  const output = { profile: ctx.profile, format: ctx.csvFormat };
   
-  fs.writeFileSync(tradesFilename, tradesContent);
-  console.log(`Trades CSV file written to ${tradesFilename} with ${trades.length} rows`);
+  // Write trades file
+  const tradeCount = writeProfileCsv(tradesFilename, trades, { ...output, withValue });
+  console.log(`Trades CSV file written to ${tradesFilename} with ${tradeCount} rows`);
   
   // Write rewards file
-  let rewardsContent = csvHeader;
-  rewards.forEach(reward => {
-    rewardsContent += `${reward.timestamp},${reward.type},${reward.inAmount},${reward.inSymbol},${reward.outAmount},${reward.outSymbol},${reward.fee},${reward.feeSymbol},${reward.market},${reward.note}\n`;
-  });
+  const rewardCount = writeProfileCsv(rewardsFilename, rewards, { ...output, withValue });
+  console.log(`Rewards CSV file written to ${rewardsFilename} with ${rewardCount} rows`);
   
-  fs.writeFileSync(rewardsFilename, rewardsContent);
-  console.log(`Rewards CSV file written to ${rewardsFilename} with ${rewards.length} rows`);
+  // Write internal moves file; these rows are never valued
+  const internalCount = writeProfileCsv(internalFilename, internal, { ...output, withValue: false });
+  console.log(`Internal moves CSV file written to ${internalFilename} with ${internalCount} rows`);
+  
+  // Write dust file when the dust thresholds kept rows apart
+  if (dust.length > 0) {
+    const dustCount = writeProfileCsv(dustFilename, dust, { ...output, withValue });
+    console.log(`Dust CSV file written to ${dustFilename} with ${dustCount} rows`);
+  }
   
   // Also save the raw data as JSON for inspection
-  fs.writeFileSync(`${HIVE_ACCOUNT}_${TOKEN_SYMBOL}_${YEAR}_raw.json`, JSON.stringify(transactions, null, 2));
-  console.log(`Raw data written to ${HIVE_ACCOUNT}_${TOKEN_SYMBOL}_${YEAR}_raw.json`);
+  fs.writeFileSync(rawFilename, JSON.stringify(transactions, null, 2));
+  console.log(`Raw data written to ${rawFilename}`);
+}
+
+// Current token balances of the account, or null when they cannot be fetched
+async function getCurrentBalances(account) {
+  try {
+    return await fetchHeBalances(account);
+  } catch (error) {
+    console.warn(`⚠ Could not fetch token balances: ${error.message}`);
+    return null;
+  }
+}
+
+// Precision of every token in the history items or balance records, from the token metadata.
+// Without it amounts are still exact, only written with the most decimals a token can have.
+async function getTokenPrecisions(records) {
+  const symbols = new Set(['SWAP.HIVE']);
+  for (const tx of records) {
+    for (const sym of [tx.symbol, tx.feeSymbol, tx.symbolIn, tx.symbolOut, tx.tokenIn, tx.tokenOut, tx.baseSymbol, tx.quoteSymbol, ...String(tx.tokenPair || '').split(':')]) {
+      if (sym) symbols.add(sym);
+    }
+  }
+  try {
+    return await fetchHeTokenPrecisions([...symbols]);
+  } catch (error) {
+    console.warn(`⚠ Could not fetch token precisions, amounts are written with ${MAX_PRECISION} decimals: ${error.message}`);
+    return new Map();
+  }
+}
+
+// Symbols the account currently holds, to mention tokens without activity in the summary
+function getHeldSymbols(balances) {
+  return (balances || [])
+    .filter(balance => ['balance', 'stake', 'pendingUnstake', 'delegationsOut']
+      .some(field => isPositive(balance[field])))
+    .map(balance => balance.symbol);
+}
+
+// Balance changes of the rows, keyed as in the reconciliation. Rows write SWAP.HIVE
+// as HIVE; pool shares are not tokens and have no balance to check.
+function tokenChanges(rows) {
+  const tokenOf = (asset) => asset === 'HIVE' ? 'SWAP.HIVE' : asset;
+  return balanceChanges(rows, entry => isLpSymbol(entry.asset) ? null : { asset: tokenOf(entry.asset), balance: entry.balance });
+}
+
+// Check that the opening balances plus the exported rows give the actual balances
+// at the end of the period: those of --closing-balances or, when the period runs
+// up to today, the current ones. Writes the report and returns the lines that differ.
+function reconcileTokens(processed, balances, ctx) {
+  const { account, label, outDir } = ctx;
+  const opening = ctx.openingBalances ? readBalances(ctx.openingBalances, account) : null;
+  let actual = null;
+  if (ctx.closingBalances) {
+    actual = readBalances(ctx.closingBalances, account);
+  } else if (balances && ctx.endDate.getTime() >= Date.now()) {
+    actual = currentTokenBalances(balances);
+  }
+  
+  const rows = [...processed.trades, ...processed.rewards, ...processed.internal, ...processed.dust];
+  const lines = reconcileBalances(account, tokenChanges(rows), { opening, actual }, sym => tokenPrecision(ctx, sym))
+    // A single-token history only holds the other side of that token's market trades
+    .filter(line => !ctx.symbol || line.asset === ctx.symbol);
+  
+  const filename = path.join(outDir, `${account}_he-reconciliation_${ctx.symbol || ALL_SYMBOLS}_${label}.csv`);
+  return writeReconciliation(filename, lines, ctx.csvFormat);
+}
+
+// Write what the account held at the start and end of the period: the current
+// balances less the rows of the history after the period give the closing
+// holdings, and those less the period's rows the opening ones. The rows are
+// the same the reconciliation adds up, so both agree on every balance.
+async function writeTokenHoldings(processed, balances, ctx, oracle) {
+  const { account, label, outDir } = ctx;
+  const now = Math.floor(Date.now() / 1000);
+  const later = ctx.endTimestamp < now
+    ? await fetchHeHistory({ ...ctx, startTimestamp: ctx.endTimestamp, endTimestamp: now + 1, label: 'the time after the period' })
+    : [];
+  const after = processTransactions(later, ctx);
+  const changes = {
+    later: tokenChanges([...after.trades, ...after.rewards, ...after.internal]),
+    period: tokenChanges([...processed.trades, ...processed.rewards, ...processed.internal, ...processed.dust])
+  };
+  
+  const held = heldTokenBalances(balances, await fetchHeOpenOrders(account));
+  const lines = holdingsFromCurrent(account, held, changes, sym => tokenPrecision(ctx, sym))
+    .filter(line => !ctx.symbol || line.asset === ctx.symbol);
+  if (oracle) {
+    await valueHoldings(lines, oracle, holdingTimestamps(ctx.startDate, ctx.endDate),
+      line => line.asset === 'SWAP.HIVE' ? 'HIVE' : line.asset);
+  }
+  
+  const filename = path.join(outDir, `${account}_he-holdings_${ctx.symbol || ALL_SYMBOLS}_${label}.csv`);
+  writeHoldings(filename, lines, ctx.csvFormat);
+}
+
+// Print the rows written per token symbol
+function printSymbolSummary(counts, heldSymbols) {
+  const symbols = [...new Set([...Object.keys(counts), ...heldSymbols])].sort();
+  console.log(`\n=== SUMMARY (${symbols.length} token${symbols.length === 1 ? '' : 's'}) ===`);
+  for (const sym of symbols) {
+    const count = counts[sym];
+    if (count) {
+      console.log(`✓ ${sym}: ${count.transactions} transactions, ${count.trades} trade rows, ${count.rewards} reward rows, ${count.internal} internal rows`);
+    } else {
+      console.log(`${sym}: held, but no transactions in the period`);
+    }
+  }
 }
 
 // Main function
-async function main() {
+async function main(options) {
+  const { account, label } = options;
+  const symbol = options.symbol || ALL_SYMBOLS;
+  const ctx = {
+    ...options,
+    startTimestamp: Math.floor(options.startDate.getTime() / 1000),
+    endTimestamp: Math.floor(options.endDate.getTime() / 1000)
+  };
+
   try {
-    console.log(`Looking for ${TOKEN_SYMBOL} transactions for ${HIVE_ACCOUNT} in ${YEAR}`);
+    console.log(`Looking for ${options.symbol ? symbol : 'all token'} transactions for ${account} in ${label}`);
+    
+    // Get all transactions; a page that cannot be fetched fails the run
+    const transactions = await fetchHeHistory(ctx);
+    
+    // Without a symbol, every token the account transacted in or still holds is covered
+    const balances = await getCurrentBalances(account);
+    const heldSymbols = options.symbol ? [] : getHeldSymbols(balances);
     
-    // Get all transactions
-    const transactions = await getAllTransactions();
+    const oracle = ctx.pricing ? createPriceOracle(ctx.pricing, ctx, new Client(DEFAULT_HIVE_NODES)) : null;
+    ctx.precisions = await getTokenPrecisions([...transactions, ...(balances || [])]);
+    
+    // Dust is split off once the rows are valued
+    const processed = { dust: [], ...processTransactions(transactions, ctx) };
     
     // Write to CSV files
     if (transactions.length > 0) {
-      writeCSVFiles(transactions);
+      if (ctx.rules) {
+        applyRowRules(processed, ctx);
+      }
+      
+      // Value every row in fiat when a currency is configured
+      if (oracle) {
+        console.log(`Valuing transactions in ${ctx.pricing.currency}...`);
+        await valueRows(processed.trades, oracle, rowLegs);
+        await valueRows(processed.rewards, oracle, rowLegs);
+      }
+      
+      // Split off or add up dust once valued, so summary rows carry the sum of the values
+      applyDust(processed, ctx.dust);
+      
+      writeCSVFiles(transactions, processed, ctx);
+      reconcileTokens(processed, balances, ctx);
+      printSymbolSummary(processed.counts, heldSymbols);
     } else {
-      console.log(`No ${TOKEN_SYMBOL} transactions found for ${HIVE_ACCOUNT} in ${YEAR}`);
+      console.log(`No ${options.symbol ? symbol : 'token'} transactions found for ${account} in ${label}`);
+      if (heldSymbols.length > 0) {
+        printSymbolSummary({}, heldSymbols);
+      }
+    }
+    
+    // Tokens held without activity in the period still belong in the holdings
+    if (balances) {
+      await writeTokenHoldings(processed, balances, ctx, oracle);
+    } else {
+      console.warn('⚠ Holdings not written: the current token balances could not be fetched');
+    }
+    if (oracle) {
+      reportMissingPrices(oracle, path.join(ctx.outDir, `${account}_he_${symbol}_${label}_missing_prices.csv`));
     }
   } catch (error) {
-    console.error('An error occurred:', error);
+    console.error('\n❌ ERROR:', error.message);
+    process.exit(1);
   }
 }
 
-// Run
-main();
\ No newline at end of file
+module.exports = { main, processTransactions };
+
+// Run when invoked directly
+if (require.main === module) {
+  main(parseOrExit('he', process.argv.slice(2)));
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+const { COMMANDS, helpText, parseOrExit } = require('./lib/cli');
+
+// Subcommand name -> module implementing it
+const COMMAND_MODULES = {
+  l1: './hive_tax_exporter',
+  he: './he_tax_exporter',
+  'he-raw': './he_fetch_raw_transactions',
+  gains: './gains_report'
+};
+
+/**
+ * Main function
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || command === '--help' || command === 'help') {
+    console.log(helpText());
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`❌ ERROR: Unknown command "${command}"\n`);
+    console.error(helpText());
+    process.exit(1);
+  }
+
+  const options = parseOrExit(command, args);
+  const commandModule = require(COMMAND_MODULES[command]);
+  await commandModule.main(options);
+}
+
+main().catch(error => {
+  console.error('\n❌ ERROR:', error.message);
+  process.exit(1);
+});
@@ -1,23 +1,22 @@
-const { Client } = require('@hiveio/dhive');
+const { Client, utils } = require('@hiveio/dhive');
 const fs = require('fs');
-
-// Configuration variables
-const HIVE_ACCOUNT = 'your-hive-account';
-const YEAR = '2024';
-
-// Initialize Hive client with multiple nodes for redundancy
-const client = new Client([
-  'https://api.hive.blog',
-  'https://api.openhive.network',
-  'https://api.deathwing.me'
-]);
-
-// Configure date range for the specified year
-const startDate = new Date(`${YEAR}-01-01T00:00:00Z`);
-const endDate = new Date(`${parseInt(YEAR) + 1}-01-01T00:00:00Z`);
-
-// CSV header
-const CSV_HEADER = 'Tidspunkt,Type,Inn,Inn-Valuta,Ut,Ut-Valuta,Gebyr,Gebyr-Valuta,Marked,Notat';
+const path = require('path');
+const { parseOrExit, DEFAULT_HE_HISTORY_NODES } = require('./lib/cli');
+const { INTERNAL_TYPE, consolidateRows } = require('./lib/consolidate');
+const { createPriceOracle, valueRows, reportMissingPrices } = require('./lib/pricing');
+const { openCache } = require('./lib/cache');
+const { DEFAULT_CSV_FORMAT } = require('./lib/csv');
+const { writeProfileCsv } = require('./lib/profiles');
+const { CHAINS, BALANCES, formatTimestamp, createTransaction, transactionLegs } = require('./lib/transaction');
+const { fetchHeHistory } = require('./lib/he-history');
+const { PEG_WINDOW, pegSymbol, l1PegLeg, hePegLeg, linkPegLegs } = require('./lib/peg');
+const { MAX_PRECISION, fromUnits, normalize, add, subtract, scale, compare, isPositive, l1Precision } = require('./lib/decimal');
+const { applyDustPolicy } = require('./lib/dust');
+const { balanceKey, balanceChanges, readBalances, reconcileBalances, writeReconciliation } = require('./lib/reconcile');
+const { applyRules, writeRuleReport } = require('./lib/rules');
+const { exchangeOf } = require('./lib/exchanges');
+const { MemoReader } = require('./lib/memo');
+const { holdingTimestamps, holdingsFromCurrent, valueHoldings, writeHoldings } = require('./lib/holdings');
 
 // Operation types we're interested in
 const TARGET_OPERATIONS = [
@@ -26,19 +25,125 @@ const TARGET_OPERATIONS = [
   'transfer',
   'fill_recurrent_transfer',
   'fill_convert_request',
-  'claim_reward_balance'
+  'claim_reward_balance',
+  'author_reward',
+  'curation_reward',
+  'comment_benefactor_reward',
+  'producer_reward',
+  'fill_vesting_withdraw',
+  'transfer_to_vesting',
+  'transfer_to_vesting_completed',
+  'transfer_to_savings',
+  'fill_transfer_from_savings',
+  'collateralized_convert',
+  'fill_collateralized_convert_request',
+  'proposal_pay',
+  'escrow_transfer',
+  'escrow_approved',
+  'escrow_rejected',
+  'escrow_release',
+  'account_create',
+  'account_create_with_delegation',
+  'claim_account',
+  'proposal_fee',
+  'limit_order_create',
+  'limit_order_create2',
+  'limit_order_cancelled',
+  'convert',
+  'collateralized_convert_immediate_conversion',
+  'transfer_from_savings',
+  'cancel_transfer_from_savings'
 ];
 
-// Global props cache by day (to reduce API calls)
-const globalPropsCache = {};
+const TARGET_OPERATION_SET = new Set(TARGET_OPERATIONS);
+
+// Operation ids of the target operations, for the account history operation filter
+const OPERATION_IDS = {
+  transfer: 2,
+  transfer_to_vesting: 3,
+  limit_order_create: 5,
+  convert: 8,
+  account_create: 9,
+  limit_order_create2: 21,
+  claim_account: 22,
+  escrow_transfer: 27,
+  escrow_release: 29,
+  transfer_to_savings: 32,
+  transfer_from_savings: 33,
+  cancel_transfer_from_savings: 34,
+  claim_reward_balance: 39,
+  account_create_with_delegation: 41,
+  collateralized_convert: 48,
+  fill_convert_request: 50,
+  author_reward: 51,
+  curation_reward: 52,
+  interest: 55,
+  fill_vesting_withdraw: 56,
+  fill_order: 57,
+  fill_transfer_from_savings: 59,
+  comment_benefactor_reward: 63,
+  producer_reward: 64,
+  proposal_pay: 66,
+  transfer_to_vesting_completed: 77,
+  fill_collateralized_convert_request: 81,
+  fill_recurrent_transfer: 83,
+  limit_order_cancelled: 85,
+  proposal_fee: 87,
+  collateralized_convert_immediate_conversion: 88,
+  escrow_approved: 89,
+  escrow_rejected: 90
+};
+
+// operation_filter_low/high parameters selecting only the target operations
+const OPERATION_FILTER = utils.makeBitMaskFilter(TARGET_OPERATIONS.map(opType => OPERATION_IDS[opType]));
+
+// Ops that only lock or return funds without a taxable event, and why. They
+// are still fetched to track the holdings locked in orders, conversions and
+// savings withdrawals.
+const NON_TAXABLE_OPERATIONS = {
+  limit_order_create: 'amount locked in the order, fills are reported by fill_order',
+  limit_order_create2: 'amount locked in the order, fills are reported by fill_order',
+  limit_order_cancelled: 'unfilled order amount returned, fills are reported by fill_order',
+  convert: 'HBD locked until the conversion is reported by fill_convert_request',
+  collateralized_convert_immediate_conversion: 'HBD paid out at once, the conversion is reported by fill_collateralized_convert_request',
+  transfer_from_savings: 'amount locked until the withdrawal is reported by fill_transfer_from_savings',
+  cancel_transfer_from_savings: 'savings withdrawal returned to savings'
+};
+
+// Memo reader without keys, for contexts that bring none: encrypted memos become a marker
+const PLAIN_MEMOS = new MemoReader();
+
+// HIVE-per-VEST ratio cache by day (to reduce API calls)
+const vestingRatioCache = {};
+
+// enum_virtual_ops filter bits for the virtual ops that carry both a VESTS
+// and a HIVE amount, from which the vesting ratio at that block follows
+const VOPS_FILTER_FILL_VESTING_WITHDRAW = 0x00000040;
+const VOPS_FILTER_TRANSFER_TO_VESTING_COMPLETED = 0x08000000;
+
+// How far back from a claim (in blocks) to look for such an op, widening on
+// each miss: 5 minutes, 1 hour, 1 day, 1 week
+const VESTING_RATIO_WINDOWS = [100, 1200, 28800, 201600];
+
+// Smallest HIVE amount of an op the ratio is taken from: both amounts are
+// rounded to their precision, which skews the ratio of small conversions
+const VESTING_RATIO_MIN_HIVE = '1.000';
+
+// Asset identifiers used by the appbase APIs
+const NAI_SYMBOLS = {
+  '@@000000021': 'HIVE',
+  '@@000000013': 'HBD',
+  '@@000000037': 'VESTS'
+};
 
 /**
  * Exponential backoff retry for API calls
+ * @param {Client} client - Hive client used for the call
  * @param {Function} apiCall - Function that returns a promise
  * @param {number} maxRetries - Maximum number of retries
  * @returns {Promise} - Result of the API call
  */
-async function withRetry(apiCall, maxRetries = 3) {
+async function withRetry(client, apiCall, maxRetries = 3) {
   let lastError;
   for (let retry = 0; retry <= maxRetries; retry++) {
     try {
@@ -52,9 +157,9 @@ async function withRetry(apiCall, maxRetries = 3) {
         await new Promise(resolve => setTimeout(resolve, delay));
         
         // Try a different node if available
-        if (client.clients.length > 1) {
-          const currentIndex = client.clients.indexOf(client.currentNode);
-          client.currentNode = client.clients[(currentIndex + 1) % client.clients.length];
+        if (Array.isArray(client.address) && client.address.length > 1) {
+          const currentIndex = client.address.indexOf(client.currentAddress);
+          client.currentAddress = client.address[(currentIndex + 1) % client.address.length];
         }
       }
     }
@@ -63,74 +168,126 @@ async function withRetry(apiCall, maxRetries = 3) {
 }
 
 /**
- * Get global properties for a specific date
+ * Parse an asset in appbase NAI format
+ * @param {Object} asset - Object like { amount: "1000", precision: 3, nai: "@@000000021" }
+ * @returns {Object} - Object with amount and currency
+ */
+function parseNaiAmount(asset) {
+  return {
+    amount: fromUnits(BigInt(asset.amount), asset.precision),
+    currency: NAI_SYMBOLS[asset.nai] || asset.nai
+  };
+}
+
+/**
+ * Derive the HIVE-per-VEST ratio from a virtual op that converted between the two
+ * @param {Object} op - Virtual op in appbase format ({ type, value })
+ * @returns {Object|null} - HIVE per VEST as { hive, vests }, or null if the op carries no usable pair
+ */
+function vestingRatioFromOp(op) {
+  let hive;
+  let vests;
+
+  if (op.type === 'fill_vesting_withdraw_operation') {
+    hive = parseNaiAmount(op.value.deposited);
+    vests = parseNaiAmount(op.value.withdrawn);
+  } else if (op.type === 'transfer_to_vesting_completed_operation') {
+    hive = parseNaiAmount(op.value.hive_vested);
+    vests = parseNaiAmount(op.value.vesting_shares_received);
+  } else {
+    return null;
+  }
+
+  // Power-downs routed straight back into vesting deposit VESTS, not HIVE
+  if (hive.currency !== 'HIVE' || vests.currency !== 'VESTS' || !isPositive(hive.amount) || !isPositive(vests.amount)) {
+    return null;
+  }
+  return { hive: hive.amount, vests: vests.amount };
+}
+
+/**
+ * Find the HIVE-per-VEST ratio in effect at a block from the largest
+ * power-down or power-up virtual op on the whole chain shortly before it
+ * @param {Client} client - Hive client
+ * @param {number} blockNum - Block number of the operation being converted
+ * @returns {Promise<Object|null>} - HIVE per VEST as { hive, vests }, or null if nothing was found
+ */
+async function findVestingRatioAtBlock(client, blockNum) {
+  for (const window of VESTING_RATIO_WINDOWS) {
+    const result = await withRetry(client, () => client.call('account_history_api', 'enum_virtual_ops', {
+      block_range_begin: Math.max(1, blockNum - window),
+      block_range_end: blockNum + 1,
+      filter: VOPS_FILTER_FILL_VESTING_WITHDRAW | VOPS_FILTER_TRANSFER_TO_VESTING_COMPLETED
+    }));
+
+    // The largest conversion in the window has the smallest rounding error
+    let best = null;
+    for (const item of result.ops || []) {
+      const ratio = vestingRatioFromOp(item.op);
+      if (ratio && (!best || compare(ratio.vests, best.vests) > 0)) {
+        best = ratio;
+      }
+    }
+    if (best && compare(best.hive, VESTING_RATIO_MIN_HIVE) >= 0) {
+      return best;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the HIVE-per-VEST ratio for a specific date, as it was at the given block
+ * @param {Client} client - Hive client
  * @param {string} dateString - ISO date string
- * @returns {Promise<Object>} - Global properties
+ * @param {number} blockNum - Block number of the first operation on that date
+ * @returns {Promise<Object>} - HIVE per VEST as { hive, vests }
  */
-async function getGlobalPropertiesForDate(dateString) {
-  // Use just the date part as the cache key (no need for time precision)
+async function getVestingRatioForDate(client, dateString, blockNum) {
+  // Use just the date part as the cache key (the ratio drifts only slowly within a day)
   const dateKey = dateString.split('T')[0];
   
-  if (globalPropsCache[dateKey]) {
-    return globalPropsCache[dateKey];
+  if (vestingRatioCache[dateKey]) {
+    return vestingRatioCache[dateKey];
   }
   
   try {
-    const props = await withRetry(() => client.database.getDynamicGlobalProperties());
-    globalPropsCache[dateKey] = props;
-    return props;
+    // Today's ratio would misvalue every HP amount of the day, so a miss ends the export
+    const ratio = await findVestingRatioAtBlock(client, blockNum);
+    if (!ratio) {
+      const window = VESTING_RATIO_WINDOWS[VESTING_RATIO_WINDOWS.length - 1];
+      throw new Error(`No power-up or power-down of at least ${VESTING_RATIO_MIN_HIVE} HIVE found in the ${window} blocks before block ${blockNum} to take the vesting ratio from`);
+    }
+    vestingRatioCache[dateKey] = ratio;
+    return ratio;
   } catch (error) {
-    console.error(`Error getting global properties for ${dateKey}:`, error.message);
+    console.error(`Error getting vesting ratio for ${dateKey}:`, error.message);
     throw error;
   }
 }
 
 /**
  * Convert VESTS to Hive Power (HP)
- * @param {number} vests - Amount of VESTS to convert
- * @param {Object} props - Global properties
- * @returns {number} - Equivalent HP amount
+ * @param {string} vests - Amount of VESTS to convert
+ * @param {Object} hivePerVest - HIVE-per-VEST ratio at the time of the operation, as { hive, vests }
+ * @returns {string} - Equivalent HP amount, rounded to HIVE precision
  */
-function vestsToHp(vests, props) {
-  const totalVests = parseFloat(props.total_vesting_shares.split(' ')[0]);
-  const totalHive = parseFloat(props.total_vesting_fund_hive.split(' ')[0]);
-  const hivePerVest = totalHive / totalVests;
-  return vests * hivePerVest;
-}
-
-/**
- * Format date string for CSV
- * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date string
- */
-function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toISOString().replace('T', ' ').substring(0, 19);
+function vestsToHp(vests, hivePerVest) {
+  return scale(vests, hivePerVest.hive, hivePerVest.vests, l1Precision('HIVE'));
 }
 
 /**
  * Parse amount and currency from string
  * @param {string} amountString - String like "1.000 HIVE"
- * @returns {Object} - Object with amount and currency
+ * @returns {Object} - Object with the amount (a decimal string at the currency's precision) and currency
  */
 function parseAmount(amountString) {
   const parts = amountString.split(' ');
   return {
-    amount: parseFloat(parts[0]),
+    amount: normalize(parts[0], l1Precision(parts[1])),
     currency: parts[1]
   };
 }
 
-/**
- * Check if an amount is considered dust
- * @param {number} amount - Amount to check
- * @param {string} currency - Currency of the amount
- * @returns {boolean} - True if the amount is dust
- */
-function isDust(amount, currency) {
-  return currency === 'HIVE' && amount <= 0.01;
-}
-
 /**
  * Sanitize and truncate note text for CSV compatibility
  * @param {string} note - The original note text
@@ -155,216 +312,248 @@ function sanitizeNote(note, maxLength = 200) {
 }
 
 /**
- * Format transaction object to CSV line with proper escaping
- * @param {Object} tx - Transaction object
- * @returns {string} - CSV line
+ * Fetch one batch of account history, with the operation filter when enabled
+ * @param {Object} ctx - Export context
+ * @param {number} start - History index to read backwards from (-1 for the newest)
+ * @param {number} limit - Number of operations to fetch
+ * @returns {Promise<Array>} - History items as [index, transaction]
  */
-function formatCsvLine(tx) {
-  // Function to properly escape CSV fields
-  const escapeField = (field) => {
-    if (field === null || field === undefined || field === '') {
-      return '';
-    }
-    
-    // Convert to string if it's not already
-    const str = String(field);
-    
-    // If it contains quotes, commas, or newlines, wrap in quotes and escape internal quotes
-    if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
-      return `"${str.replace(/"/g, '""')}"`;
+async function fetchHistoryBatch(ctx, start, limit) {
+  const { client, account } = ctx;
+  const params = [account, start, limit];
+  
+  if (ctx.useOperationFilter) {
+    try {
+      return await withRetry(client, () => {
+        return client.call('condenser_api', 'get_account_history', [...params, ...OPERATION_FILTER]);
+      });
+    } catch (error) {
+      // Nodes without filter support reject the extra parameters; scan everything instead
+      console.log(`Operation filter not accepted (${error.message}), falling back to a full scan`);
+      ctx.useOperationFilter = false;
     }
-    
-    return str;
-  };
+  }
   
-  return [
-    escapeField(tx.timestamp),
-    escapeField(tx.type),
-    escapeField(tx.inn),
-    escapeField(tx.innCurrency),
-    escapeField(tx.ut),
-    escapeField(tx.utCurrency),
-    escapeField(tx.fee),
-    escapeField(tx.feeCurrency),
-    escapeField(tx.market),
-    escapeField(tx.note)
-  ].join(',');
+  return withRetry(client, () => {
+    return client.call('condenser_api', 'get_account_history', params);
+  });
 }
 
 /**
- * Fetch account history operations of a specific type within date range
- * @param {string} account - Account name
- * @param {string} opType - Operation type
+ * Parse a history timestamp, which the API returns without a timezone
+ * @param {string} timestamp - Timestamp in UTC
+ * @returns {Date} - Date
+ */
+function parseHistoryTimestamp(timestamp) {
+  return new Date(timestamp + (timestamp.endsWith('Z') ? '' : 'Z'));
+}
+
+/**
+ * Scan account history backwards in batches, handing the operations of the
+ * target types to a callback until it asks to stop or the first operation
+ * of the account is reached
+ * @param {Object} ctx - Export context
+ * @param {number} start - History index to read backwards from (-1 for the newest)
+ * @param {Function} onBatch - Called with (items, { lowestIndex, highestIndex, oldestDate }); returns true to stop
  * @param {number} [batchSize=1000] - Number of operations to fetch per batch
- * @returns {Promise<Array>} - Transactions of the specified type within date range
+ * @returns {Promise<boolean>} - True if the scan reached the first operation of the account
  */
-async function fetchOperationHistory(account, opType, batchSize = 1000) {
-  let transactions = [];
-  let start = -1;
-  let done = false;
+async function scanHistory(ctx, start, onBatch, batchSize = 1000) {
+  let newestIndex = null;
   let batchCount = 0;
-  let totalFound = 0;
   let lastProgress = 0;
+  let reachedBeginning = false;
   
-  console.log(`Fetching ${opType} operations...`);
-  
-  while (!done) {
+  while (true) {
     batchCount++;
     
-    try {
-      const history = await withRetry(() => {
-        return client.call('condenser_api', 'get_account_history', [account, start, batchSize]);
-      });
-      
-      if (!history || history.length === 0) {
-        done = true;
-        continue;
-      }
-      
-      let matchCount = 0;
-      let foundOlderThanStart = false;
-      
-      // Filter operations by type and date range
-      for (const item of history) {
-        const tx = item[1];
-        const txDate = new Date(tx.timestamp);
-        const index = item[0];
-        
-        // Update start position for next batch
-        if (index < start || start === -1) {
-          start = index - 1;
-        }
-        
-        // Check if we've gone back too far
-        if (txDate < startDate) {
-          foundOlderThanStart = true;
-        }
-        
-        // Only include matching operations within our date range
-        if (txDate >= startDate && txDate < endDate && tx.op[0] === opType) {
-          transactions.push(tx);
-          matchCount++;
-        }
-      }
-      
-      // Only log if we found new operations or every 10 batches
-      totalFound += matchCount;
-      if (matchCount > 0 || batchCount % 10 === 0) {
-        // Calculate progress as a percentage (approximate)
-        let progress = 0;
-        if (foundOlderThanStart) {
-          progress = 100;
-        } else if (start <= 0) {
-          progress = 100;
-        } else {
-          // Rough estimate based on first batch
-          const firstBatchIndex = Math.max(...history.map(item => item[0]));
-          if (firstBatchIndex > 0) {
-            progress = Math.min(100, Math.round((1 - start / firstBatchIndex) * 100));
-          }
-        }
-        
-        // Only log if progress changed significantly or we found new operations
-        if (matchCount > 0 || progress >= lastProgress + 10 || progress === 100) {
-          console.log(`${opType}: ${totalFound} found (${progress}% complete)`);
-          lastProgress = progress;
-        }
-      }
-      
-      // If we've found operations older than our start date, we're done
-      if (foundOlderThanStart || start <= 0) {
-        done = true;
+    // The node requires start >= limit - 1, so shrink the last batch near the beginning
+    const limit = start === -1 ? batchSize : Math.min(batchSize, start + 1);
+    const history = await fetchHistoryBatch(ctx, start, limit);
+    
+    if (!history || history.length === 0) {
+      reachedBeginning = true;
+      break;
+    }
+    
+    let lowestIndex = start === -1 ? Infinity : start + 1;
+    let highestIndex = -1;
+    let oldestDate = null;
+    for (const [index, tx] of history) {
+      const txDate = parseHistoryTimestamp(tx.timestamp);
+      lowestIndex = Math.min(lowestIndex, index);
+      highestIndex = Math.max(highestIndex, index);
+      if (!oldestDate || txDate < oldestDate) oldestDate = txDate;
+    }
+    
+    if (newestIndex === null) {
+      newestIndex = highestIndex;
+    }
+    start = lowestIndex - 1;
+    reachedBeginning = start < 0;
+    
+    const items = history.filter(([, tx]) => TARGET_OPERATION_SET.has(tx.op[0]));
+    const stop = onBatch(items, { lowestIndex, highestIndex, oldestDate });
+    
+    // Log progress every 10 batches and when done
+    const progress = stop || reachedBeginning || newestIndex <= 0
+      ? 100
+      : Math.min(100, Math.round((1 - start / newestIndex) * 100));
+    if ((batchCount % 10 === 0 || progress === 100) && progress > lastProgress) {
+      console.log(`${progress}% of the remaining history scanned`);
+      lastProgress = progress;
+    }
+    
+    if (stop || reachedBeginning) {
+      break;
+    }
+  }
+  
+  console.log(`✓ Scanned ${batchCount} batches${ctx.useOperationFilter ? ' using the operation filter' : ''}`);
+  return reachedBeginning;
+}
+
+/**
+ * Bring the history cache up to date: fetch operations newer than the cache,
+ * then continue the backward scan where the cache ends until it covers the
+ * start date. Progress is saved after every batch so an interrupted scan
+ * resumes from the last saved position.
+ * @param {Object} ctx - Export context
+ * @param {HistoryCache} cache - History cache of the account
+ * @returns {Promise<Array>} - All cached history items as [index, transaction]
+ */
+async function syncHistoryCache(ctx, cache) {
+  const { startDate } = ctx;
+  
+  if (cache.meta.newestIndex !== undefined) {
+    const cachedNewest = cache.meta.newestIndex;
+    const fresh = [];
+    console.log(`Fetching operations newer than cached index ${cachedNewest}...`);
+    await scanHistory(ctx, -1, (items, { lowestIndex }) => {
+      fresh.push(...items.filter(([index]) => index > cachedNewest));
+      return lowestIndex <= cachedNewest;
+    });
+    // Saved in one go: the range above the cache is only contiguous once the scan met it
+    const newestIndex = Math.max(cachedNewest, ...fresh.map(([index]) => index));
+    cache.append(fresh, { newestIndex });
+    console.log(`✓ ${fresh.length} new operations cached`);
+  }
+  
+  const { complete, oldestIndex, oldestTimestamp } = cache.meta;
+  if (!complete && (!oldestTimestamp || new Date(oldestTimestamp) >= startDate)) {
+    const resumeFrom = oldestIndex !== undefined ? oldestIndex - 1 : -1;
+    if (resumeFrom !== -1) {
+      console.log(`Resuming the history scan below cached index ${oldestIndex}...`);
+    }
+    const reachedBeginning = await scanHistory(ctx, resumeFrom, (items, { lowestIndex, highestIndex, oldestDate }) => {
+      const meta = { oldestIndex: lowestIndex, oldestTimestamp: oldestDate.toISOString() };
+      if (cache.meta.newestIndex === undefined) {
+        meta.newestIndex = highestIndex;
       }
-    } catch (error) {
-      console.error(`Error fetching ${opType} operations:`, error.message);
-      throw error;
+      cache.append(items, meta);
+      return oldestDate < startDate;
+    });
+    if (reachedBeginning) {
+      cache.append([], { complete: true });
     }
+  } else {
+    console.log('✓ Cached history covers the whole period');
   }
   
-  if (totalFound > 0) {
-    console.log(`✓ Found ${totalFound} ${opType} operations`);
+  return cache.values();
+}
+
+/**
+ * Fetch all relevant operations from the start date on, from the history
+ * cache when enabled or else in one backward scan of the account history.
+ * Operations after the period are kept to roll today's balances back to it.
+ * @param {Object} ctx - Export context (client, account, startDate, endDate, cache)
+ * @returns {Promise<Array>} - Transactions of the target types since the start date
+ */
+async function fetchAccountHistory(ctx) {
+  const { startDate, endDate } = ctx;
+  const found = {};
+  const transactions = [];
+  
+  ctx.useOperationFilter = true;
+  console.log(`Scanning account history for ${TARGET_OPERATIONS.length} operation types...`);
+  
+  let history;
+  if (ctx.cache) {
+    history = await syncHistoryCache(ctx, ctx.cache);
   } else {
-    console.log(`✓ No ${opType} operations found`);
+    history = [];
+    await scanHistory(ctx, -1, (items, { oldestDate }) => {
+      history.push(...items);
+      // Stop once the batch reached operations older than our start date
+      return oldestDate < startDate;
+    });
+  }
+  
+  // Count operations within our date range by type
+  for (const [, tx] of history) {
+    const txDate = parseHistoryTimestamp(tx.timestamp);
+    const opType = tx.op[0];
+    if (txDate >= startDate && TARGET_OPERATION_SET.has(opType)) {
+      transactions.push(tx);
+      if (txDate < endDate) found[opType] = (found[opType] || 0) + 1;
+    }
+  }
+  
+  for (const opType of TARGET_OPERATIONS) {
+    if (found[opType]) {
+      console.log(`✓ Found ${found[opType]} ${opType} operations`);
+    }
   }
   
   return transactions;
 }
 
 /**
- * Fetch all relevant transaction types in parallel
- * @returns {Promise<Array>} - All transactions
+ * Fetch all relevant transactions
+ * @param {Object} ctx - Export context
+ * @returns {Promise<Object>} - { transactions, later }: the transactions within the period and those after it, oldest first
  */
-async function fetchAllTransactions() {
-  // Fetch all operation types in parallel
-  const operationPromises = TARGET_OPERATIONS.map(opType => fetchOperationHistory(HIVE_ACCOUNT, opType));
-  const operationResults = await Promise.all(operationPromises);
-  
-  // Combine all results
-  let allTransactions = [];
-  TARGET_OPERATIONS.forEach((opType, index) => {
-    allTransactions = allTransactions.concat(operationResults[index]);
-  });
+async function fetchAllTransactions(ctx) {
+  const allTransactions = await fetchAccountHistory(ctx);
   
   // Sort by timestamp
   allTransactions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   
-  const total = allTransactions.length;
-  console.log(`✓ Total transactions found: ${total}`);
+  const transactions = allTransactions.filter(tx => parseHistoryTimestamp(tx.timestamp) < ctx.endDate);
+  const later = allTransactions.slice(transactions.length);
+  console.log(`✓ Total transactions found: ${transactions.length}`);
   
-  return allTransactions;
+  return { transactions, later };
 }
 
 /**
  * Process fill_order transactions in batch
  * @param {Array} txs - Array of fill_order transactions
  * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
  */
-function processFillOrderBatch(txs, processed) {
+function processFillOrderBatch(txs, processed, ctx) {
   for (const tx of txs) {
     const operation = tx.op[1];
-    const timestamp = formatDate(tx.timestamp);
     
     const currentPays = parseAmount(operation.current_pays);
     const openPays = parseAmount(operation.open_pays);
     
     // Determine if the account is buying or selling
-    const isCurrentOwner = operation.current_owner === HIVE_ACCOUNT;
+    const isCurrentOwner = operation.current_owner === ctx.account;
     
-    let inn, innCurrency, ut, utCurrency;
+    // The current owner sells current_pays and receives open_pays, the open owner the reverse
+    const [received, paid] = isCurrentOwner ? [openPays, currentPays] : [currentPays, openPays];
     
-    if (isCurrentOwner) {
-      // Account is selling current_pays and receiving open_pays
-      inn = openPays.amount;
-      innCurrency = openPays.currency;
-      ut = currentPays.amount;
-      utCurrency = currentPays.currency;
-    } else {
-      // Account is selling open_pays and receiving current_pays
-      inn = currentPays.amount;
-      innCurrency = currentPays.currency;
-      ut = openPays.amount;
-      utCurrency = openPays.currency;
-    }
-    
-    const result = {
-      timestamp,
+    pushRow(processed, buildRow(tx, {
       type: 'Handel',
-      inn,
-      innCurrency,
-      ut,
-      utCurrency,
-      fee: '',
-      feeCurrency: '',
-      market: sanitizeNote('Hive Internal Market'),
-      note: ''
-    };
-    
-    if ((innCurrency === 'HIVE' && isDust(inn, 'HIVE')) || 
-        (utCurrency === 'HIVE' && isDust(ut, 'HIVE'))) {
-      processed.dust.push(result);
-    } else {
-      processed.regular.push(result);
-    }
+      inAmount: received.amount,
+      inAsset: received.currency,
+      outAmount: paid.amount,
+      outAsset: paid.currency,
+      market: 'Hive Internal Market'
+    }));
   }
 }
 
@@ -375,85 +564,121 @@ function processFillOrderBatch(txs, processed) {
  */
 function processInterestBatch(txs, processed) {
   for (const tx of txs) {
-    const operation = tx.op[1];
-    const timestamp = formatDate(tx.timestamp);
+    const interest = parseAmount(tx.op[1].interest);
+    // Interest on savings stays in savings; older ops paid it into the liquid balance
+    const balance = tx.op[1].is_saved_into_hbd_balance === false ? BALANCES.SAVINGS : BALANCES.LIQUID;
     
-    const interest = parseAmount(operation.interest);
-    
-    const result = {
-      timestamp,
+    pushRow(processed, buildRow(tx, {
       type: 'Inntekt',
-      inn: interest.amount,
-      innCurrency: interest.currency,
-      ut: '',
-      utCurrency: '',
-      fee: '',
-      feeCurrency: '',
-      market: sanitizeNote('Hive Blockchain'),
-      note: sanitizeNote('HBD Savings Interest')
-    };
-    
-    processed.regular.push(result);
+      inAmount: interest.amount,
+      inAsset: interest.currency,
+      note: 'HBD Savings Interest',
+      ledger: [{ asset: interest.currency, balance, amount: interest.amount }]
+    }));
   }
 }
 
+/**
+ * Readable memo of an operation: encrypted memos are decrypted with the
+ * memo keys given, or replaced with a marker
+ * @param {Object} operation - Operation with a memo
+ * @param {Object} ctx - Export context
+ * @returns {string} - Memo text
+ */
+function transferMemo(operation, ctx) {
+  return (ctx.memos || PLAIN_MEMOS).read(operation.memo);
+}
+
+/**
+ * Build the note of a transfer: sender, receiver and memo
+ * @param {Object} operation - transfer or fill_recurrent_transfer operation
+ * @param {string} memo - Readable memo, from transferMemo
+ * @returns {string} - Note
+ */
+function transferNote(operation, memo) {
+  return `${operation.from} to ${operation.to}${memo ? `: ${memo}` : ''}`;
+}
+
+/**
+ * Build the row of a transfer with an exchange: a deposit to or a withdrawal
+ * from our wallet at the exchange, named in the market column
+ * @param {Object} tx - Transfer or fill_recurrent_transfer transaction
+ * @param {Object} operation - The transfer operation
+ * @param {string} exchange - Exchange name
+ * @param {Object} ctx - Export context
+ * @returns {Object} - Row
+ */
+function exchangeRow(tx, operation, exchange, ctx) {
+  const amount = parseAmount(operation.amount);
+  const memo = transferMemo(operation, ctx);
+  const incoming = operation.to === ctx.account;
+  return buildRow(tx, {
+    type: incoming ? 'Overføring-Inn' : 'Overføring-Ut',
+    ...(incoming
+      ? { inAmount: amount.amount, inAsset: amount.currency }
+      : { outAmount: amount.amount, outAsset: amount.currency }),
+    market: exchange,
+    note: `${exchange} ${incoming ? 'withdrawal' : 'deposit'}, ${transferNote(operation, memo)}`,
+    memo,
+    counterparty: incoming ? operation.from : operation.to
+  });
+}
+
 /**
  * Process transfer transactions in batch
  * @param {Array} txs - Array of transfer transactions
  * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
  */
-function processTransferBatch(txs, processed) {
+function processTransferBatch(txs, processed, ctx) {
   for (const tx of txs) {
     const operation = tx.op[1];
-    const timestamp = formatDate(tx.timestamp);
-    
     const amount = parseAmount(operation.amount);
-    const isIncoming = operation.to === HIVE_ACCOUNT;
-    
-    // Create a clean note and truncate it to 200 characters
-    let memo = operation.memo || '';
-    // Replace any newlines or commas with spaces to prevent CSV issues
-    memo = memo.replace(/[\n\r,]/g, ' ').trim();
-    const note = `${operation.from} to ${operation.to}${memo ? ': ' + memo : ''}`;
-    const truncatedNote = sanitizeNote(note);
     
-    let result;
-    
-    if (isIncoming) {
+    // Peg deposits and withdrawals are completed once their Hive-Engine leg is known
+    const peg = l1PegLeg(operation, ctx.account, ctx.gateways);
+    if (peg) {
+      processed.pegs.push({
+        ...peg,
+        tx,
+        amount: amount.amount,
+        currency: amount.currency,
+        symbol: pegSymbol(amount.currency),
+        timestamp: parseHistoryTimestamp(tx.timestamp).getTime() / 1000,
+        memo: operation.memo || ''
+      });
+      continue;
+    }
+
+    // Transfers with an exchange move funds to or from our wallet there
+    const counterparty = operation.to === ctx.account ? operation.from : operation.to;
+    const exchange = exchangeOf(counterparty, ctx.exchanges);
+    if (exchange) {
+      pushRow(processed, exchangeRow(tx, operation, exchange, ctx));
+      continue;
+    }
+
+    const memo = transferMemo(operation, ctx);
+    if (operation.to === ctx.account) {
       // Incoming transfer
-      result = {
-        timestamp,
+      pushRow(processed, buildRow(tx, {
         type: 'Inntekt',
-        inn: amount.amount,
-        innCurrency: amount.currency,
-        ut: '',
-        utCurrency: '',
-        fee: '',
-        feeCurrency: '',
-        market: sanitizeNote('Hive Blockchain'),
-        note: truncatedNote
-      };
+        inAmount: amount.amount,
+        inAsset: amount.currency,
+        note: transferNote(operation, memo),
+        memo,
+        counterparty: operation.from
+      }));
     } else {
       // Outgoing transfer
-      result = {
-        timestamp,
-        type: 'Overføring',
-        inn: '',
-        innCurrency: '',
-        ut: amount.amount,
-        utCurrency: amount.currency,
-        fee: '',
-        feeCurrency: '',
-        market: sanitizeNote('Hive Blockchain'),
-        note: truncatedNote
-      };
-    }
-    
-    if ((result.innCurrency === 'HIVE' && isDust(result.inn, 'HIVE')) || 
-        (result.utCurrency === 'HIVE' && isDust(result.ut, 'HIVE'))) {
-      processed.dust.push(result);
-    } else {
-      processed.regular.push(result);
+      pushRow(processed, buildRow(tx, {
+        type: 'Overføring-Ut',
+        outAmount: amount.amount,
+        outAsset: amount.currency,
+        note: transferNote(operation, memo),
+        memo,
+        counterparty: operation.to
+      }));
     }
   }
 }
@@ -462,38 +687,42 @@ function processTransferBatch(txs, processed) {
  * Process recurrent transfer transactions in batch
  * @param {Array} txs - Array of recurrent transfer transactions
  * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
  */
-function processRecurrentTransferBatch(txs, processed) {
+function processRecurrentTransferBatch(txs, processed, ctx) {
   for (const tx of txs) {
     const operation = tx.op[1];
-    const timestamp = formatDate(tx.timestamp);
-    
     const amount = parseAmount(operation.amount);
-    
-    // Create a clean note and truncate it to 200 characters
-    let memo = operation.memo || '';
-    // Replace any newlines or commas with spaces to prevent CSV issues
-    memo = memo.replace(/[\n\r,]/g, ' ').trim();
-    const note = `${operation.from} to ${operation.to}${memo ? ': ' + memo : ''}`;
-    const truncatedNote = sanitizeNote(note);
-    
-    const result = {
-      timestamp,
-      type: 'Forbruk',
-      inn: '',
-      innCurrency: '',
-      ut: amount.amount,
-      utCurrency: amount.currency,
-      fee: '',
-      feeCurrency: '',
-      market: sanitizeNote('Hive Blockchain'),
-      note: truncatedNote
-    };
-    
-    if (result.utCurrency === 'HIVE' && isDust(result.ut, 'HIVE')) {
-      processed.dust.push(result);
+
+    // Recurrent transfers with an exchange move funds to or from our wallet there
+    const counterparty = operation.to === ctx.account ? operation.from : operation.to;
+    const exchange = exchangeOf(counterparty, ctx.exchanges);
+    if (exchange) {
+      pushRow(processed, exchangeRow(tx, operation, exchange, ctx));
+      continue;
+    }
+
+    const memo = transferMemo(operation, ctx);
+    if (operation.to === ctx.account) {
+      // Incoming recurrent payment
+      pushRow(processed, buildRow(tx, {
+        type: 'Inntekt',
+        inAmount: amount.amount,
+        inAsset: amount.currency,
+        note: transferNote(operation, memo),
+        memo,
+        counterparty: operation.from
+      }));
     } else {
-      processed.regular.push(result);
+      // Outgoing recurrent payment
+      pushRow(processed, buildRow(tx, {
+        type: 'Forbruk',
+        outAmount: amount.amount,
+        outAsset: amount.currency,
+        note: transferNote(operation, memo),
+        memo,
+        counterparty: operation.to
+      }));
     }
   }
 }
@@ -506,30 +735,17 @@ function processRecurrentTransferBatch(txs, processed) {
 function processConvertRequestBatch(txs, processed) {
   for (const tx of txs) {
     const operation = tx.op[1];
-    const timestamp = formatDate(tx.timestamp);
-    
     const amountIn = parseAmount(operation.amount_in);
     const amountOut = parseAmount(operation.amount_out);
     
-    const result = {
-      timestamp,
+    pushRow(processed, buildRow(tx, {
       type: 'Handel',
-      inn: amountOut.amount,
-      innCurrency: amountOut.currency,
-      ut: amountIn.amount,
-      utCurrency: amountIn.currency,
-      fee: '',
-      feeCurrency: '',
-      market: sanitizeNote('Hive Blockchain Conversion'),
-      note: ''
-    };
-    
-    if ((result.innCurrency === 'HIVE' && isDust(result.inn, 'HIVE')) || 
-        (result.utCurrency === 'HIVE' && isDust(result.ut, 'HIVE'))) {
-      processed.dust.push(result);
-    } else {
-      processed.regular.push(result);
-    }
+      inAmount: amountOut.amount,
+      inAsset: amountOut.currency,
+      outAmount: amountIn.amount,
+      outAsset: amountIn.currency,
+      market: 'Hive Blockchain Conversion'
+    }));
   }
 }
 
@@ -537,9 +753,15 @@ function processConvertRequestBatch(txs, processed) {
  * Process claim reward transactions in batch
  * @param {Array} txs - Array of claim_reward_balance transactions
  * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
  */
-async function processClaimRewardBatch(txs, processed) {
-  // Group transactions by date to minimize global properties calls
+async function processClaimRewardBatch(txs, processed, ctx) {
+  if (ctx.rewardTiming === 'payout') {
+    console.log('Skipping claims, rewards are reported when paid out (--reward-timing payout)');
+    return;
+  }
+
+  // Group transactions by date to minimize vesting ratio lookups
   const byDate = {};
   
   for (const tx of txs) {
@@ -552,66 +774,611 @@ async function processClaimRewardBatch(txs, processed) {
   
   // Process each date group
   for (const [dateKey, dateTxs] of Object.entries(byDate)) {
-    // Get global properties once per date
-    const props = await getGlobalPropertiesForDate(dateKey + 'T00:00:00Z');
+    // Get the historical vesting ratio once per date, at the day's first claim
+    const firstBlock = Math.min(...dateTxs.map(tx => tx.block));
+    const hivePerVest = await getVestingRatioForDate(ctx.client, dateKey + 'T00:00:00Z', firstBlock);
     
     for (const tx of dateTxs) {
       const operation = tx.op[1];
-      const timestamp = formatDate(tx.timestamp);
       
-      // Process HBD rewards
-      const hbdReward = parseAmount(operation.reward_hbd);
-      if (hbdReward.amount > 0) {
-        processed.regular.push({
-          timestamp,
-          type: 'Inntekt',
-          inn: hbdReward.amount,
-          innCurrency: hbdReward.currency,
-          ut: '',
-          utCurrency: '',
-          fee: '',
-          feeCurrency: '',
-          market: sanitizeNote('Hive Blockchain'),
-          note: sanitizeNote('Curation/Posting Rewards')
-        });
+      // Process HBD and liquid HIVE rewards
+      for (const reward of [operation.reward_hbd, operation.reward_hive || '0.000 HIVE']) {
+        const amount = parseAmount(reward);
+        if (isPositive(amount.amount)) {
+          pushRow(processed, buildRow(tx, {
+            type: 'Inntekt',
+            inAmount: amount.amount,
+            inAsset: amount.currency,
+            note: 'Curation/Posting Rewards'
+          }));
+        }
       }
       
       // Process VESTS rewards (convert to HP but label as HIVE)
       const vestsReward = parseAmount(operation.reward_vests);
-      if (vestsReward.amount > 0) {
-        const hpAmount = vestsToHp(vestsReward.amount, props);
-        const result = {
-          timestamp,
+      if (isPositive(vestsReward.amount)) {
+        pushRow(processed, buildRow(tx, {
           type: 'Inntekt',
-          inn: hpAmount.toFixed(3),
-          innCurrency: 'HIVE', // We label it as HIVE even though it's HP
-          ut: '',
-          utCurrency: '',
-          fee: '',
-          feeCurrency: '',
-          market: sanitizeNote('Hive Blockchain'),
-          note: sanitizeNote('Curation/Posting Rewards')
-        };
-        
-        if (isDust(hpAmount, 'HIVE')) {
-          processed.dust.push(result);
-        } else {
-          processed.regular.push(result);
-        }
+          inAmount: vestsToHp(vestsReward.amount, hivePerVest),
+          inAsset: 'HIVE', // We label it as HIVE even though it's HP
+          note: 'Curation/Posting Rewards',
+          ledger: [vestingEntry(vestsReward.amount)]
+        }));
+      }
+    }
+  }
+}
+
+/**
+ * Build the normalized transaction for an account history operation, filling
+ * in blanks for the fields not given
+ * @param {Object} tx - Account history transaction
+ * @param {Object} fields - Transaction fields (type, inAmount, outAmount, feeAmount, ...)
+ * @returns {Object} - Transaction
+ */
+function buildRow(tx, fields) {
+  return createTransaction({
+    ...fields,
+    chain: CHAINS.HIVE,
+    timestamp: formatTimestamp(tx.timestamp),
+    market: sanitizeNote(fields.market || 'Hive Blockchain'),
+    note: sanitizeNote(fields.note || ''),
+    opType: tx.op[0],
+    // Virtual operations have no transaction of their own and an all-zero id
+    txid: /^0*$/.test(tx.trx_id || '') ? '' : tx.trx_id,
+    block: tx.block
+  });
+}
+
+/**
+ * Ledger entry for a change of the Hive Power balance, which is kept in VESTS
+ * @param {string} vests - VESTS added, negative when taken
+ * @returns {Object} - Ledger entry
+ */
+function vestingEntry(vests) {
+  return { asset: 'VESTS', balance: BALANCES.VESTING, amount: vests };
+}
+
+/**
+ * Store a row as regular or internal; dust is split off once the rows are valued
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} result - Result row
+ */
+function pushRow(processed, result) {
+  // A fee makes an internal move taxable, so it stays with the valued rows
+  if (result.type === INTERNAL_TYPE && !result.feeAmount) {
+    processed.internal.push(result);
+  } else {
+    processed.regular.push(result);
+  }
+}
+
+/**
+ * Push income rows for a reward paid as HBD, HIVE and/or VESTS
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} tx - Account history transaction
+ * @param {Object} payouts - { hbd, hive, vests } amount strings, any may be missing
+ * @param {string} note - Row note
+ * @param {Object} ctx - Export context
+ */
+async function pushRewardRows(processed, tx, payouts, note, ctx) {
+  for (const payout of [payouts.hbd, payouts.hive]) {
+    if (!payout) continue;
+    const amount = parseAmount(payout);
+    if (isPositive(amount.amount)) {
+      pushRow(processed, buildRow(tx, { type: 'Inntekt', inAmount: amount.amount, inAsset: amount.currency, note }));
+    }
+  }
+  
+  if (payouts.vests) {
+    const vests = parseAmount(payouts.vests);
+    if (isPositive(vests.amount)) {
+      const hivePerVest = await getVestingRatioForDate(ctx.client, tx.timestamp, tx.block);
+      pushRow(processed, buildRow(tx, {
+        type: 'Inntekt',
+        inAmount: vestsToHp(vests.amount, hivePerVest),
+        inAsset: 'HIVE', // We label it as HIVE even though it's HP
+        note,
+        ledger: [vestingEntry(vests.amount)]
+      }));
+    }
+  }
+}
+
+/**
+ * Process author, curation and beneficiary reward payouts in batch. These are
+ * only reported with --reward-timing payout; by default rewards are reported
+ * when claimed, and reporting both would count them twice.
+ * @param {Array} txs - Array of author_reward, curation_reward and comment_benefactor_reward transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+async function processRewardPayoutBatch(txs, processed, ctx) {
+  if (ctx.rewardTiming !== 'payout') {
+    return;
+  }
+  
+  for (const tx of txs) {
+    const [opType, operation] = tx.op;
+    
+    if (opType === 'author_reward' && operation.author === ctx.account) {
+      await pushRewardRows(processed, tx, {
+        hbd: operation.hbd_payout,
+        hive: operation.hive_payout,
+        vests: operation.vesting_payout
+      }, `Author reward: @${operation.author}/${operation.permlink}`, ctx);
+    } else if (opType === 'curation_reward' && operation.curator === ctx.account) {
+      await pushRewardRows(processed, tx, {
+        vests: operation.reward
+      }, `Curation reward: @${operation.comment_author || operation.author}/${operation.comment_permlink || operation.permlink}`, ctx);
+    } else if (opType === 'comment_benefactor_reward' && operation.benefactor === ctx.account) {
+      await pushRewardRows(processed, tx, {
+        hbd: operation.hbd_payout,
+        hive: operation.hive_payout,
+        vests: operation.vesting_payout
+      }, `Beneficiary reward: @${operation.author}/${operation.permlink}`, ctx);
+    }
+  }
+}
+
+/**
+ * Process block producer rewards in batch (paid as VESTS, reported as HIVE)
+ * @param {Array} txs - Array of producer_reward transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+async function processProducerRewardBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const operation = tx.op[1];
+    if (operation.producer !== ctx.account) continue;
+    
+    await pushRewardRows(processed, tx, {
+      hive: operation.hive,
+      vests: operation.vesting_shares
+    }, 'Witness block producer reward', ctx);
+  }
+}
+
+/**
+ * Process power-down payments in batch. A power-down into our own liquid
+ * balance is an internal move; one routed to or from another account is a
+ * transfer. Routes with auto-vest deposit VESTS, which are reported as HIVE
+ * at the day's vesting ratio like other HP amounts.
+ * @param {Array} txs - Array of fill_vesting_withdraw transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+async function processVestingWithdrawBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const operation = tx.op[1];
+    const deposited = parseAmount(operation.deposited);
+    const withdrawn = parseAmount(operation.withdrawn);
+    const autoVested = deposited.currency === 'VESTS';
+    
+    const note = `Power down ${operation.from_account} to ${operation.to_account} (${withdrawn.amount} VESTS)`;
+    const withdrawal = vestingEntry(subtract(0, withdrawn.amount, l1Precision('VESTS')));
+    const deposit = autoVested
+      ? vestingEntry(deposited.amount)
+      : { asset: deposited.currency, balance: BALANCES.LIQUID, amount: deposited.amount };
+    // What moved, with auto-vested VESTS labelled as HIVE even though they are HP
+    const amount = autoVested
+      ? { amount: vestsToHp(deposited.amount, await getVestingRatioForDate(ctx.client, tx.timestamp, tx.block)), currency: 'HIVE' }
+      : deposited;
+    
+    if (operation.from_account === operation.to_account) {
+      // Auto-vesting into our own account leaves the HP where it was
+      if (!autoVested) {
+        pushRow(processed, buildRow(tx, {
+          type: INTERNAL_TYPE,
+          inAmount: amount.amount,
+          inAsset: amount.currency,
+          outAmount: amount.amount,
+          outAsset: 'HIVE', // HP leaving, labelled as HIVE like rewards
+          note,
+          ledger: [withdrawal, deposit]
+        }));
+      }
+    } else if (operation.to_account === ctx.account) {
+      pushRow(processed, buildRow(tx, {
+        type: 'Inntekt',
+        inAmount: amount.amount,
+        inAsset: amount.currency,
+        note,
+        counterparty: operation.from_account,
+        ledger: [deposit]
+      }));
+    } else {
+      pushRow(processed, buildRow(tx, {
+        type: 'Overføring-Ut',
+        outAmount: amount.amount,
+        outAsset: amount.currency,
+        note,
+        counterparty: operation.to_account,
+        ledger: [withdrawal]
+      }));
+    }
+  }
+}
+
+/**
+ * Process a transfer between balances of the same or different accounts
+ * (power-ups, savings deposits and withdrawals). A move within our own
+ * account is internal; otherwise it is an incoming or outgoing transfer.
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} tx - Account history transaction
+ * @param {Object} move - { description, from, to }: what kind of move this is, for the note, and the balances it moves between
+ * @param {string|null} vests - VESTS a power-up bought, when known
+ * @param {Object} ctx - Export context
+ */
+function pushBalanceMove(processed, tx, move, vests, ctx) {
+  const operation = tx.op[1];
+  const amount = parseAmount(operation.amount);
+  const to = operation.to || operation.from;
+  const text = transferMemo(operation, ctx);
+  const memo = text ? `: ${text}` : '';
+  const note = `${move.description} ${operation.from} to ${to}${memo}`;
+  const leaving = { asset: amount.currency, balance: move.from, amount: subtract(0, amount.amount, l1Precision(amount.currency)) };
+  // Without the VESTS a power-up bought its vesting entry is left out rather than guessed
+  const arriving = move.to !== BALANCES.VESTING
+    ? { asset: amount.currency, balance: move.to, amount: amount.amount }
+    : vests ? vestingEntry(vests) : null;
+  
+  if (operation.from === to) {
+    pushRow(processed, buildRow(tx, {
+      type: INTERNAL_TYPE,
+      inAmount: amount.amount,
+      inAsset: amount.currency,
+      outAmount: amount.amount,
+      outAsset: amount.currency,
+      note,
+      ledger: [leaving, arriving].filter(Boolean)
+    }));
+  } else if (to === ctx.account) {
+    pushRow(processed, buildRow(tx, {
+      type: 'Inntekt',
+      inAmount: amount.amount,
+      inAsset: amount.currency,
+      note,
+      counterparty: operation.from,
+      ledger: arriving ? [arriving] : []
+    }));
+  } else {
+    pushRow(processed, buildRow(tx, {
+      type: 'Overføring-Ut',
+      outAmount: amount.amount,
+      outAsset: amount.currency,
+      note,
+      counterparty: to,
+      ledger: [leaving]
+    }));
+  }
+}
+
+/**
+ * Process power-ups and savings transfers in batch
+ * @param {Array} txs - Array of transfer_to_vesting, transfer_to_vesting_completed, transfer_to_savings and fill_transfer_from_savings transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+function processBalanceMoveBatch(txs, processed, ctx) {
+  const moves = {
+    transfer_to_vesting: { description: 'Power up', from: BALANCES.LIQUID, to: BALANCES.VESTING },
+    transfer_to_savings: { description: 'Savings deposit', from: BALANCES.LIQUID, to: BALANCES.SAVINGS },
+    fill_transfer_from_savings: { description: 'Savings withdrawal', from: BALANCES.SAVINGS, to: BALANCES.LIQUID }
+  };
+  
+  // The VESTS a power-up bought are only known from its virtual op in the same block
+  const powerUpKey = (block, from, to, hive) => `${block}:${from}:${to}:${hive}`;
+  const vestsBought = new Map();
+  for (const tx of txs) {
+    if (tx.op[0] !== 'transfer_to_vesting_completed') continue;
+    const operation = tx.op[1];
+    const hive = parseAmount(operation.hive_vested).amount;
+    vestsBought.set(powerUpKey(tx.block, operation.from_account, operation.to_account, hive),
+      parseAmount(operation.vesting_shares_received).amount);
+  }
+  
+  for (const tx of txs) {
+    if (!moves[tx.op[0]]) continue;
+    const operation = tx.op[1];
+    const to = operation.to || operation.from;
+    const vests = tx.op[0] === 'transfer_to_vesting'
+      ? vestsBought.get(powerUpKey(tx.block, operation.from, to, parseAmount(operation.amount).amount))
+      : null;
+    if (tx.op[0] === 'transfer_to_vesting' && !vests && to === ctx.account) {
+      console.warn(`⚠ Power-up of ${operation.amount} in block ${tx.block} has no transfer_to_vesting_completed op: the VESTS it bought are missing from the vesting balance and will show as a difference in the reconciliation`);
+    }
+    pushBalanceMove(processed, tx, moves[tx.op[0]], vests || null, ctx);
+  }
+}
+
+/**
+ * Process collateralized HIVE-to-HBD conversions in batch. The HIVE actually
+ * used by the conversion is known when the request is filled; the collateral
+ * lock itself is only used to describe the trade.
+ * @param {Array} txs - Array of collateralized_convert and fill_collateralized_convert_request transactions
+ * @param {Object} processed - Object to store processed transactions
+ */
+function processCollateralizedConvertBatch(txs, processed) {
+  const requests = {};
+  for (const tx of txs) {
+    if (tx.op[0] === 'collateralized_convert') {
+      requests[tx.op[1].requestid] = tx;
+    }
+  }
+  
+  for (const tx of txs) {
+    if (tx.op[0] !== 'fill_collateralized_convert_request') continue;
+    
+    const operation = tx.op[1];
+    const amountIn = parseAmount(operation.amount_in);
+    const amountOut = parseAmount(operation.amount_out);
+    const excess = parseAmount(operation.excess_collateral);
+    const request = requests[operation.requestid];
+    const requested = request ? `requested ${formatTimestamp(request.timestamp)}, ` : '';
+    
+    pushRow(processed, buildRow(tx, {
+      type: 'Handel',
+      inAmount: amountOut.amount,
+      inAsset: amountOut.currency,
+      outAmount: amountIn.amount,
+      outAsset: amountIn.currency,
+      market: 'Hive Blockchain Conversion',
+      note: `Collateralized conversion #${operation.requestid} (${requested}${excess.amount} ${excess.currency} collateral returned)`
+    }));
+  }
+}
+
+/**
+ * Process DHF proposal creation fees in batch. The fee is only known from the
+ * proposal_fee virtual op; create_proposal itself carries no amount.
+ * @param {Array} txs - Array of proposal_fee transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+function processProposalFeeBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const operation = tx.op[1];
+    if (operation.creator !== ctx.account) continue;
+    
+    const fee = parseAmount(operation.fee);
+    if (!isPositive(fee.amount)) continue;
+    
+    pushRow(processed, buildRow(tx, {
+      type: 'Forbruk',
+      outAmount: fee.amount,
+      outAsset: fee.currency,
+      note: `DHF proposal #${operation.proposal_id} creation fee`,
+      counterparty: operation.treasury
+    }));
+  }
+}
+
+/**
+ * Process DHF proposal payments in batch
+ * @param {Array} txs - Array of proposal_pay transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+function processProposalPayBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const operation = tx.op[1];
+    if (operation.receiver !== ctx.account) continue;
+    
+    const payment = parseAmount(operation.payment);
+    pushRow(processed, buildRow(tx, {
+      type: 'Inntekt',
+      inAmount: payment.amount,
+      inAsset: payment.currency,
+      note: `DHF proposal #${operation.proposal_id} payment`,
+      counterparty: operation.payer
+    }));
+  }
+}
+
+/**
+ * Get the HIVE and HBD amounts of an escrow op (older nodes use the STEEM/SBD names)
+ * @param {Object} operation - Escrow operation
+ * @returns {Array<Object>} - Non-zero amounts
+ */
+function escrowAmounts(operation) {
+  return [
+    operation.hive_amount || operation.steem_amount,
+    operation.hbd_amount || operation.sbd_amount
+  ]
+    .filter(Boolean)
+    .map(parseAmount)
+    .filter(amount => isPositive(amount.amount));
+}
+
+/**
+ * Process escrow transfers in batch. Funds leave the sender when the escrow
+ * is created, go to the receiver (or back to the sender) on release, and
+ * return to the sender with the fee when the agent rejects it. The agent
+ * earns the fee when approving.
+ * @param {Array} txs - Array of escrow_transfer, escrow_approved, escrow_rejected and escrow_release transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+function processEscrowBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const [opType, operation] = tx.op;
+    const description = `Escrow #${operation.escrow_id} ${operation.from} to ${operation.to} (agent ${operation.agent})`;
+    
+    if (opType === 'escrow_transfer' && operation.from === ctx.account) {
+      const fee = parseAmount(operation.fee);
+      escrowAmounts(operation).forEach((amount, index) => {
+        pushRow(processed, buildRow(tx, {
+          type: 'Overføring-Ut',
+          outAmount: amount.amount,
+          outAsset: amount.currency,
+          // The agent fee is held with the first amount
+          feeAmount: index === 0 && isPositive(fee.amount) ? fee.amount : '',
+          feeAsset: index === 0 && isPositive(fee.amount) ? fee.currency : '',
+          note: description,
+          counterparty: operation.to
+        }));
+      });
+    } else if (opType === 'escrow_approved' && operation.agent === ctx.account) {
+      const fee = parseAmount(operation.fee);
+      if (isPositive(fee.amount)) {
+        pushRow(processed, buildRow(tx, {
+          type: 'Inntekt',
+          inAmount: fee.amount,
+          inAsset: fee.currency,
+          note: `${description}: agent fee`,
+          counterparty: operation.from
+        }));
+      }
+    } else if (opType === 'escrow_rejected' && operation.from === ctx.account) {
+      const fee = parseAmount(operation.fee);
+      const amounts = escrowAmounts(operation);
+      if (isPositive(fee.amount)) amounts.push(fee);
+      for (const amount of amounts) {
+        pushRow(processed, buildRow(tx, {
+          type: 'Overføring-Inn',
+          inAmount: amount.amount,
+          inAsset: amount.currency,
+          note: `${description}: rejected, refunded`
+        }));
+      }
+    } else if (opType === 'escrow_release' && operation.receiver === ctx.account) {
+      const returned = operation.receiver === operation.from;
+      for (const amount of escrowAmounts(operation)) {
+        pushRow(processed, buildRow(tx, {
+          type: returned ? 'Overføring-Inn' : 'Inntekt',
+          inAmount: amount.amount,
+          inAsset: amount.currency,
+          note: `${description}: released${returned ? ', returned' : ''}`,
+          counterparty: returned ? undefined : operation.from
+        }));
       }
     }
   }
 }
 
+/**
+ * Process account creation fees in batch. VESTS delegated to an account on
+ * creation stay ours and are not part of the fee.
+ * @param {Array} txs - Array of account_create, account_create_with_delegation and claim_account transactions
+ * @param {Object} processed - Object to store processed transactions
+ * @param {Object} ctx - Export context
+ */
+function processAccountCreateBatch(txs, processed, ctx) {
+  for (const tx of txs) {
+    const [opType, operation] = tx.op;
+    if (operation.creator !== ctx.account) continue;
+    
+    const fee = parseAmount(operation.fee);
+    if (!isPositive(fee.amount)) continue;
+    
+    pushRow(processed, buildRow(tx, {
+      type: 'Forbruk',
+      outAmount: fee.amount,
+      outAsset: fee.currency,
+      note: opType === 'claim_account'
+        ? 'Account creation token claim fee'
+        : `Account creation fee for ${operation.new_account_name}`
+    }));
+  }
+}
+
+/**
+ * Fetch the Hive-Engine legs of peg movements: the SWAP tokens minted for
+ * deposits and burned for withdrawals, around the time of the L1 transfers
+ * @param {Array<Object>} pegs - L1 peg legs
+ * @param {Object} ctx - Export context
+ * @returns {Promise<Array<Object>>} - Hive-Engine legs { direction, amount, symbol, timestamp, transactionId }
+ */
+async function fetchHePegLegs(pegs, ctx) {
+  const legs = [];
+  const timestamps = pegs.map(peg => peg.timestamp);
+  const startTimestamp = Math.floor(Math.min(...timestamps)) - PEG_WINDOW;
+  const endTimestamp = Math.ceil(Math.max(...timestamps)) + PEG_WINDOW;
+
+  for (const symbol of [...new Set(pegs.map(peg => peg.symbol))]) {
+    const transactions = await fetchHeHistory({
+      account: ctx.account,
+      symbol,
+      nodes: ctx.heNodes,
+      startTimestamp,
+      endTimestamp,
+      label: `${symbol} peg movements`,
+      cacheDir: ctx.cacheDir,
+      refresh: ctx.refresh
+    });
+    // A mint or burn may be listed both as a peg and a token operation
+    const seen = new Set();
+    for (const tx of transactions) {
+      const leg = hePegLeg(tx, ctx.account, ctx.gateways);
+      if (!leg || seen.has(tx.transactionId)) continue;
+      seen.add(tx.transactionId);
+      legs.push({ ...leg, amount: normalize(tx.quantity, MAX_PRECISION), symbol, timestamp: tx.timestamp, transactionId: tx.transactionId });
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * Turn peg transfers into internal moves between our L1 and Hive-Engine
+ * wallets. The linked Hive-Engine leg tells what arrived on the other side;
+ * the difference is the gateway fee. The row moves what arrived and charges
+ * the fee on top, so together they make up what was sent.
+ * @param {Object} processed - Object to store processed transactions, with the peg legs in processed.pegs
+ * @param {Object} ctx - Export context
+ */
+async function processPegTransfers(processed, ctx) {
+  console.log(`Linking ${processed.pegs.length} peg transfers to their Hive-Engine legs...`);
+  let heLegs = [];
+  try {
+    heLegs = await fetchHePegLegs(processed.pegs, ctx);
+  } catch (error) {
+    console.warn(`⚠ Could not fetch the Hive-Engine side of peg transfers: ${error.message}`);
+  }
+  const links = linkPegLegs(processed.pegs, heLegs);
+
+  for (const peg of processed.pegs) {
+    const leg = links.get(peg);
+    const deposit = peg.direction === 'deposit';
+    // The row is in the L1 asset, so both legs are written at its precision
+    const precision = l1Precision(peg.currency);
+    // Sent on one side, received on the other
+    const sent = normalize(leg && !deposit ? leg.amount : peg.amount, precision);
+    const received = normalize(leg && deposit ? leg.amount : peg.amount, precision);
+    const fee = subtract(sent, received, precision);
+    const route = deposit ? `Peg deposit to Hive-Engine via ${peg.gateway}` : `Peg withdrawal from Hive-Engine via ${peg.gateway}`;
+    // Only the L1 leg changes an L1 balance; the Hive-Engine leg is in the Hive-Engine export
+    const l1Change = deposit ? subtract(0, peg.amount, precision) : peg.amount;
+
+    pushRow(processed, buildRow(peg.tx, {
+      type: INTERNAL_TYPE,
+      inAmount: received,
+      inAsset: peg.currency,
+      outAmount: received,
+      outAsset: peg.currency,
+      feeAmount: isPositive(fee) ? fee : '',
+      feeAsset: isPositive(fee) ? peg.currency : '',
+      note: leg ? `${route} (Hive-Engine tx ${leg.transactionId})` : `${route} (no Hive-Engine leg found; fee unknown)`,
+      counterparty: peg.gateway,
+      ledger: [{ asset: peg.currency, balance: BALANCES.LIQUID, amount: l1Change }]
+    }));
+  }
+
+  console.log(`✓ ${links.size} of ${processed.pegs.length} peg transfers linked`);
+}
+
 /**
  * Process a batch of transactions by type
  * @param {Array} transactions - Array of transactions
- * @returns {Promise<Object>} - Processed regular and dust transactions
+ * @param {Object} ctx - Export context
+ * @returns {Promise<Object>} - Processed regular and internal transactions
  */
-async function processTransactionBatch(transactions) {
+async function processTransactionBatch(transactions, ctx) {
   const processed = {
     regular: [],
-    dust: []
+    internal: [],
+    pegs: []
   };
   
   // Group transactions by operation type for more efficient processing
@@ -622,6 +1389,27 @@ async function processTransactionBatch(transactions) {
     byType[opType].push(tx);
   }
   
+  // Ops whose handlers need to see related op types together
+  const grouped = {
+    collateralized_convert: 'fill_collateralized_convert_request',
+    escrow_approved: 'escrow_transfer',
+    escrow_rejected: 'escrow_transfer',
+    escrow_release: 'escrow_transfer',
+    curation_reward: 'author_reward',
+    comment_benefactor_reward: 'author_reward',
+    account_create_with_delegation: 'account_create',
+    claim_account: 'account_create',
+    transfer_to_vesting_completed: 'transfer_to_vesting',
+    transfer_to_savings: 'transfer_to_vesting',
+    fill_transfer_from_savings: 'transfer_to_vesting'
+  };
+  for (const [opType, target] of Object.entries(grouped)) {
+    if (byType[opType]) {
+      byType[target] = (byType[target] || []).concat(byType[opType]);
+      delete byType[opType];
+    }
+  }
+  
   // Process each operation type
   for (const [opType, txs] of Object.entries(byType)) {
     if (txs.length > 0) {
@@ -629,27 +1417,62 @@ async function processTransactionBatch(transactions) {
       
       switch (opType) {
         case 'claim_reward_balance':
-          await processClaimRewardBatch(txs, processed);
+          await processClaimRewardBatch(txs, processed, ctx);
           break;
         case 'fill_order':
-          processFillOrderBatch(txs, processed);
+          processFillOrderBatch(txs, processed, ctx);
           break;
         case 'interest':
           processInterestBatch(txs, processed);
           break;
         case 'transfer':
-          processTransferBatch(txs, processed);
+          processTransferBatch(txs, processed, ctx);
           break;
         case 'fill_recurrent_transfer':
-          processRecurrentTransferBatch(txs, processed);
+          processRecurrentTransferBatch(txs, processed, ctx);
           break;
         case 'fill_convert_request':
           processConvertRequestBatch(txs, processed);
           break;
+        case 'author_reward':
+          await processRewardPayoutBatch(txs, processed, ctx);
+          break;
+        case 'producer_reward':
+          await processProducerRewardBatch(txs, processed, ctx);
+          break;
+        case 'fill_vesting_withdraw':
+          await processVestingWithdrawBatch(txs, processed, ctx);
+          break;
+        case 'transfer_to_vesting':
+          processBalanceMoveBatch(txs, processed, ctx);
+          break;
+        case 'fill_collateralized_convert_request':
+          processCollateralizedConvertBatch(txs, processed);
+          break;
+        case 'proposal_pay':
+          processProposalPayBatch(txs, processed, ctx);
+          break;
+        case 'proposal_fee':
+          processProposalFeeBatch(txs, processed, ctx);
+          break;
+        case 'escrow_transfer':
+          processEscrowBatch(txs, processed, ctx);
+          break;
+        case 'account_create':
+          processAccountCreateBatch(txs, processed, ctx);
+          break;
+        default:
+          if (NON_TAXABLE_OPERATIONS[opType]) {
+            console.log(`No rows for ${opType}: ${NON_TAXABLE_OPERATIONS[opType]}`);
+          }
       }
     }
   }
   
+  if (processed.pegs.length > 0) {
+    await processPegTransfers(processed, ctx);
+  }
+  
   return processed;
 }
 
@@ -657,59 +1480,371 @@ async function processTransactionBatch(transactions) {
  * Write transactions to CSV file
  * @param {string} filename - Output filename
  * @param {Array} transactions - Transactions to write
+ * @param {boolean} [withValue=false] - Include the fiat value columns
+ * @param {Object} [output] - { profile, format }: output profile and CSV format (delimiter, decimalSeparator, bom)
  */
-function writeTransactionsToCsv(filename, transactions) {
+function writeTransactionsToCsv(filename, transactions, withValue = false, output = {}) {
   // Sort transactions by timestamp (oldest to newest)
   transactions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   
-  const csvContent = [
-    CSV_HEADER,
-    ...transactions.map(formatCsvLine)
-  ].join('\n');
+  const count = writeProfileCsv(filename, transactions, {
+    profile: output.profile,
+    withValue,
+    format: output.format || DEFAULT_CSV_FORMAT
+  });
+  console.log(`✓ Wrote ${count} transactions to ${filename}`);
+}
+
+/**
+ * Build the context history items of an account are processed in
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {Object} options - Validated command-line options
+ * @returns {Object} - Export context
+ */
+function accountContext(client, account, options) {
+  return {
+    client,
+    account,
+    startDate: options.startDate,
+    endDate: options.endDate,
+    rewardTiming: options.rewardTiming,
+    gateways: options.gateways,
+    exchanges: options.exchanges,
+    heNodes: options.heNodes || DEFAULT_HE_HISTORY_NODES,
+    cacheDir: options.cacheDir,
+    refresh: options.refresh
+  };
+}
+
+/**
+ * Fetch and process all transactions for one account
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {Object} options - Validated command-line options
+ * @returns {Promise<Object>} - Processed regular and internal transactions, and the history items after the period
+ */
+async function exportAccount(client, account, options) {
+  const ctx = {
+    ...accountContext(client, account, options),
+    memos: new MemoReader(options.memoKeys),
+    cache: openCache(options, path.join('l1', account), item => item[0], TARGET_OPERATIONS.join(','))
+  };
+
+  // Fetch all transactions
+  console.log(`\n1. FETCHING TRANSACTIONS (${account}):`);
+  const { transactions, later } = await fetchAllTransactions(ctx);
+  
+  // Process transactions
+  console.log(`\n2. PROCESSING TRANSACTIONS (${account}):`);
+  const processed = await processTransactionBatch(transactions, ctx);
+  ctx.memos.report(account);
+  processed.later = later;
+
+  // Remember which account each row belongs to for the consolidated report
+  for (const row of [...processed.regular, ...processed.internal]) {
+    row.account = account;
+  }
+  
+  // Rules from --rules override how rows are classified; a row made internal moves to the internal file
+  if (options.rules) {
+    const rows = [...processed.regular, ...processed.internal];
+    processed.ruleHits = applyRules(rows, options.rules);
+    processed.regular = [];
+    processed.internal = [];
+    for (const row of rows) pushRow(processed, row);
+  }
+
+  return processed;
+}
+
+/**
+ * Fetch the current balances of an account, keyed as in the reconciliation
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {boolean} withRewards - Count unclaimed rewards as held, as --reward-timing payout reports them when paid
+ * @returns {Promise<Map<string, string>>} - Amounts keyed by balanceKey
+ */
+async function fetchCurrentBalances(client, account, withRewards) {
+  const [data] = await withRetry(client, () => client.database.getAccounts([account]));
+  if (!data) {
+    throw new Error(`account ${account} not found`);
+  }
+  
+  const fields = [
+    ['HIVE', BALANCES.LIQUID, 'balance', 'reward_hive_balance'],
+    ['HBD', BALANCES.LIQUID, 'hbd_balance', 'reward_hbd_balance'],
+    ['HIVE', BALANCES.SAVINGS, 'savings_balance'],
+    ['HBD', BALANCES.SAVINGS, 'savings_hbd_balance'],
+    ['VESTS', BALANCES.VESTING, 'vesting_shares', 'reward_vesting_balance']
+  ];
+  const balances = new Map();
+  for (const [asset, balance, field, rewardField] of fields) {
+    let amount = parseAmount(String(data[field])).amount;
+    if (withRewards && rewardField && data[rewardField]) {
+      amount = add(amount, parseAmount(String(data[rewardField])).amount, l1Precision(asset));
+    }
+    balances.set(balanceKey(asset, balance), amount);
+  }
+  return balances;
+}
+
+/**
+ * Reconcile the balances of an account with its exported rows. The actual
+ * balances at the end of the period come from --closing-balances, or from the
+ * chain when the period runs up to today.
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {Object} processed - Processed regular, dust and internal rows of the account
+ * @param {Object} options - Validated command-line options
+ * @returns {Promise<Array<Object>>} - Reconciliation lines
+ */
+async function reconcileAccount(client, account, processed, options) {
+  const opening = options.openingBalances ? readBalances(options.openingBalances, account) : null;
+  let actual = null;
+  if (options.closingBalances) {
+    actual = readBalances(options.closingBalances, account);
+  } else if (options.endDate.getTime() >= Date.now()) {
+    try {
+      actual = await fetchCurrentBalances(client, account, options.rewardTiming === 'payout');
+    } catch (error) {
+      console.warn(`⚠ Could not fetch the balances of ${account}: ${error.message}`);
+    }
+  }
   
-  fs.writeFileSync(filename, csvContent);
-  console.log(`✓ Wrote ${transactions.length} transactions to ${filename}`);
+  const rows = [...processed.regular, ...processed.dust, ...processed.internal];
+  return reconcileBalances(account, balanceChanges(rows), { opening, actual }, l1Precision);
+}
+
+/**
+ * Fetch what an account holds today as the exported rows count it. The rows
+ * take funds out of a balance when an order fills, a conversion completes or
+ * a savings withdrawal arrives, so the funds the chain has already locked for
+ * them are added back to the balance they came from.
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {boolean} withRewards - Count unclaimed rewards as held, as --reward-timing payout reports them when paid
+ * @returns {Promise<Map<string, string>>} - Amounts keyed by balanceKey
+ */
+async function fetchHoldings(client, account, withRewards) {
+  const holdings = await fetchCurrentBalances(client, account, withRewards);
+  const hold = (balance, amount, currency) => {
+    const key = balanceKey(currency, balance);
+    holdings.set(key, add(holdings.get(key) || 0, amount, l1Precision(currency)));
+  };
+  const condenser = (method, params) => withRetry(client, () => client.call('condenser_api', method, params));
+  
+  // for_sale is in satoshis of the asset being sold
+  for (const order of await condenser('get_open_orders', [account])) {
+    const { currency } = parseAmount(String(order.sell_price.base));
+    hold(BALANCES.LIQUID, fromUnits(BigInt(order.for_sale), l1Precision(currency)), currency);
+  }
+  for (const request of await condenser('get_conversion_requests', [account])) {
+    const { amount, currency } = parseAmount(String(request.amount));
+    hold(BALANCES.LIQUID, amount, currency);
+  }
+  // A collateralized conversion pays its HBD at once, but the rows only count it once the collateral is settled
+  for (const request of await condenser('get_collateralized_conversion_requests', [account])) {
+    const collateral = parseAmount(String(request.collateral_amount));
+    const converted = parseAmount(String(request.converted_amount));
+    hold(BALANCES.LIQUID, collateral.amount, collateral.currency);
+    hold(BALANCES.LIQUID, subtract(0, converted.amount, l1Precision(converted.currency)), converted.currency);
+  }
+  for (const withdrawal of await condenser('get_savings_withdraw_from', [account])) {
+    const { amount, currency } = parseAmount(String(withdrawal.amount));
+    hold(BALANCES.SAVINGS, amount, currency);
+  }
+  return holdings;
+}
+
+/**
+ * Get the HIVE-per-VEST ratio at a moment, today's if it is now or later
+ * @param {Client} client - Hive client
+ * @param {Date} date - Moment of the holdings
+ * @returns {Promise<Object>} - HIVE per VEST as { hive, vests }
+ */
+async function vestingRatioAt(client, date) {
+  const props = await withRetry(client, () => client.database.getDynamicGlobalProperties());
+  const headTime = new Date(`${props.time}Z`);
+  if (date >= headTime) {
+    return {
+      hive: String(props.total_vesting_fund_hive).split(' ')[0],
+      vests: String(props.total_vesting_shares).split(' ')[0]
+    };
+  }
+  // Blocks come every 3 seconds, close enough to find a block of that day
+  const blockNum = Math.max(1, props.head_block_number - Math.ceil((headTime - date) / 3000));
+  return getVestingRatioForDate(client, date.toISOString(), blockNum);
+}
+
+/**
+ * Work out what an account held at the start and end of the period by
+ * rolling today's holdings back over the balance changes of the rows since,
+ * the same changes the reconciliation adds up. VESTS are reported as HP at
+ * the vesting ratio of each date.
+ * @param {Client} client - Hive client
+ * @param {string} account - Account name
+ * @param {Object} processed - Processed regular, dust and internal rows of the account, and the history items after the period
+ * @param {Object} options - Validated command-line options
+ * @returns {Promise<Array<Object>>} - Holdings lines
+ */
+async function holdingsOfAccount(client, account, processed, options) {
+  // The history after the period gets its rows from the same processors
+  if (processed.later.length > 0) {
+    console.log(`Processing ${processed.later.length} transactions after the period for the holdings...`);
+  }
+  const later = await processTransactionBatch(processed.later, accountContext(client, account, options));
+  const changes = {
+    later: balanceChanges([...later.regular, ...later.internal]),
+    period: balanceChanges([...processed.regular, ...processed.dust, ...processed.internal])
+  };
+  
+  const holdings = await fetchHoldings(client, account, options.rewardTiming === 'payout');
+  const lines = holdingsFromCurrent(account, holdings, changes, l1Precision);
+  if (lines.some(line => line.asset === 'VESTS')) {
+    const closingDate = new Date(Math.min(options.endDate.getTime() - 1000, Date.now()));
+    const ratios = {
+      opening: await vestingRatioAt(client, options.startDate),
+      closing: await vestingRatioAt(client, closingDate)
+    };
+    for (const line of lines.filter(line => line.asset === 'VESTS')) {
+      const vests = `${line.opening} VESTS at the start, ${line.closing} VESTS at the end`;
+      line.note = line.note ? `${line.note}; ${vests}` : vests;
+      line.asset = 'HP';
+      line.opening = vestsToHp(line.opening, ratios.opening);
+      line.closing = vestsToHp(line.closing, ratios.closing);
+    }
+  }
+  return lines;
 }
 
 /**
  * Main function
+ * @param {Object} options - Validated command-line options
  */
-async function main() {
+async function main(options) {
+  const { accounts, label, outDir, nodes } = options;
+  const output = { profile: options.profile, format: options.csvFormat };
+
   console.log(`=== HIVE TRANSACTION EXPORTER ===`);
-  console.log(`Account: ${HIVE_ACCOUNT} | Year: ${YEAR}`);
+  console.log(`Account${accounts.length > 1 ? 's' : ''}: ${accounts.join(', ')} | Period: ${label}`);
   
   const startTime = Date.now();
   
   try {
-    // Fetch all transactions
-    console.log('\n1. FETCHING TRANSACTIONS:');
-    const transactions = await fetchAllTransactions();
-    
-    // Process transactions
-    console.log('\n2. PROCESSING TRANSACTIONS:');
-    const processed = await processTransactionBatch(transactions);
-    
-    // Write results to CSV
-    console.log('\n3. WRITING OUTPUT FILES:');
-    const regularFilename = `${HIVE_ACCOUNT}_hivetxs_${YEAR}.csv`;
-    const dustFilename = `${HIVE_ACCOUNT}_hivetxs_${YEAR}_dust.csv`;
-    
-    writeTransactionsToCsv(regularFilename, processed.regular);
-    writeTransactionsToCsv(dustFilename, processed.dust);
+    // Initialize Hive client with multiple nodes for redundancy
+    const client = new Client(nodes);
+    const oracle = options.pricing ? createPriceOracle(options.pricing, options, client) : null;
+    const withValue = Boolean(oracle);
+    const separateDust = options.dust.aggregation === 'separate';
+    const results = [];
+    const outputFiles = [];
+
+    fs.mkdirSync(outDir, { recursive: true });
+
+    for (const account of accounts) {
+      const processed = await exportAccount(client, account, options);
+      results.push({ account, processed });
+
+      if (oracle) {
+        console.log(`\nVALUING TRANSACTIONS IN ${oracle.currency} (${account}):`);
+        await valueRows(processed.regular, oracle, transactionLegs);
+      }
+
+      // Dust is split off or added up after valuation, so summary rows carry the sum of the values
+      const { rows, dust, aggregated } = applyDustPolicy(processed.regular, options.dust);
+      Object.assign(processed, { regular: rows, dust, aggregated });
+      
+      // Write results to CSV
+      console.log(`\n3. WRITING OUTPUT FILES (${account}):`);
+      const regularFilename = path.join(outDir, `${account}_hivetxs_${label}.csv`);
+      const dustFilename = path.join(outDir, `${account}_hivetxs_${label}_dust.csv`);
+      const internalFilename = path.join(outDir, `${account}_hivetxs_${label}_internal.csv`);
+      
+      writeTransactionsToCsv(regularFilename, processed.regular, withValue, output);
+      if (separateDust) {
+        writeTransactionsToCsv(dustFilename, processed.dust, withValue, output);
+      }
+      writeTransactionsToCsv(internalFilename, processed.internal, false, output);
+      outputFiles.push(regularFilename, ...(separateDust ? [dustFilename] : []), internalFilename);
+      if (options.rules) {
+        const rulesFilename = path.join(outDir, `${account}_hivetxs_${label}_rules.csv`);
+        writeRuleReport(rulesFilename, processed.ruleHits, options.rules, output.format);
+        outputFiles.push(rulesFilename);
+      }
+      
+      // Check that the opening balances plus the rows add up to the actual balances
+      const reconciliationFilename = path.join(outDir, `${account}_hivetxs_${label}_reconciliation.csv`);
+      const lines = await reconcileAccount(client, account, processed, options);
+      processed.discrepancies = writeReconciliation(reconciliationFilename, lines, output.format).length;
+      outputFiles.push(reconciliationFilename);
+      
+      // What the account held on the first and last day of the period
+      const holdingsFilename = path.join(outDir, `${account}_hivetxs_${label}_holdings.csv`);
+      try {
+        const holdings = await holdingsOfAccount(client, account, processed, options);
+        if (oracle) {
+          await valueHoldings(holdings, oracle, holdingTimestamps(options.startDate, options.endDate), line => line.asset === 'HP' ? 'HIVE' : line.asset);
+        }
+        writeHoldings(holdingsFilename, holdings, output.format);
+        outputFiles.push(holdingsFilename);
+      } catch (error) {
+        console.warn(`⚠ Could not work out the holdings of ${account}: ${error.message}`);
+      }
+    }
+
+    let consolidated = null;
+    if (accounts.length > 1) {
+      console.log('\n4. WRITING CONSOLIDATED FILES:');
+      consolidated = {
+        regular: consolidateRows(results.map(({ account, processed }) => ({ account, rows: processed.regular })), options.internal),
+        dust: consolidateRows(results.map(({ account, processed }) => ({ account, rows: processed.dust })), options.internal)
+      };
+      const regularFilename = path.join(outDir, `consolidated_hivetxs_${label}.csv`);
+      const dustFilename = path.join(outDir, `consolidated_hivetxs_${label}_dust.csv`);
+
+      writeTransactionsToCsv(regularFilename, consolidated.regular.rows, withValue, output);
+      outputFiles.push(regularFilename);
+      if (separateDust) {
+        writeTransactionsToCsv(dustFilename, consolidated.dust.rows, withValue, output);
+        outputFiles.push(dustFilename);
+      }
+    }
+
+    if (oracle) {
+      const prefix = accounts.length > 1 ? 'consolidated' : accounts[0];
+      reportMissingPrices(oracle, path.join(outDir, `${prefix}_hivetxs_${label}_missing_prices.csv`));
+    }
     
     const endTime = Date.now();
     const executionTimeSeconds = ((endTime - startTime) / 1000).toFixed(2);
     
     console.log(`\n=== SUMMARY ===`);
     console.log(`✓ Execution time: ${executionTimeSeconds} seconds`);
-    console.log(`✓ Regular transactions: ${processed.regular.length}`);
-    console.log(`✓ Dust transactions: ${processed.dust.length}`);
-    console.log(`✓ Output files created: ${regularFilename}, ${dustFilename}`);
+    for (const { account, processed } of results) {
+      const dust = separateDust
+        ? `${processed.dust.length} dust`
+        : `${processed.aggregated} dust added up by ${options.dust.aggregation}`;
+      console.log(`✓ ${account}: ${processed.regular.length} regular, ${dust}, ${processed.internal.length} internal transactions`);
+      if (processed.discrepancies > 0) {
+        console.warn(`⚠ ${account}: ${processed.discrepancies} balance${processed.discrepancies === 1 ? '' : 's'} do not reconcile, see the reconciliation report`);
+      }
+    }
+    if (consolidated) {
+      const internalCount = consolidated.regular.internalCount + consolidated.dust.internalCount;
+      const action = options.internal === 'drop' ? 'dropped' : 'tagged';
+      console.log(`✓ Internal transfers between own accounts: ${internalCount} (${action})`);
+    }
+    console.log(`✓ Output files created: ${outputFiles.join(', ')}`);
   } catch (error) {
     console.error('\n❌ ERROR:', error.message);
     process.exit(1);
   }
 }
 
-// Run the script
-main();
\ No newline at end of file
+module.exports = { main, processTransactionBatch, holdingsOfAccount };
+
+// Run the script when invoked directly
+if (require.main === module) {
+  main(parseOrExit('l1', process.argv.slice(2)));
+}
@@ -0,0 +1,159 @@
+/**
+ * Persistent on-disk cache of fetched history. Each cache is a JSONL file
+ * with one raw item per line plus a small JSON file with scan progress, so
+ * reruns only fetch what is new and interrupted scans resume where they
+ * stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = '.hive-tax-cache';
+
+class HistoryCache {
+  /**
+   * @param {string} dir - Cache directory
+   * @param {string} name - Cache name, e.g. "l1/account"
+   * @param {Function} keyOf - Returns the unique key of an item
+   * @param {string} signature - Describes what the cache holds; a cache with another signature is discarded
+   */
+  constructor(dir, name, keyOf, signature) {
+    this.dataFile = path.join(dir, `${name}.jsonl`);
+    this.metaFile = path.join(dir, `${name}.meta.json`);
+    this.keyOf = keyOf;
+    this.signature = signature;
+    this.items = new Map();
+    this.meta = { signature };
+  }
+
+  /**
+   * Load the cache from disk, discarding it if it was written for another signature
+   * @returns {HistoryCache} - This cache
+   */
+  load() {
+    if (!fs.existsSync(this.metaFile) || !fs.existsSync(this.dataFile)) {
+      return this;
+    }
+
+    const meta = JSON.parse(fs.readFileSync(this.metaFile, 'utf8'));
+    if (meta.signature !== this.signature) {
+      console.log(`Cache ${this.dataFile} was written for other settings, starting over`);
+      this.clear();
+      return this;
+    }
+
+    for (const line of fs.readFileSync(this.dataFile, 'utf8').split('\n')) {
+      // A crash mid-write can leave a partial last line behind
+      if (!line.trim()) continue;
+      try {
+        const item = JSON.parse(line);
+        this.items.set(this.keyOf(item), item);
+      } catch (error) {
+        console.warn(`⚠ Ignoring unreadable line in ${this.dataFile}`);
+      }
+    }
+    this.meta = meta;
+    return this;
+  }
+
+  /**
+   * Remove the cache from disk and memory
+   */
+  clear() {
+    for (const file of [this.dataFile, this.metaFile]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+    this.items = new Map();
+    this.meta = { signature: this.signature };
+  }
+
+  /**
+   * Check whether an item is already cached
+   * @param {*} key - Item key
+   * @returns {boolean} - True if cached
+   */
+  has(key) {
+    return this.items.has(key);
+  }
+
+  /**
+   * Get a cached item
+   * @param {*} key - Item key
+   * @returns {*} - The item, or undefined if not cached
+   */
+  get(key) {
+    return this.items.get(key);
+  }
+
+  /**
+   * Append new items and save the scan progress
+   * @param {Array} items - Items to add; already cached keys are skipped
+   * @param {Object} [meta] - Progress fields to merge into the meta file
+   */
+  append(items, meta = {}) {
+    const fresh = items.filter(item => !this.items.has(this.keyOf(item)));
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+
+    if (fresh.length > 0) {
+      fs.appendFileSync(this.dataFile, fresh.map(item => JSON.stringify(item)).join('\n') + '\n');
+      for (const item of fresh) {
+        this.items.set(this.keyOf(item), item);
+      }
+    } else if (!fs.existsSync(this.dataFile)) {
+      fs.writeFileSync(this.dataFile, '');
+    }
+
+    // Write progress only after the items it describes are on disk
+    this.meta = { ...this.meta, ...meta, signature: this.signature };
+    fs.writeFileSync(this.metaFile, JSON.stringify(this.meta, null, 2));
+  }
+
+  /**
+   * All cached items
+   * @returns {Array} - Items in insertion order
+   */
+  values() {
+    return [...this.items.values()];
+  }
+
+  /**
+   * Number of cached items
+   * @returns {number} - Item count
+   */
+  get size() {
+    return this.items.size;
+  }
+}
+
+/**
+ * Open a cache for the given options, clearing it first with --refresh
+ * @param {Object} options - Validated command-line options (cacheDir, refresh)
+ * @param {string} name - Cache name
+ * @param {Function} keyOf - Returns the unique key of an item
+ * @param {string} signature - Describes what the cache holds
+ * @returns {HistoryCache|null} - Loaded cache, or null when caching is off
+ */
+function openCache(options, name, keyOf, signature) {
+  if (!options.cacheDir) {
+    return null;
+  }
+
+  const cache = new HistoryCache(options.cacheDir, name, keyOf, signature);
+  if (options.refresh) {
+    console.log(`Refreshing cache ${cache.dataFile}`);
+    cache.clear();
+    return cache;
+  }
+
+  cache.load();
+  if (cache.size > 0) {
+    console.log(`✓ Loaded ${cache.size} cached items from ${cache.dataFile}`);
+  }
+  return cache;
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  HistoryCache,
+  openCache
+};
@@ -0,0 +1,659 @@
+/**
+ * Command-line parsing and validation shared by the exporters and the
+ * `hive-tax` entry point.
+ */
+
+const fs = require('fs');
+const { SUPPORTED_CURRENCIES, PRICE_SOURCES } = require('./pricing');
+const { METHODS } = require('./gains');
+const { DEFAULT_CACHE_DIR } = require('./cache');
+const { TRADE_GROUPINGS } = require('./he-market');
+const { STAKE_POLICIES } = require('./he-balances');
+const { DEFAULT_GATEWAYS } = require('./peg');
+const { DEFAULT_PROFILE, PROFILE_NAMES, getProfile } = require('./profiles');
+const { DEFAULT_CSV_FORMAT } = require('./csv');
+const { DUST_AGGREGATIONS, DEFAULT_DUST_THRESHOLDS, parseDustThresholds } = require('./dust');
+const { readRules } = require('./rules');
+const { EXCHANGE_ACCOUNTS, parseExchangeAccounts } = require('./exchanges');
+const { loadMemoKeys } = require('./memo');
+
+const DEFAULT_HIVE_NODES = [
+  'https://api.hive.blog',
+  'https://api.openhive.network',
+  'https://api.deathwing.me'
+];
+
+const DEFAULT_HE_HISTORY_NODES = [
+  'https://accounts.hive-engine.com/accountHistory'
+];
+
+// Hive account names: 3-16 chars, dot-separated segments that start with a
+// letter, end with a letter or digit and contain only a-z, 0-9 and hyphens
+const ACCOUNT_SEGMENT_PATTERN = /^[a-z][a-z0-9-]*[a-z0-9]$/;
+// Hive-Engine token symbols: up to 10 chars of A-Z, digits and dots, starting with a letter
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.]{0,9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Option definitions per subcommand. `value` options take an argument,
+ * flags do not.
+ */
+const ACCOUNT_OPTION = {
+  account: { value: true, description: 'Hive account name (required)' }
+};
+
+const PERIOD_OPTIONS = {
+  year: { value: true, description: 'Tax year to export, e.g. 2024 (default: last year)' },
+  from: { value: true, description: 'Start date YYYY-MM-DD, inclusive (use with --to instead of --year)' },
+  to: { value: true, description: 'End date YYYY-MM-DD, inclusive (use with --from instead of --year)' }
+};
+
+const COMMON_OPTIONS = {
+  ...ACCOUNT_OPTION,
+  ...PERIOD_OPTIONS,
+  'out-dir': { value: true, description: 'Directory for the output files (default: current directory)' }
+};
+
+const PRICING_OPTIONS = {
+  currency: { value: true, description: `Value every row in this fiat currency: ${SUPPORTED_CURRENCIES.join(', ')}` },
+  'price-source': { value: true, description: `Comma-separated price sources, tried in order: ${PRICE_SOURCES.join(', ')} (default: csv when --price-file is given, then hive-market,he-market)` },
+  'price-file': { value: true, description: 'CSV of daily prices with the columns date,asset,price,currency' }
+};
+
+const CACHE_OPTIONS = {
+  'cache-dir': { value: true, description: `Directory for the local history cache (default: ${DEFAULT_CACHE_DIR})` },
+  'no-cache': { value: false, description: 'Fetch everything from the API without reading or writing the cache' },
+  refresh: { value: false, description: 'Discard the cached history and fetch it again' }
+};
+
+const PEG_OPTIONS = {
+  gateways: { value: true, description: `Comma-separated peg gateway accounts between Hive and Hive-Engine (default: ${DEFAULT_GATEWAYS.join(',')})` }
+};
+
+const EXCHANGE_OPTION = {
+  'exchange-accounts': { value: true, description: 'Comma-separated account=Exchange pairs added to the registry of exchange accounts, e.g. mexc-hive=MEXC' }
+};
+
+const DUST_OPTION = {
+  dust: { value: true, description: 'Rows at or below the dust threshold of their asset: separate (own _dust file), or day or month to add them up into one row per asset and type (default: separate)' }
+};
+
+const BALANCE_OPTIONS = {
+  'opening-balances': { value: true, description: 'Comma-separated files with the balances at the start of the period, e.g. last period\'s reconciliation reports' },
+  'closing-balances': { value: true, description: 'Comma-separated files with the actual balances at the end of the period (default: the current balances when the period runs up to today)' }
+};
+
+const MEMO_OPTION = {
+  'memo-key-file': { value: true, description: 'File with private memo keys, one per line, to decrypt encrypted transfer memos (also read from HIVE_MEMO_KEY)' }
+};
+
+const RULES_OPTION = {
+  rules: { value: true, description: 'JSON file of rules that override the type, note and market of matching rows' }
+};
+
+const CSV_OPTIONS = {
+  delimiter: { value: true, description: 'CSV field delimiter: comma, semicolon or tab (default: comma)' },
+  'decimal-separator': { value: true, description: 'Decimal separator for amounts: point or comma (default: point)' },
+  bom: { value: false, description: 'Start CSV files with a byte order mark so Excel reads them as UTF-8' }
+};
+
+const OUTPUT_OPTIONS = {
+  format: { value: true, description: `Output format for the transaction files: ${PROFILE_NAMES.join(', ')} (default: ${DEFAULT_PROFILE})` },
+  ...CSV_OPTIONS,
+  // Each output format has its own delimiter and decimal separator
+  delimiter: { ...CSV_OPTIONS.delimiter, description: 'CSV field delimiter: comma, semicolon or tab (default: that of the --format profile)' },
+  'decimal-separator': { ...CSV_OPTIONS['decimal-separator'], description: 'Decimal separator for amounts: point or comma (default: that of the --format profile)' }
+};
+
+// Delimiter and decimal separator names accepted on the command line
+const DELIMITERS = { comma: ',', ',': ',', semicolon: ';', ';': ';', tab: '\t' };
+const DECIMAL_SEPARATORS = { point: '.', '.': '.', comma: ',', ',': ',' };
+
+const HELP_OPTION = {
+  help: { value: false, description: 'Show this help' }
+};
+
+const COMMANDS = {
+  l1: {
+    summary: 'Export Hive Layer-1 transactions',
+    options: {
+      ...COMMON_OPTIONS,
+      account: { value: true, description: 'Hive account name, or a comma-separated list of accounts (required)' },
+      internal: { value: true, description: 'Transfers between the listed accounts in the consolidated file: tag or drop (default: tag)' },
+      'reward-timing': { value: true, description: 'Report author/curation rewards when claimed or when paid out: claim or payout (default: claim)' },
+      ...DUST_OPTION,
+      'dust-threshold': { value: true, description: 'Comma-separated dust thresholds per asset, e.g. HIVE=0.01,HBD=0.01; 0 turns an asset off (default: HIVE=0.010)' },
+      nodes: { value: true, description: 'Comma-separated Hive API nodes' },
+      'he-nodes': { value: true, description: 'Comma-separated Hive-Engine account history endpoints, used to link peg transfers' },
+      ...PEG_OPTIONS,
+      ...EXCHANGE_OPTION,
+      ...RULES_OPTION,
+      ...MEMO_OPTION,
+      ...BALANCE_OPTIONS,
+      ...CACHE_OPTIONS,
+      ...PRICING_OPTIONS,
+      ...OUTPUT_OPTIONS,
+      ...HELP_OPTION
+    },
+    defaultNodes: DEFAULT_HIVE_NODES,
+    defaultDustThresholds: DEFAULT_DUST_THRESHOLDS,
+    multiAccount: true
+  },
+  he: {
+    summary: 'Export Hive-Engine trades and rewards for one or all tokens',
+    options: {
+      ...COMMON_OPTIONS,
+      symbol: { value: true, description: 'Hive-Engine token symbol, e.g. LEO (default: every token of the account)' },
+      'trade-grouping': { value: true, description: `Report market trades per ${TRADE_GROUPINGS.join(' or per ')} (default: fill)` },
+      'stake-policy': { value: true, description: `Report tokens staked to the account by others as ${STAKE_POLICIES.join(' or as ')} (default: income)` },
+      ...DUST_OPTION,
+      'dust-threshold': { value: true, description: 'Comma-separated dust thresholds per token, e.g. LEO=0.01,HIVE=0.001 (default: none)' },
+      nodes: { value: true, description: 'Comma-separated Hive-Engine account history endpoints' },
+      ...PEG_OPTIONS,
+      ...EXCHANGE_OPTION,
+      ...RULES_OPTION,
+      ...BALANCE_OPTIONS,
+      ...CACHE_OPTIONS,
+      ...PRICING_OPTIONS,
+      ...OUTPUT_OPTIONS,
+      ...HELP_OPTION
+    },
+    defaultNodes: DEFAULT_HE_HISTORY_NODES,
+    allSymbols: true
+  },
+  'he-raw': {
+    summary: 'Export raw Hive-Engine transactions for a token',
+    options: {
+      ...COMMON_OPTIONS,
+      symbol: { value: true, description: 'Hive-Engine token symbol, e.g. LEO (required)' },
+      nodes: { value: true, description: 'Comma-separated Hive-Engine account history endpoints' },
+      ...CACHE_OPTIONS,
+      ...CSV_OPTIONS,
+      ...HELP_OPTION
+    },
+    defaultNodes: DEFAULT_HE_HISTORY_NODES
+  },
+  gains: {
+    summary: 'Compute realized gains and year-end holdings from exported CSV files',
+    usage: '--input <file,file> [options]',
+    options: {
+      input: { value: true, description: 'Comma-separated exported CSV files with Verdi columns (required)' },
+      method: { value: true, description: `Cost-basis method: ${METHODS.join(', ')} (default: fifo)` },
+      lots: { value: true, description: 'Opening lots carried over from last year\'s lots file' },
+      ...PERIOD_OPTIONS,
+      'out-dir': COMMON_OPTIONS['out-dir'],
+      ...CSV_OPTIONS,
+      ...HELP_OPTION
+    }
+  }
+};
+
+/**
+ * Check whether a string is a valid Hive account name
+ * @param {string} name - Account name
+ * @returns {boolean} - True if valid
+ */
+function isValidAccountName(name) {
+  if (typeof name !== 'string' || name.length < 3 || name.length > 16) {
+    return false;
+  }
+  return name.split('.').every(segment => segment.length >= 3 && ACCOUNT_SEGMENT_PATTERN.test(segment));
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC date
+ * @param {string} value - Date string
+ * @param {string} optionName - Option name used in error messages
+ * @returns {Date} - Date at 00:00:00 UTC
+ */
+function parseDateOption(value, optionName) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!DATE_PATTERN.test(value) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new Error(`--${optionName} must be a date in the form YYYY-MM-DD, got "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Split raw argv into option values according to a command's option spec
+ * @param {Array<string>} argv - Arguments after the subcommand
+ * @param {Object} spec - Option definitions
+ * @returns {Object} - Raw option values keyed by option name
+ */
+function tokenize(argv, spec) {
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+
+    let name = arg.slice(2);
+    let value;
+    const eqIndex = name.indexOf('=');
+    if (eqIndex !== -1) {
+      value = name.slice(eqIndex + 1);
+      name = name.slice(0, eqIndex);
+    }
+
+    const option = spec[name];
+    if (!option) {
+      throw new Error(`Unknown option --${name}`);
+    }
+
+    if (option.value) {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined || value === '' || value.startsWith('--')) {
+        throw new Error(`--${name} requires a value`);
+      }
+    } else if (value !== undefined) {
+      throw new Error(`--${name} does not take a value`);
+    } else {
+      value = true;
+    }
+
+    values[name] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Resolve the export period from --year or --from/--to
+ * @param {Object} values - Raw option values
+ * @returns {Object} - Period with startDate, endDate (exclusive) and label
+ */
+function resolvePeriod(values) {
+  if (values.year && (values.from || values.to)) {
+    throw new Error('Use either --year or --from/--to, not both');
+  }
+
+  if (values.from || values.to) {
+    if (!values.from || !values.to) {
+      throw new Error('--from and --to must be given together');
+    }
+    const startDate = parseDateOption(values.from, 'from');
+    const lastDay = parseDateOption(values.to, 'to');
+    if (lastDay < startDate) {
+      throw new Error('--to must not be before --from');
+    }
+    const endDate = new Date(lastDay.getTime() + 24 * 60 * 60 * 1000);
+    return { startDate, endDate, label: `${values.from}_${values.to}` };
+  }
+
+  const year = values.year || String(new Date().getUTCFullYear() - 1);
+  if (!/^\d{4}$/.test(year)) {
+    throw new Error(`--year must be a four-digit year, got "${year}"`);
+  }
+  return {
+    startDate: new Date(`${year}-01-01T00:00:00Z`),
+    endDate: new Date(`${parseInt(year) + 1}-01-01T00:00:00Z`),
+    label: year
+  };
+}
+
+/**
+ * Resolve the fiat valuation settings
+ * @param {Object} values - Raw option values
+ * @returns {Object|null} - { currency, sources, priceFile }, or null when valuation is off
+ */
+function resolvePricing(values) {
+  if (!values.currency) {
+    if (values['price-source'] || values['price-file']) {
+      throw new Error('--price-source and --price-file need --currency');
+    }
+    return null;
+  }
+
+  const currency = values.currency.toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new Error(`--currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}, got "${values.currency}"`);
+  }
+
+  const defaultSources = values['price-file'] ? ['csv', 'hive-market', 'he-market'] : ['hive-market', 'he-market'];
+  const sources = values['price-source']
+    ? values['price-source'].split(',').map(source => source.trim()).filter(Boolean)
+    : defaultSources;
+  for (const source of sources) {
+    if (!PRICE_SOURCES.includes(source)) {
+      throw new Error(`Unknown price source "${source}", expected one of ${PRICE_SOURCES.join(', ')}`);
+    }
+  }
+
+  const priceFile = values['price-file'];
+  if (sources.includes('csv')) {
+    if (!priceFile) {
+      throw new Error('The csv price source needs --price-file');
+    }
+    if (!fs.existsSync(priceFile)) {
+      throw new Error(`Price file "${priceFile}" does not exist`);
+    }
+  }
+  // The market sources end in USD, so any other currency needs the FX rates from the price file
+  if (currency !== 'USD' && !sources.includes('csv')) {
+    throw new Error(`--currency ${currency} needs USD to ${currency} rates: pass --price-file with lines like "2024-01-02,USD,10.45,${currency}"`);
+  }
+
+  return { currency, sources, priceFile };
+}
+
+/**
+ * Resolve a list of API nodes
+ * @param {string} [value] - Comma-separated node URLs from the command line
+ * @param {string} flag - Option name, for error messages
+ * @param {Array<string>} defaults - Nodes used when not given
+ * @returns {Array<string>} - Node URLs
+ */
+function resolveNodes(value, flag, defaults) {
+  const nodes = value ? value.split(',').map(node => node.trim()).filter(Boolean) : defaults;
+  if (nodes.length === 0) {
+    throw new Error(`${flag} must list at least one URL`);
+  }
+  for (const node of nodes) {
+    if (!/^https?:\/\//.test(node)) {
+      throw new Error(`${flag} entries must be http(s) URLs, got "${node}"`);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Resolve the CSV output format
+ * @param {Object} values - Raw option values
+ * @param {Object} [defaults] - Delimiter and decimal separator used when not given
+ * @returns {Object} - { delimiter, decimalSeparator, bom }
+ */
+function resolveCsvFormat(values, defaults = DEFAULT_CSV_FORMAT) {
+  const delimiter = values.delimiter ? DELIMITERS[values.delimiter.toLowerCase()] : defaults.delimiter;
+  if (!delimiter) {
+    throw new Error(`--delimiter must be comma, semicolon or tab, got "${values.delimiter}"`);
+  }
+
+  const decimalSeparator = values['decimal-separator']
+    ? DECIMAL_SEPARATORS[values['decimal-separator'].toLowerCase()]
+    : defaults.decimalSeparator;
+  if (!decimalSeparator) {
+    throw new Error(`--decimal-separator must be point or comma, got "${values['decimal-separator']}"`);
+  }
+  if (decimalSeparator === delimiter) {
+    throw new Error('A decimal comma needs another --delimiter, e.g. semicolon');
+  }
+
+  return { delimiter, decimalSeparator, bom: Boolean(values.bom) };
+}
+
+/**
+ * Validate the options of the gains report
+ * @param {string} command - Subcommand name
+ * @param {Object} values - Raw option values
+ * @returns {Object} - Validated options
+ */
+function parseReportArgs(command, values) {
+  if (!values.input) {
+    throw new Error('--input is required');
+  }
+  const inputs = values.input.split(',').map(file => file.trim()).filter(Boolean);
+  for (const file of [...inputs, ...(values.lots ? [values.lots] : [])]) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File "${file}" does not exist`);
+    }
+  }
+
+  const method = (values.method || 'fifo').toLowerCase();
+  if (!METHODS.includes(method)) {
+    throw new Error(`--method must be one of ${METHODS.join(', ')}, got "${values.method}"`);
+  }
+
+  return {
+    command,
+    inputs,
+    method,
+    lotsFile: values.lots || null,
+    ...resolvePeriod(values),
+    outDir: values['out-dir'] || '.',
+    csvFormat: resolveCsvFormat(values)
+  };
+}
+
+/**
+ * Parse and validate the arguments for one subcommand
+ * @param {string} command - Subcommand name (l1, he, he-raw)
+ * @param {Array<string>} argv - Arguments after the subcommand
+ * @returns {Object} - Validated options, or { help: true }
+ */
+function parseCommandArgs(command, argv) {
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+
+  const values = tokenize(argv, definition.options);
+  if (values.help) {
+    return { command, help: true };
+  }
+
+  if (!definition.options.account) {
+    return parseReportArgs(command, values);
+  }
+
+  if (!values.account) {
+    throw new Error('--account is required');
+  }
+  const accounts = [...new Set(values.account.split(',').map(name => name.trim()).filter(Boolean))];
+  for (const name of accounts) {
+    if (!isValidAccountName(name)) {
+      throw new Error(`"${name}" is not a valid Hive account name`);
+    }
+  }
+  if (accounts.length > 1 && !definition.multiAccount) {
+    throw new Error(`hive-tax ${command} takes a single --account`);
+  }
+
+  const options = {
+    command,
+    account: accounts[0],
+    accounts,
+    ...resolvePeriod(values),
+    outDir: values['out-dir'] || '.',
+    nodes: resolveNodes(values.nodes, '--nodes', definition.defaultNodes)
+  };
+
+  // The output format brings its own delimiter and decimal separator, which the CSV options override
+  if (definition.options.format) {
+    const name = (values.format || DEFAULT_PROFILE).toLowerCase();
+    if (!PROFILE_NAMES.includes(name)) {
+      throw new Error(`--format must be one of ${PROFILE_NAMES.join(', ')}, got "${values.format}"`);
+    }
+    options.profile = getProfile(name);
+  }
+  options.csvFormat = resolveCsvFormat(values, options.profile ? options.profile.format : DEFAULT_CSV_FORMAT);
+
+  if (definition.options['he-nodes']) {
+    options.heNodes = resolveNodes(values['he-nodes'], '--he-nodes', DEFAULT_HE_HISTORY_NODES);
+  }
+
+  if (definition.options['cache-dir']) {
+    if (values['no-cache'] && (values['cache-dir'] || values.refresh)) {
+      throw new Error('--no-cache cannot be combined with --cache-dir or --refresh');
+    }
+    options.cacheDir = values['no-cache'] ? null : values['cache-dir'] || DEFAULT_CACHE_DIR;
+    options.refresh = Boolean(values.refresh);
+  }
+
+  if (definition.options.currency) {
+    options.pricing = resolvePricing(values);
+  }
+
+  if (definition.options.internal) {
+    options.internal = values.internal || 'tag';
+    if (!['tag', 'drop'].includes(options.internal)) {
+      throw new Error(`--internal must be "tag" or "drop", got "${values.internal}"`);
+    }
+  }
+
+  if (definition.options['reward-timing']) {
+    options.rewardTiming = values['reward-timing'] || 'claim';
+    if (!['claim', 'payout'].includes(options.rewardTiming)) {
+      throw new Error(`--reward-timing must be "claim" or "payout", got "${values['reward-timing']}"`);
+    }
+  }
+
+  if (definition.options.gateways) {
+    options.gateways = values.gateways
+      ? [...new Set(values.gateways.split(',').map(name => name.trim()).filter(Boolean))]
+      : DEFAULT_GATEWAYS;
+    for (const name of options.gateways) {
+      if (!isValidAccountName(name)) {
+        throw new Error(`--gateways: "${name}" is not a valid Hive account name`);
+      }
+    }
+  }
+
+  if (definition.options['exchange-accounts']) {
+    const added = values['exchange-accounts'] ? parseExchangeAccounts(values['exchange-accounts']) : {};
+    for (const name of Object.keys(added)) {
+      if (!isValidAccountName(name)) {
+        throw new Error(`--exchange-accounts: "${name}" is not a valid Hive account name`);
+      }
+    }
+    options.exchanges = { ...EXCHANGE_ACCOUNTS, ...added };
+  }
+
+  if (definition.options['trade-grouping']) {
+    options.tradeGrouping = values['trade-grouping'] || 'fill';
+    if (!TRADE_GROUPINGS.includes(options.tradeGrouping)) {
+      throw new Error(`--trade-grouping must be one of ${TRADE_GROUPINGS.join(', ')}, got "${values['trade-grouping']}"`);
+    }
+  }
+
+  if (definition.options['opening-balances']) {
+    for (const [name, key] of [['opening-balances', 'openingBalances'], ['closing-balances', 'closingBalances']]) {
+      const files = values[name] ? values[name].split(',').map(file => file.trim()).filter(Boolean) : [];
+      for (const file of files) {
+        if (!fs.existsSync(file)) {
+          throw new Error(`--${name}: file "${file}" does not exist`);
+        }
+      }
+      options[key] = files.length > 0 ? files : null;
+    }
+  }
+
+  if (definition.options.rules) {
+    if (values.rules && !fs.existsSync(values.rules)) {
+      throw new Error(`Rules file "${values.rules}" does not exist`);
+    }
+    options.rules = values.rules ? readRules(values.rules) : null;
+  }
+
+  if (definition.options['memo-key-file']) {
+    const keyFile = values['memo-key-file'];
+    if (keyFile && !fs.existsSync(keyFile)) {
+      throw new Error(`Memo key file "${keyFile}" does not exist`);
+    }
+    options.memoKeys = loadMemoKeys(keyFile);
+  }
+
+  if (definition.options.dust) {
+    const aggregation = (values.dust || 'separate').toLowerCase();
+    if (!DUST_AGGREGATIONS.includes(aggregation)) {
+      throw new Error(`--dust must be one of ${DUST_AGGREGATIONS.join(', ')}, got "${values.dust}"`);
+    }
+    // Given thresholds add to or override the command's defaults
+    const defaults = definition.defaultDustThresholds || {};
+    const thresholds = values['dust-threshold']
+      ? { ...defaults, ...parseDustThresholds(values['dust-threshold']) }
+      : defaults;
+    options.dust = { thresholds, aggregation };
+  }
+
+  if (definition.options['stake-policy']) {
+    options.stakePolicy = values['stake-policy'] || 'income';
+    if (!STAKE_POLICIES.includes(options.stakePolicy)) {
+      throw new Error(`--stake-policy must be one of ${STAKE_POLICIES.join(', ')}, got "${values['stake-policy']}"`);
+    }
+  }
+
+  if (definition.options.symbol && !values.symbol && definition.allSymbols) {
+    options.symbol = null;
+  } else if (definition.options.symbol) {
+    if (!values.symbol) {
+      throw new Error('--symbol is required');
+    }
+    const symbol = values.symbol.toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      throw new Error(`"${values.symbol}" is not a valid Hive-Engine token symbol`);
+    }
+    options.symbol = symbol;
+  }
+
+  return options;
+}
+
+/**
+ * Build the help text for the CLI or a single subcommand
+ * @param {string} [command] - Subcommand name, omit for the overview
+ * @returns {string} - Help text
+ */
+function helpText(command) {
+  if (!command || !COMMANDS[command]) {
+    const lines = [
+      'Usage: hive-tax <command> [options]',
+      '',
+      'Commands:'
+    ];
+    for (const [name, definition] of Object.entries(COMMANDS)) {
+      lines.push(`  ${name.padEnd(8)} ${definition.summary}`);
+    }
+    lines.push('', 'Run "hive-tax <command> --help" for the options of a command.');
+    return lines.join('\n');
+  }
+
+  const definition = COMMANDS[command];
+  const lines = [
+    `Usage: hive-tax ${command} ${definition.usage || '--account <name> [options]'}`,
+    '',
+    definition.summary,
+    '',
+    'Options:'
+  ];
+  for (const [name, option] of Object.entries(definition.options)) {
+    const flag = option.value ? `--${name} <value>` : `--${name}`;
+    lines.push(`  ${flag.padEnd(24)} ${option.description}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse arguments for a subcommand, printing help or usage errors and
+ * exiting when the script cannot continue
+ * @param {string} command - Subcommand name
+ * @param {Array<string>} argv - Arguments after the subcommand
+ * @returns {Object} - Validated options
+ */
+function parseOrExit(command, argv) {
+  try {
+    const options = parseCommandArgs(command, argv);
+    if (options.help) {
+      console.log(helpText(command));
+      process.exit(0);
+    }
+    return options;
+  } catch (error) {
+    console.error(`❌ ERROR: ${error.message}`);
+    console.error(`Run "hive-tax ${command} --help" for usage.`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  DEFAULT_HIVE_NODES,
+  DEFAULT_HE_HISTORY_NODES,
+  isValidAccountName,
+  parseCommandArgs,
+  helpText,
+  parseOrExit
+};
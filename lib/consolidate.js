@@ -0,0 +1,76 @@
+/**
+ * Merging of per-account exports into one consolidated report, with
+ * transfers between the user's own accounts recognised as internal moves.
+ */
+
+const { TYPE_CATEGORIES } = require('./transaction');
+
+const INTERNAL_TYPE = 'Overføring-Intern';
+
+/**
+ * Check whether a row moves funds between two of the exported accounts
+ * @param {Object} row - Processed row with account and counterparty
+ * @param {Set<string>} ownAccounts - Accounts being exported
+ * @returns {boolean} - True if the counterparty is one of our own accounts
+ */
+function isInternalTransfer(row, ownAccounts) {
+  return Boolean(row.counterparty) &&
+    row.counterparty !== row.account &&
+    ownAccounts.has(row.counterparty);
+}
+
+/**
+ * Tag a row as an internal move between own accounts
+ * @param {Object} row - Processed row
+ * @returns {Object} - Tagged copy of the row
+ */
+function tagInternal(row) {
+  return {
+    ...row,
+    type: INTERNAL_TYPE,
+    category: TYPE_CATEGORIES[INTERNAL_TYPE],
+    note: `[intern] ${row.note}`
+  };
+}
+
+/**
+ * Merge per-account rows into one list
+ * @param {Array<Object>} exports - Array of { account, rows }
+ * @param {string} internalMode - 'tag' to keep internal transfers tagged, 'drop' to remove them
+ * @returns {Object} - Merged rows and the number of internal transfers found
+ */
+function consolidateRows(exports, internalMode = 'tag') {
+  const ownAccounts = new Set(exports.map(entry => entry.account));
+  const rows = [];
+  let internalCount = 0;
+
+  for (const { account, rows: accountRows } of exports) {
+    for (const row of accountRows) {
+      // Prefix the note so rows stay attributable once the accounts are mixed
+      const merged = {
+        ...row,
+        note: row.note ? `${account}: ${row.note}` : account
+      };
+
+      if (isInternalTransfer(row, ownAccounts)) {
+        internalCount++;
+        if (internalMode === 'drop') {
+          continue;
+        }
+        rows.push(tagInternal(merged));
+      } else {
+        rows.push(merged);
+      }
+    }
+  }
+
+  rows.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return { rows, internalCount };
+}
+
+module.exports = {
+  INTERNAL_TYPE,
+  isInternalTransfer,
+  consolidateRows
+};
@@ -0,0 +1,150 @@
+/**
+ * CSV helpers shared by the exporters and the reports built on their output
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Plain comma-separated files with a decimal point
+const DEFAULT_CSV_FORMAT = {
+  delimiter: ',',
+  decimalSeparator: '.',
+  bom: false
+};
+
+/**
+ * Parse CSV text into rows of fields, honouring quoted fields with embedded
+ * delimiters, doubled quotes and newlines
+ * @param {string} text - CSV text
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a byte order mark written for Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Guess the delimiter of CSV text from its header line
+ * @param {string} text - CSV text
+ * @returns {string} - Tab, semicolon or comma
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = (char) => header.split(char).length - 1;
+  if (count('\t') > 0) return '\t';
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Read a CSV file into objects keyed by the header row
+ * @param {string} filename - CSV file
+ * @param {string} [delimiter] - Field delimiter, detected from the header when omitted
+ * @returns {Array<Object>} - One object per data row
+ */
+function readCsvFile(filename, delimiter) {
+  const text = fs.readFileSync(filename, 'utf8');
+  const [header, ...rows] = parseCsv(text, delimiter || detectDelimiter(text));
+  if (!header) return [];
+
+  return rows.map(fields => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name.trim()] = fields[index] !== undefined ? fields[index] : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Format one CSV field, quoting it when it contains the delimiter, a quote
+ * or a line break
+ * @param {*} field - Field value
+ * @param {Object} format - CSV format (delimiter, decimalSeparator)
+ * @param {boolean} [numeric=false] - Write the value with the format's decimal separator
+ * @returns {string} - Escaped field
+ */
+function formatCsvField(field, format, numeric = false) {
+  if (field === null || field === undefined || field === '') {
+    return '';
+  }
+
+  let str = String(field);
+  if (numeric && format.decimalSeparator !== '.' && /^-?\d+(\.\d+)?$/.test(str)) {
+    str = str.replace('.', format.decimalSeparator);
+  }
+
+  if (str.includes('"') || str.includes(format.delimiter) || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+}
+
+/**
+ * Write rows of fields to a CSV file
+ * @param {string} filename - Output filename
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Rows of fields, in header order
+ * @param {Object} [options] - { format, numericColumns }; numeric columns get the format's decimal separator
+ */
+function writeCsvFile(filename, header, rows, options = {}) {
+  const format = options.format || DEFAULT_CSV_FORMAT;
+  const numeric = header.map(name => (options.numericColumns || []).includes(name));
+
+  const lines = [header, ...rows].map((fields, lineIndex) => fields
+    .map((field, index) => formatCsvField(field, format, lineIndex > 0 && numeric[index]))
+    .join(format.delimiter));
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, (format.bom ? '\ufeff' : '') + lines.join('\n') + '\n');
+}
+
+module.exports = {
+  DEFAULT_CSV_FORMAT,
+  parseCsv,
+  readCsvFile,
+  formatCsvField,
+  writeCsvFile
+};
@@ -0,0 +1,192 @@
+/**
+ * Exact decimal arithmetic for token amounts. Amounts are passed around as
+ * decimal strings at their asset's native precision and computed on as whole
+ * units (BigInt), so sums and conversions match the chain to the last digit.
+ */
+
+// Native precision of the Hive L1 assets
+const L1_PRECISIONS = {
+  HIVE: 3,
+  HBD: 3,
+  VESTS: 6
+};
+
+// Hive-Engine tokens have at most 8 decimals; used when a token's precision is unknown
+const MAX_PRECISION = 8;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Number of decimals written in a decimal string
+ * @param {string|number} value - Decimal
+ * @returns {number} - Decimals, 0 for whole numbers and empty values
+ */
+function decimalsOf(value) {
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match) return 0;
+  return Math.max(0, (match[3] || '').length - Number(match[4] || 0));
+}
+
+/**
+ * Divide two BigInts, rounding half away from zero
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator, not zero
+ * @returns {bigint} - Rounded quotient
+ */
+function roundedDivide(numerator, denominator) {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n + d / 2n) / d;
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Parse a decimal into whole units of a precision, rounding half away from
+ * zero when it has more decimals
+ * @param {string|number} value - Decimal, e.g. "1.000" or 0.5; empty values are 0
+ * @param {number} precision - Decimals of one unit
+ * @returns {bigint} - Units
+ * @throws {Error} - When the value is not a decimal, so a malformed amount never passes as 0
+ */
+function toUnits(value, precision) {
+  if (value === '' || value === null || value === undefined) return 0n;
+  // Numbers are taken as they print, which is the shortest exact form of the float
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`"${value}" is not a decimal amount`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = BigInt(`${whole}${fraction}` || '0');
+  const shift = precision - fraction.length + Number(exponent);
+  const units = shift >= 0 ? digits * 10n ** BigInt(shift) : roundedDivide(digits, 10n ** BigInt(-shift));
+  return sign === '-' ? -units : units;
+}
+
+/**
+ * Write whole units of a precision as a decimal string
+ * @param {bigint} units - Units
+ * @param {number} precision - Decimals of one unit
+ * @returns {string} - Decimal with exactly `precision` decimals
+ */
+function fromUnits(units, precision) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(precision + 1, '0');
+  const whole = digits.slice(0, digits.length - precision);
+  const fraction = precision > 0 ? `.${digits.slice(-precision)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * Write a decimal at a precision
+ * @param {string|number} value - Decimal
+ * @param {number} precision - Decimals to write
+ * @returns {string} - Decimal with exactly `precision` decimals
+ */
+function normalize(value, precision) {
+  return fromUnits(toUnits(value, precision), precision);
+}
+
+/**
+ * Add decimals
+ * @param {Array<string|number>} values - Decimals; empty values count as 0
+ * @param {number} precision - Decimals of the result
+ * @returns {string} - Exact sum
+ */
+function sum(values, precision) {
+  return fromUnits(values.reduce((total, value) => total + toUnits(value, precision), 0n), precision);
+}
+
+/**
+ * Add two decimals
+ * @param {string|number} a - Decimal
+ * @param {string|number} b - Decimal
+ * @param {number} precision - Decimals of the result
+ * @returns {string} - a + b
+ */
+function add(a, b, precision) {
+  return sum([a, b], precision);
+}
+
+/**
+ * Subtract two decimals
+ * @param {string|number} a - Decimal
+ * @param {string|number} b - Decimal
+ * @param {number} precision - Decimals of the result
+ * @returns {string} - a - b
+ */
+function subtract(a, b, precision) {
+  return fromUnits(toUnits(a, precision) - toUnits(b, precision), precision);
+}
+
+/**
+ * Multiply a decimal by the ratio of two others, rounding once at the end
+ * (e.g. VESTS to HIVE: vests * fund / shares)
+ * @param {string|number} value - Decimal
+ * @param {string|number} numerator - Ratio numerator
+ * @param {string|number} denominator - Ratio denominator, not zero
+ * @param {number} precision - Decimals of the result
+ * @returns {string} - value * numerator / denominator
+ */
+function scale(value, numerator, denominator, precision) {
+  // Parse every operand at its own precision so nothing is rounded before the division
+  const places = [value, numerator, denominator].map(decimalsOf);
+  const v = toUnits(value, places[0]);
+  const n = toUnits(numerator, places[1]);
+  const d = toUnits(denominator, places[2]);
+  if (d === 0n) {
+    throw new Error(`Cannot scale ${value} by ${numerator}/${denominator}`);
+  }
+  // v/10^p0 * n/10^p1 / (d/10^p2) * 10^precision
+  const shift = precision - places[0] - places[1] + places[2];
+  const top = v * n * (shift > 0 ? 10n ** BigInt(shift) : 1n);
+  const bottom = d * (shift < 0 ? 10n ** BigInt(-shift) : 1n);
+  return fromUnits(roundedDivide(top, bottom), precision);
+}
+
+/**
+ * Compare two decimals exactly
+ * @param {string|number} a - Decimal
+ * @param {string|number} b - Decimal
+ * @returns {number} - -1, 0 or 1
+ */
+function compare(a, b) {
+  const precision = Math.max(decimalsOf(a), decimalsOf(b));
+  const difference = toUnits(a, precision) - toUnits(b, precision);
+  return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+}
+
+/**
+ * Check whether a decimal is above zero
+ * @param {string|number} value - Decimal; empty values are 0
+ * @returns {boolean} - True when positive
+ */
+function isPositive(value) {
+  return compare(value, 0) > 0;
+}
+
+/**
+ * Native precision of a Hive L1 asset
+ * @param {string} asset - HIVE, HBD or VESTS
+ * @returns {number} - Decimals
+ */
+function l1Precision(asset) {
+  return L1_PRECISIONS[asset] !== undefined ? L1_PRECISIONS[asset] : MAX_PRECISION;
+}
+
+module.exports = {
+  L1_PRECISIONS,
+  MAX_PRECISION,
+  decimalsOf,
+  toUnits,
+  fromUnits,
+  normalize,
+  sum,
+  add,
+  subtract,
+  scale,
+  compare,
+  isPositive,
+  l1Precision
+};
@@ -0,0 +1,165 @@
+/**
+ * Dust policy: rows moving no more than a per-asset threshold are either
+ * kept out of the main export in a separate file, or rolled up into one
+ * summary row per asset and type for each day or month, so the main file
+ * stays importable without losing the income.
+ */
+
+const { decimalsOf, normalize, sum, compare, isPositive } = require('./decimal');
+const { createTransaction, transactionLedger } = require('./transaction');
+
+// What happens to dust rows: a file of their own, or one summary row per day or month
+const DUST_AGGREGATIONS = ['separate', 'day', 'month'];
+
+// Thresholds of the L1 export when none are given
+const DEFAULT_DUST_THRESHOLDS = { HIVE: '0.010' };
+
+const THRESHOLD_PATTERN = /^([A-Za-z][A-Za-z0-9.]{0,9})=(\d+(?:\.\d+)?)$/;
+
+// Length of the timestamp prefix that identifies a day or month
+const PERIOD_LENGTHS = { day: 10, month: 7 };
+
+/**
+ * Parse per-asset dust thresholds
+ * @param {string} value - Comma-separated ASSET=amount pairs, e.g. "HIVE=0.01,LEO=0.1"
+ * @returns {Object} - Threshold amounts keyed by asset
+ */
+function parseDustThresholds(value) {
+  const thresholds = {};
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = THRESHOLD_PATTERN.exec(entry);
+    if (!match) {
+      throw new Error(`Dust thresholds must look like ASSET=amount, got "${entry}"`);
+    }
+    thresholds[match[1].toUpperCase()] = normalize(match[2], decimalsOf(match[2]));
+  }
+  return thresholds;
+}
+
+/**
+ * Check whether a row is dust: an amount in or out that is at most the
+ * threshold of its asset. A threshold of 0 turns an asset's dust off.
+ * @param {Object} row - Normalized transaction
+ * @param {Object} thresholds - Threshold amounts keyed by asset
+ * @returns {boolean} - True if the row is dust
+ */
+function isDust(row, thresholds) {
+  const below = (amount, asset) => Boolean(asset) && thresholds[asset] !== undefined &&
+    isPositive(thresholds[asset]) && compare(amount, thresholds[asset]) <= 0;
+  return below(row.inAmount, row.inAsset) || below(row.outAmount, row.outAsset);
+}
+
+/**
+ * The value all rows share for a field, or '' when they differ
+ * @param {Array<Object>} rows - Rows
+ * @param {string} field - Field name
+ * @returns {*} - Shared value
+ */
+function sharedValue(rows, field) {
+  const values = new Set(rows.map(row => row[field]));
+  return values.size === 1 ? rows[0][field] : '';
+}
+
+/**
+ * Add up an amount field of rows at the most decimals any of them has
+ * @param {Array<Object>} rows - Rows
+ * @param {string} field - Amount field
+ * @returns {string} - Total, '' when no row has the field
+ */
+function totalOf(rows, field) {
+  const amounts = rows.map(row => row[field]).filter(amount => amount !== '');
+  if (amounts.length === 0) return '';
+  return sum(amounts, Math.max(...amounts.map(decimalsOf)));
+}
+
+/**
+ * Build the summary row of a group of dust rows, dated at its latest row
+ * @param {Array<Object>} rows - Dust rows of one asset, type and period
+ * @param {Object} latest - The latest of the rows
+ * @param {string} period - Day or month the rows fall in
+ * @returns {Object} - Summary row
+ */
+function summaryRow(rows, latest, period) {
+  const summary = createTransaction({
+    chain: latest.chain,
+    timestamp: latest.timestamp,
+    type: latest.type,
+    inAmount: totalOf(rows, 'inAmount'),
+    inAsset: latest.inAsset,
+    outAmount: totalOf(rows, 'outAmount'),
+    outAsset: latest.outAsset,
+    feeAmount: totalOf(rows, 'feeAmount'),
+    feeAsset: latest.feeAsset,
+    market: sharedValue(rows, 'market'),
+    note: `${rows.length} dust row${rows.length === 1 ? '' : 's'} in ${period}`,
+    opType: sharedValue(rows, 'opType'),
+    counterparty: sharedValue(rows, 'counterparty'),
+    account: sharedValue(rows, 'account'),
+    // Rows that moved other balances keep doing so once added up
+    ledger: rows.some(row => row.ledger) ? rows.flatMap(transactionLedger) : null
+  });
+
+  // Valued rows add up to a valued summary; rows without a price count as 0
+  const values = rows.map(row => row.value).filter(value => value !== undefined && value !== '');
+  if (rows.some(row => row.value !== undefined)) {
+    summary.value = values.length > 0 ? sum(values, 2) : '';
+    summary.valueCurrency = values.length > 0 ? rows.find(row => row.value).valueCurrency : '';
+  }
+  return summary;
+}
+
+/**
+ * Apply a dust policy to exported rows. Aggregated summary rows take the
+ * place of the latest row of their group, so the rows keep their order.
+ * @param {Array<Object>} rows - Normalized transactions, valued if they are to be
+ * @param {Object} policy - { thresholds, aggregation }
+ * @returns {Object} - { rows, dust, aggregated }: the rows to export, the dust
+ *   rows for a separate file, and the number of dust rows rolled into summaries
+ */
+function applyDustPolicy(rows, policy) {
+  const dustRows = rows.filter(row => isDust(row, policy.thresholds));
+  const dust = new Set(dustRows);
+  if (policy.aggregation === 'separate' || dustRows.length === 0) {
+    return { rows: rows.filter(row => !dust.has(row)), dust: dustRows, aggregated: 0 };
+  }
+
+  const length = PERIOD_LENGTHS[policy.aggregation];
+  const groups = new Map();
+  for (const row of dustRows) {
+    const period = row.timestamp.substring(0, length);
+    const key = [period, row.chain, row.account, row.type, row.inAsset, row.outAsset, row.feeAsset].join('|');
+    if (!groups.has(key)) groups.set(key, { period, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  // Each summary goes where the latest row of its group was; a row alone in its group stays as it is
+  const summaries = new Map();
+  let aggregated = 0;
+  for (const group of groups.values()) {
+    const latest = group.rows.reduce((last, row) => row.timestamp > last.timestamp ? row : last);
+    if (group.rows.length > 1) {
+      summaries.set(latest, summaryRow(group.rows, latest, group.period));
+      aggregated += group.rows.length;
+    } else {
+      summaries.set(latest, latest);
+    }
+  }
+
+  const result = [];
+  for (const row of rows) {
+    if (summaries.has(row)) {
+      result.push(summaries.get(row));
+    } else if (!dust.has(row)) {
+      result.push(row);
+    }
+  }
+  return { rows: result, dust: [], aggregated };
+}
+
+module.exports = {
+  DUST_AGGREGATIONS,
+  DEFAULT_DUST_THRESHOLDS,
+  parseDustThresholds,
+  isDust,
+  applyDustPolicy
+};
@@ -0,0 +1,56 @@
+/**
+ * Registry of the Hive accounts centralized exchanges use for deposits and
+ * withdrawals. Transfers with them move our funds to or from a wallet we hold
+ * at the exchange, so they are reported as transfers tagged with the
+ * exchange's name, to be matched with the exchange's own export in the tax tool.
+ */
+
+// Exchange deposit and withdrawal accounts, with the exchange they belong to
+const EXCHANGE_ACCOUNTS = {
+  'binance-hot': 'Binance',
+  'deepcrypto8': 'Binance',
+  'upbit-exchange': 'Upbit',
+  'upbitsends': 'Upbit',
+  'huobi-pro': 'Huobi',
+  'huobi-withdrawal': 'Huobi',
+  'bittrex': 'Bittrex',
+  'ionomy': 'Ionomy',
+  'probithive': 'ProBit',
+  'gateiodeposit': 'Gate.io',
+  'blocktrades': 'BlockTrades'
+};
+
+const EXCHANGE_ENTRY_PATTERN = /^([a-z0-9.-]+)=(.+)$/;
+
+/**
+ * Parse exchange accounts given on the command line
+ * @param {string} value - Comma-separated account=Exchange pairs, e.g. "mexc-hive=MEXC,my-exchange=Other"
+ * @returns {Object} - Exchange names keyed by account
+ */
+function parseExchangeAccounts(value) {
+  const exchanges = {};
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = EXCHANGE_ENTRY_PATTERN.exec(entry);
+    if (!match) {
+      throw new Error(`Exchange accounts must look like account=Exchange, got "${entry}"`);
+    }
+    exchanges[match[1]] = match[2].trim();
+  }
+  return exchanges;
+}
+
+/**
+ * Exchange an account belongs to
+ * @param {string} account - Hive account name
+ * @param {Object} [exchanges] - Exchange names keyed by account (default: the registry)
+ * @returns {string|null} - Exchange name, or null for other accounts
+ */
+function exchangeOf(account, exchanges = EXCHANGE_ACCOUNTS) {
+  return Object.prototype.hasOwnProperty.call(exchanges, account) ? exchanges[account] : null;
+}
+
+module.exports = {
+  EXCHANGE_ACCOUNTS,
+  parseExchangeAccounts,
+  exchangeOf
+};
@@ -0,0 +1,365 @@
+/**
+ * Cost-basis engine: turns exported Handel/Inntekt/Overføring rows into
+ * acquisition lots, disposals and realized gains per asset.
+ *
+ * Every amount of fiat here is in the Verdi-Valuta of the input rows. Token
+ * amounts are exact decimal strings (see ./decimal); fiat is plain numbers.
+ */
+
+const { MAX_PRECISION, decimalsOf, normalize, add, subtract, compare, isPositive } = require('./decimal');
+
+const METHODS = ['fifo', 'average', 'lifo'];
+
+// Row types that realize a gain or loss on what goes out
+const DISPOSAL_TYPES = ['Handel', 'Forbruk', 'Tap'];
+
+// Row types that move assets between our own wallets; only their fees count
+const INTERNAL_TYPES = ['Overføring-Intern'];
+
+// Row types that bring assets back into our wallets, e.g. a withdrawal from our
+// exchange account or a refunded escrow; they take back the lots that went out
+const RETURN_TYPES = ['Overføring-Inn'];
+
+/**
+ * Parse a numeric CSV field
+ * @param {string|number} value - Field value
+ * @returns {number} - Parsed number, 0 when empty
+ */
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return 0;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return isNaN(number) ? 0 : number;
+}
+
+/**
+ * Parse a token amount CSV field
+ * @param {string} value - Field value, with a decimal point or comma
+ * @returns {string} - Exact amount with the decimals it was written with, '0' when empty
+ */
+function toAmount(value) {
+  if (value === '' || value === null || value === undefined) return '0';
+  const decimal = String(value).replace(',', '.');
+  return normalize(decimal, Math.min(decimalsOf(decimal), MAX_PRECISION));
+}
+
+/**
+ * Convert an exported CSV record (Kryptosekken columns) to an engine row
+ * @param {Object} record - Record keyed by CSV header
+ * @param {string} source - Where the record came from, for messages
+ * @returns {Object} - Engine row
+ */
+function rowFromRecord(record, source) {
+  return {
+    timestamp: record.Tidspunkt,
+    type: record.Type,
+    inAmount: toAmount(record.Inn),
+    inAsset: record['Inn-Valuta'],
+    outAmount: toAmount(record.Ut),
+    outAsset: record['Ut-Valuta'],
+    feeAmount: toAmount(record.Gebyr),
+    feeAsset: record['Gebyr-Valuta'],
+    value: record.Verdi === '' || record.Verdi === undefined ? null : toNumber(record.Verdi),
+    valueCurrency: record['Verdi-Valuta'] || '',
+    note: record.Notat || '',
+    source
+  };
+}
+
+/**
+ * Lot book for one method. Lots are kept per asset, oldest first.
+ */
+class LotBook {
+  /**
+   * @param {string} method - fifo, average or lifo
+   */
+  constructor(method) {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown cost-basis method "${method}"`);
+    }
+    this.method = method;
+    this.lots = {};
+  }
+
+  /**
+   * Add an acquisition
+   * @param {string} asset - Asset symbol
+   * @param {string} amount - Amount acquired
+   * @param {number} cost - Total cost in fiat
+   * @param {string} acquired - Acquisition timestamp
+   */
+  acquire(asset, amount, cost, acquired) {
+    if (!isPositive(amount)) return;
+    if (!this.lots[asset]) this.lots[asset] = [];
+    const lots = this.lots[asset];
+
+    if (this.method === 'average' && lots.length > 0) {
+      // A single pooled lot carries the running average cost
+      lots[0].amount = add(lots[0].amount, amount, MAX_PRECISION);
+      lots[0].cost += cost;
+      return;
+    }
+
+    lots.push({ asset, acquired, amount: normalize(amount, MAX_PRECISION), cost });
+  }
+
+  /**
+   * Remove an amount from the lots according to the method
+   * @param {string} asset - Asset symbol
+   * @param {string} amount - Amount leaving
+   * @returns {Object} - { parts: [{ acquired, amount, cost }], shortfall }, shortfall '0' when the lots covered it
+   */
+  consume(asset, amount) {
+    const lots = this.lots[asset] || [];
+    const parts = [];
+    let remaining = normalize(amount, MAX_PRECISION);
+
+    while (isPositive(remaining) && lots.length > 0) {
+      const index = this.method === 'lifo' ? lots.length - 1 : 0;
+      const lot = lots[index];
+      const taken = compare(lot.amount, remaining) < 0 ? lot.amount : remaining;
+      // Taking the whole lot takes all of its cost, so no fiat remainder is left behind
+      const cost = taken === lot.amount ? lot.cost : lot.cost * (Number(taken) / Number(lot.amount));
+
+      parts.push({ acquired: lot.acquired, amount: taken, cost });
+      lot.amount = subtract(lot.amount, taken, MAX_PRECISION);
+      lot.cost -= cost;
+      remaining = subtract(remaining, taken, MAX_PRECISION);
+
+      if (!isPositive(lot.amount)) {
+        lots.splice(index, 1);
+      }
+    }
+
+    return { parts, shortfall: remaining };
+  }
+
+  /**
+   * Put lots taken out earlier back at their original acquisition time and cost
+   * @param {string} asset - Asset symbol
+   * @param {Array<Object>} parts - Parts as consume returns them: [{ acquired, amount, cost }]
+   */
+  restore(asset, parts) {
+    for (const part of parts) {
+      if (this.method === 'average' || !this.lots[asset]) {
+        this.acquire(asset, part.amount, part.cost, part.acquired);
+        continue;
+      }
+      // Keep the lots oldest first so FIFO and LIFO still see the acquisition order
+      const lots = this.lots[asset];
+      const index = lots.findIndex(lot => String(lot.acquired).localeCompare(String(part.acquired)) > 0);
+      lots.splice(index === -1 ? lots.length : index, 0,
+        { asset, acquired: part.acquired, amount: normalize(part.amount, MAX_PRECISION), cost: part.cost });
+    }
+  }
+
+  /**
+   * Remaining lots of all assets
+   * @returns {Array<Object>} - Lots sorted by asset and acquisition time
+   */
+  remaining() {
+    return Object.values(this.lots)
+      .flat()
+      .filter(lot => isPositive(lot.amount))
+      .sort((a, b) => a.asset.localeCompare(b.asset) || String(a.acquired).localeCompare(String(b.acquired)));
+  }
+}
+
+/**
+ * Unit price of an asset implied by a row's value, if the row involves it
+ * @param {Object} row - Engine row
+ * @param {string} asset - Asset symbol
+ * @returns {number|null} - Fiat per unit, or null
+ */
+function impliedUnitPrice(row, asset) {
+  if (row.value === null) return null;
+  if (row.inAsset === asset && isPositive(row.inAmount)) return row.value / Number(row.inAmount);
+  if (row.outAsset === asset && isPositive(row.outAmount)) return row.value / Number(row.outAmount);
+  return null;
+}
+
+/**
+ * Run the cost-basis engine over a list of rows
+ * @param {Array<Object>} rows - Engine rows, any order
+ * @param {Object} options - { method, openingLots }
+ * @returns {Object} - { disposals, transfers, lots, away, warnings, currency, precisions }: away holds the
+ *   lots transferred out that did not come back, precisions the most decimals each asset was written
+ *   with, for writing amounts back at the same precision
+ */
+function computeGains(rows, options) {
+  const book = new LotBook(options.method);
+  // Lots transferred out of our wallets, held until a deposit of the asset brings them back
+  const away = new LotBook('fifo');
+  const disposals = [];
+  const transfers = [];
+  const warnings = [];
+  const precisions = {};
+  const notePrecision = (asset, amount) => {
+    if (asset) precisions[asset] = Math.max(precisions[asset] || 0, decimalsOf(amount));
+  };
+
+  const currencies = new Set(rows.map(row => row.valueCurrency).filter(Boolean));
+  for (const lot of options.openingLots || []) {
+    if (lot.currency) currencies.add(lot.currency);
+  }
+  if (currencies.size > 1) {
+    throw new Error(`Input rows are valued in more than one currency (${[...currencies].join(', ')})`);
+  }
+  const currency = [...currencies][0] || '';
+
+  for (const lot of options.openingLots || []) {
+    notePrecision(lot.asset, lot.amount);
+    book.acquire(lot.asset, lot.amount, lot.cost, lot.acquired);
+  }
+
+  const sorted = rows.slice().sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  // Record a disposal, split per consumed lot
+  const dispose = (row, asset, amount, proceeds, kind) => {
+    const { parts, shortfall } = book.consume(asset, amount);
+    for (const part of parts) {
+      const share = proceeds * (Number(part.amount) / Number(amount));
+      disposals.push({
+        timestamp: row.timestamp,
+        asset,
+        amount: part.amount,
+        acquired: part.acquired,
+        proceeds: share,
+        cost: part.cost,
+        gain: share - part.cost,
+        kind,
+        note: row.note
+      });
+    }
+    if (isPositive(shortfall)) {
+      const share = proceeds * (Number(shortfall) / Number(amount));
+      disposals.push({
+        timestamp: row.timestamp,
+        asset,
+        amount: shortfall,
+        acquired: '',
+        proceeds: share,
+        cost: 0,
+        gain: share,
+        kind,
+        note: 'No matching acquisition, cost basis set to 0'
+      });
+      warnings.push(`${row.timestamp}: disposed ${shortfall} ${asset} more than held (missing history or opening lots?)`);
+    }
+  };
+
+  for (const row of sorted) {
+    notePrecision(row.inAsset, row.inAmount);
+    notePrecision(row.outAsset, row.outAmount);
+    notePrecision(row.feeAsset, row.feeAmount);
+
+    // Internal moves keep their lots; only a fee paid on the way is disposed of
+    const internal = INTERNAL_TYPES.includes(row.type);
+    if (internal && !isPositive(row.feeAmount)) continue;
+
+    if (row.value === null && (isPositive(row.inAmount) || isPositive(row.outAmount))) {
+      warnings.push(`${row.timestamp}: ${row.type} row has no Verdi, treated as worth 0 (${row.source})`);
+    }
+    const value = row.value || 0;
+
+    // Outgoing side
+    if (!internal && isPositive(row.outAmount) && row.outAsset) {
+      if (DISPOSAL_TYPES.includes(row.type)) {
+        dispose(row, row.outAsset, row.outAmount, value, row.type);
+      } else {
+        // Transfers out of our wallets carry their lots with them and realize nothing
+        const { parts, shortfall } = book.consume(row.outAsset, row.outAmount);
+        away.restore(row.outAsset, parts);
+        transfers.push({
+          timestamp: row.timestamp,
+          asset: row.outAsset,
+          amount: row.outAmount,
+          cost: parts.reduce((sum, part) => sum + part.cost, 0),
+          shortfall,
+          note: row.note
+        });
+      }
+    }
+
+    // Incoming side: deposits take back the lots that went out, anything beyond
+    // them and all trades and income acquire at market value
+    if (!internal && isPositive(row.inAmount) && row.inAsset) {
+      let acquired = row.inAmount;
+      if (RETURN_TYPES.includes(row.type)) {
+        const { parts, shortfall } = away.consume(row.inAsset, row.inAmount);
+        book.restore(row.inAsset, parts);
+        acquired = shortfall;
+      }
+      if (isPositive(acquired)) {
+        book.acquire(row.inAsset, acquired, value * (Number(acquired) / Number(row.inAmount)), row.timestamp);
+      }
+    }
+
+    // Fees paid in crypto are disposals of the fee asset
+    if (isPositive(row.feeAmount) && row.feeAsset) {
+      const unitPrice = impliedUnitPrice(row, row.feeAsset);
+      if (unitPrice === null) {
+        warnings.push(`${row.timestamp}: no price for the ${row.feeAsset} fee, proceeds set to 0`);
+      }
+      dispose(row, row.feeAsset, row.feeAmount, (unitPrice || 0) * Number(row.feeAmount), 'Gebyr');
+    }
+  }
+
+  return {
+    currency,
+    disposals,
+    transfers,
+    lots: book.remaining(),
+    away: away.remaining(),
+    warnings,
+    precisions
+  };
+}
+
+/**
+ * Sum up realized gains and losses per asset
+ * @param {Array<Object>} disposals - Disposals from computeGains
+ * @returns {Object} - Totals keyed by asset: { proceeds, cost, gains, losses }
+ */
+function summarizeGains(disposals) {
+  const totals = {};
+  for (const disposal of disposals) {
+    if (!totals[disposal.asset]) {
+      totals[disposal.asset] = { proceeds: 0, cost: 0, gains: 0, losses: 0 };
+    }
+    const total = totals[disposal.asset];
+    total.proceeds += disposal.proceeds;
+    total.cost += disposal.cost;
+    if (disposal.gain >= 0) {
+      total.gains += disposal.gain;
+    } else {
+      total.losses += -disposal.gain;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Sum remaining lots into holdings per asset
+ * @param {Array<Object>} lots - Remaining lots
+ * @returns {Object} - Holdings keyed by asset: { amount, cost }
+ */
+function summarizeHoldings(lots) {
+  const holdings = {};
+  for (const lot of lots) {
+    if (!holdings[lot.asset]) holdings[lot.asset] = { amount: '0', cost: 0 };
+    holdings[lot.asset].amount = add(holdings[lot.asset].amount, lot.amount, MAX_PRECISION);
+    holdings[lot.asset].cost += lot.cost;
+  }
+  return holdings;
+}
+
+module.exports = {
+  METHODS,
+  LotBook,
+  toNumber,
+  toAmount,
+  rowFromRecord,
+  computeGains,
+  summarizeGains,
+  summarizeHoldings
+};
@@ -0,0 +1,67 @@
+/**
+ * Hive-Engine token balances as the exported rows count them, keyed as in
+ * the reconciliation, so balances the chain reports today can be compared
+ * with the rows and rolled back over them.
+ */
+
+const { BALANCES } = require('./transaction');
+const { balanceKey } = require('./reconcile');
+const { MAX_PRECISION, add } = require('./decimal');
+
+// How tokens staked to the account by others are reported: as income, or as a
+// non-taxable movement of tokens that were already ours
+const STAKE_POLICIES = ['income', 'movement'];
+
+/**
+ * The liquid, staked and delegated amounts of one token's balance record.
+ * Tokens being unstaked are still part of the stake; pending undelegations are still delegated.
+ * @param {Object} record - Balance record of the tokens contract
+ * @returns {Array<Array<string>>} - [balance, amount] pairs
+ */
+function tokenBalanceAmounts(record) {
+  return [
+    [BALANCES.LIQUID, record.balance || '0'],
+    [BALANCES.STAKED, record.stake || '0'],
+    [BALANCES.DELEGATED, add(record.delegationsOut || 0, record.pendingUndelegations || 0, MAX_PRECISION)]
+  ];
+}
+
+/**
+ * Our balances of every token as the chain reports them
+ * @param {Array<Object>} balances - Balance records of the tokens contract
+ * @returns {Map<string, string>} - Amounts keyed by balanceKey
+ */
+function currentTokenBalances(balances) {
+  const current = new Map();
+  for (const balance of balances) {
+    for (const [name, amount] of tokenBalanceAmounts(balance)) {
+      current.set(balanceKey(balance.symbol, name), amount);
+    }
+  }
+  return current;
+}
+
+/**
+ * Our balances of every token as the rows count them. Rows take what an
+ * order spends when it fills, so what open orders have locked is still liquid.
+ * @param {Array<Object>} balances - Balance records of the tokens contract
+ * @param {Object} orders - { buy, sell }: open orders of the market contract
+ * @returns {Map<string, string>} - Amounts keyed by balanceKey
+ */
+function heldTokenBalances(balances, orders) {
+  const held = currentTokenBalances(balances);
+  const hold = (symbol, amount) => {
+    const key = balanceKey(symbol, BALANCES.LIQUID);
+    held.set(key, add(held.get(key) || 0, amount || 0, MAX_PRECISION));
+  };
+  // Buy orders lock SWAP.HIVE, sell orders the tokens themselves
+  for (const order of orders.buy) hold('SWAP.HIVE', order.tokensLocked);
+  for (const order of orders.sell) hold(order.symbol, order.quantity);
+  return held;
+}
+
+module.exports = {
+  STAKE_POLICIES,
+  currentTokenBalances,
+  heldTokenBalances
+};
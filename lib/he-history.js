@@ -0,0 +1,383 @@
+/**
+ * Hive-Engine account history fetching shared by the HE exporters, with
+ * the local history cache when enabled.
+ */
+
+const axios = require('axios');
+const { openCache } = require('./cache');
+
+// Headers from the network request
+const HEADERS = {
+  'accept': 'application/json, text/plain, */*',
+  'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8,no;q=0.7',
+  'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
+  'sec-ch-ua-mobile': '?0',
+  'sec-ch-ua-platform': '"Linux"',
+  'sec-fetch-dest': 'empty',
+  'sec-fetch-mode': 'cors',
+  'sec-fetch-site': 'cross-site',
+  'sec-gpc': '1',
+  'Referer': 'https://he.dtools.dev/'
+};
+
+// Use the exact page size the HE Explorer uses
+const PAGE_SIZE = 50;
+
+// Attempts per page, spread over the configured endpoints, before the run fails
+const MAX_PAGE_ATTEMPTS = 5;
+
+const HE_CONTRACTS_ENDPOINT = 'https://api.hive-engine.com/rpc/contracts';
+
+// Cache and file name part used when the history of every token is fetched
+const ALL_SYMBOLS = 'ALL';
+
+/**
+ * Unique key of a history item
+ * @param {Object} tx - History item
+ * @returns {string} - Key
+ */
+function historyKey(tx) {
+  return tx._id || `${tx.transactionId}:${tx.operation}:${tx.symbol}`;
+}
+
+/**
+ * Check whether a page reaches back past the start of the period. Pages are
+ * newest first, so everything after such a page is older still.
+ * @param {Array} transactions - History page
+ * @param {number} startTimestamp - Period start in seconds
+ * @returns {boolean} - True if the page holds items older than the period
+ */
+function reachesBefore(transactions, startTimestamp) {
+  return transactions.some(tx => tx.timestamp < startTimestamp);
+}
+
+/**
+ * Fetch one page of account history, retrying with backoff and moving on to
+ * the next endpoint on errors
+ * @param {Object} ctx - Export context (account, symbol, nodes)
+ * @param {Object} params - Query parameters (offset, range)
+ * @param {Object} state - Paging state shared between pages ({ nodeIndex })
+ * @returns {Promise<Array>} - History items
+ */
+async function fetchPage(ctx, params, state) {
+  const { account, symbol, nodes } = ctx;
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_PAGE_ATTEMPTS; attempt++) {
+    const node = nodes[state.nodeIndex];
+    try {
+      const response = await axios.get(node, {
+        params: {
+          account,
+          ...(symbol ? { symbol } : {}),
+          ...params,
+          limit: PAGE_SIZE
+        },
+        headers: HEADERS
+      });
+      if (!Array.isArray(response.data)) {
+        throw new Error('Unexpected response, expected a list of transactions');
+      }
+      return response.data;
+    } catch (error) {
+      lastError = error;
+      const status = error.response ? ` (${error.response.status} ${error.response.statusText})` : '';
+      console.error(`Error fetching offset ${params.offset} from ${node}: ${error.message}${status}`);
+
+      if (attempt < MAX_PAGE_ATTEMPTS) {
+        // Exponential backoff, on the next endpoint if there is one
+        const delay = Math.pow(2, attempt - 1) * 1000 + Math.random() * 500;
+        state.nodeIndex = (state.nodeIndex + 1) % nodes.length;
+        console.log(`Retrying in ${Math.round(delay)}ms with ${nodes[state.nodeIndex]}...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw new Error(`Could not fetch history at offset ${params.offset} after ${MAX_PAGE_ATTEMPTS} attempts: ${lastError.message}`);
+}
+
+/**
+ * Drop the items of a page that were seen already. Every page after the first
+ * is asked for from the last item of the page before, so it has to hold that
+ * item: if it does not, the history shifted between the two requests (e.g. an
+ * endpoint that lags behind the one before) and items may have been skipped.
+ * @param {Object} last - Last item of the page before
+ * @param {Array} received - Page as received
+ * @param {number} offset - Offset the page was asked for, for messages
+ * @returns {Object} - { transactions: the items after the last one, repeated: how many items came before it }
+ */
+function continuePage(last, received, offset) {
+  const index = received.findIndex(tx => historyKey(tx) === historyKey(last));
+  if (index === -1) {
+    throw new Error(`History gap at offset ${offset}: the page does not continue from transaction ${historyKey(last)}, so transactions may be missing; run the export again`);
+  }
+  return { transactions: received.slice(index + 1), repeated: index };
+}
+
+/**
+ * Page through the account history newest first, mimicking the HE Explorer.
+ * Pages overlap by one item to check they join up, and the history only ends
+ * once a page brings nothing new. A page that cannot be fetched or does not
+ * join up fails the whole run rather than leaving a gap.
+ * @param {Object} ctx - Export context (account, symbol, nodes); a null symbol pages through every token
+ * @param {number} offset - Offset of the first item to fetch
+ * @param {Function} onPage - Called with the new items of each page; returns true to stop
+ * @param {Object} [range] - Only fetch items between timestampStart and timestampEnd (seconds)
+ * @param {Object} [after] - Item at the offset before, already known, that the first page has to continue from
+ * @returns {Promise<Object>} - { reachedEnd, pages, problems }, pages being { offset, count, newest, oldest } per page
+ *   and problems the irregularities that were recovered from
+ */
+async function fetchPages(ctx, offset, onPage, range = {}, after = null) {
+  // Start with the first configured history endpoint, moving on to the next one on errors
+  const state = { nodeIndex: 0 };
+  const pages = [];
+  const problems = [];
+  let last = after;
+  let position = offset;
+  let shortPage = null;
+  let page = Math.floor(offset / PAGE_SIZE) + 1;
+
+  while (true) {
+    const pageOffset = last ? position - 1 : position;
+    console.log(`Fetching page ${page} with offset: ${pageOffset}, limit: ${PAGE_SIZE}`);
+    const received = await fetchPage(ctx, { ...range, offset: pageOffset }, state);
+    console.log(`Received ${received.length} transactions in page ${page}`);
+
+    const { transactions, repeated } = last ? continuePage(last, received, pageOffset) : { transactions: received, repeated: 0 };
+    if (repeated > 0) {
+      problems.push(`page at offset ${pageOffset} repeated ${repeated} transactions (history changed while paging), they were dropped`);
+    }
+
+    // The history ends where a page brings nothing new
+    if (transactions.length === 0) {
+      console.log('Reached end of data');
+      return { reachedEnd: true, pages, problems };
+    }
+    if (shortPage) {
+      problems.push(`page at offset ${shortPage.offset} returned only ${shortPage.count} of ${PAGE_SIZE} transactions although more followed; paging went on`);
+      shortPage = null;
+    }
+
+    const timestamps = transactions.map(tx => tx.timestamp);
+    pages.push({
+      offset: pageOffset,
+      count: transactions.length,
+      newest: Math.max(...timestamps),
+      oldest: Math.min(...timestamps)
+    });
+
+    if (onPage(transactions)) {
+      return { reachedEnd: false, pages, problems };
+    }
+
+    // A short page usually is the last one; the next request confirms it
+    if (received.length < PAGE_SIZE) {
+      shortPage = { offset: pageOffset, count: received.length };
+    }
+
+    // Add a small delay to avoid overwhelming the API
+    await new Promise(resolve => setTimeout(resolve, 300));
+    page++;
+    position += transactions.length;
+    last = transactions[transactions.length - 1];
+  }
+}
+
+/**
+ * Print the result of the completeness check
+ * @param {Array<string>} problems - Irregularities recovered from while fetching
+ * @param {number} pageCount - Pages fetched
+ */
+function reportCompleteness(problems, pageCount) {
+  if (problems.length === 0) {
+    console.log(`✓ Completeness check passed: ${pageCount} pages fetched, each continuing from the one before`);
+    return;
+  }
+  for (const problem of problems) {
+    console.warn(`⚠ ${problem}`);
+  }
+}
+
+/**
+ * Bring the history cache up to date: fetch items newer than the cache,
+ * then continue paging where the cache ends. Each page is saved as it
+ * arrives so an interrupted run resumes from the last saved page.
+ * @param {Object} ctx - Export context
+ * @param {HistoryCache} cache - History cache of the account and symbol
+ * @returns {Promise<Object>} - { transactions: all cached items, problems, pageCount }
+ */
+async function syncHistoryCache(ctx, cache) {
+  const { startTimestamp } = ctx;
+  // Oldest cached item, tracked so a later run knows how far back the cache reaches
+  // and which item the scan has to continue from
+  const oldestOf = (transactions) => ({
+    oldestTimestamp: Math.min(
+      cache.meta.oldestTimestamp === undefined ? Infinity : cache.meta.oldestTimestamp,
+      ...transactions.map(tx => tx.timestamp)
+    ),
+    oldestKey: historyKey(transactions[transactions.length - 1])
+  });
+
+  const problems = [];
+  let pageCount = 0;
+  const result = () => ({ transactions: cache.values(), problems, pageCount });
+
+  if (cache.size > 0) {
+    console.log('Fetching transactions newer than the cache...');
+    const fresh = [];
+    let metCache = false;
+    const fetched = await fetchPages(ctx, 0, transactions => {
+      const unknown = transactions.filter(tx => !cache.has(historyKey(tx)));
+      fresh.push(...unknown);
+      metCache = unknown.length < transactions.length;
+      return metCache;
+    });
+    pageCount += fetched.pages.length;
+    problems.push(...fetched.problems);
+
+    // Paging only ends without meeting the cache at the end of the history, so
+    // the whole history is in hand and none of it is cached: replace the cache
+    if (!metCache) {
+      console.warn(`⚠ None of the ${cache.size} cached transactions is in the account history any more, replacing the cache`);
+      cache.clear();
+      cache.append(fresh, { complete: true, ...(fresh.length > 0 ? oldestOf(fresh) : {}) });
+      return result();
+    }
+    cache.append(fresh);
+    console.log(`✓ ${fresh.length} new transactions cached`);
+  }
+
+  if (cache.meta.complete) {
+    console.log('✓ Cached history reaches the first transaction');
+    return result();
+  }
+  if (cache.meta.oldestTimestamp < startTimestamp) {
+    console.log('✓ Cached history covers the whole period');
+    return result();
+  }
+
+  // Cached items are the newest ones, so the scan continues right after them,
+  // from the oldest cached item to check nothing was skipped in between
+  const after = cache.meta.oldestKey ? cache.get(cache.meta.oldestKey) : null;
+  if (cache.size > 0) {
+    console.log(`Resuming after ${cache.size} cached transactions...`);
+  }
+  // The cache has to stay a contiguous run of the newest items, so no timestamp range
+  // is passed here; paging stops once it reaches items older than the period instead
+  const { reachedEnd, pages, problems: pageProblems } = await fetchPages(ctx, cache.size, transactions => {
+    cache.append(transactions, oldestOf(transactions));
+    return reachesBefore(transactions, startTimestamp);
+  }, {}, after);
+  pageCount += pages.length;
+  problems.push(...pageProblems);
+  if (reachedEnd) {
+    cache.append([], { complete: true });
+  }
+
+  return result();
+}
+
+/**
+ * Fetch the Hive-Engine account history within the export period
+ * @param {Object} ctx - Export context (account, symbol, nodes, startTimestamp, endTimestamp, label, cacheDir, refresh); a null symbol fetches every token
+ * @returns {Promise<Array>} - History items within the period
+ */
+async function fetchHeHistory(ctx) {
+  const { account, symbol, startTimestamp, endTimestamp, label } = ctx;
+  console.log(`Fetching all ${symbol || 'token'} transactions for ${account}...`);
+
+  const cache = openCache(ctx, `he/${account}_${symbol || ALL_SYMBOLS}`, historyKey, 'accountHistory');
+  let allTransactions;
+  if (cache) {
+    const { transactions, problems, pageCount } = await syncHistoryCache(ctx, cache);
+    allTransactions = transactions;
+    reportCompleteness(problems, pageCount);
+  } else {
+    // Ask for the period only, and stop paging anyway once older items show up
+    // in case an endpoint ignores the timestamp range
+    const unique = new Map();
+    const { pages, problems } = await fetchPages(ctx, 0, transactions => {
+      for (const tx of transactions) unique.set(historyKey(tx), tx);
+      return reachesBefore(transactions, startTimestamp);
+    }, { timestampStart: startTimestamp, timestampEnd: endTimestamp });
+    allTransactions = [...unique.values()];
+    reportCompleteness(problems, pages.length);
+  }
+
+  console.log(`Total transactions found across all pages: ${allTransactions.length}`);
+
+  // Filter for the period we're interested in
+  const filteredTransactions = allTransactions
+    .filter(tx => tx.timestamp >= startTimestamp && tx.timestamp < endTimestamp)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  console.log(`Transactions for ${label}: ${filteredTransactions.length}`);
+
+  return filteredTransactions;
+}
+
+/**
+ * Fetch the current Hive-Engine token balances of an account
+ * @param {string} account - Hive account name
+ * @returns {Promise<Array>} - Balance records (symbol, balance, stake, ...)
+ */
+async function fetchHeBalances(account) {
+  return findContractRecords('tokens', 'balances', { account });
+}
+
+/**
+ * Fetch the open market orders of an account
+ * @param {string} account - Hive account name
+ * @returns {Promise<Object>} - { buy, sell }: buy orders (symbol, tokensLocked in SWAP.HIVE, ...) and sell orders (symbol, quantity, ...)
+ */
+async function fetchHeOpenOrders(account) {
+  const buy = await findContractRecords('market', 'buyBook', { account });
+  const sell = await findContractRecords('market', 'sellBook', { account });
+  return { buy, sell };
+}
+
+/**
+ * Fetch the precision (number of decimals) of Hive-Engine tokens from their metadata
+ * @param {Array<string>} symbols - Token symbols
+ * @returns {Promise<Map>} - Precision by symbol, for the tokens that exist
+ */
+async function fetchHeTokenPrecisions(symbols) {
+  const precisions = new Map();
+  // The contracts API returns at most 1000 records per query
+  for (let i = 0; i < symbols.length; i += 1000) {
+    const tokens = await findContractRecords('tokens', 'tokens', { symbol: { $in: symbols.slice(i, i + 1000) } });
+    for (const token of tokens) {
+      if (Number.isInteger(token.precision)) precisions.set(token.symbol, token.precision);
+    }
+  }
+  return precisions;
+}
+
+/**
+ * Query a table of a Hive-Engine smart contract
+ * @param {string} contract - Contract name
+ * @param {string} table - Table name
+ * @param {Object} query - MongoDB-style query
+ * @returns {Promise<Array>} - Matching records, up to 1000
+ */
+async function findContractRecords(contract, table, query) {
+  const response = await axios.post(HE_CONTRACTS_ENDPOINT, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'find',
+    params: { contract, table, query, limit: 1000 }
+  });
+  if (response.data.error) {
+    throw new Error(response.data.error.message || JSON.stringify(response.data.error));
+  }
+  return response.data.result || [];
+}
+
+module.exports = {
+  ALL_SYMBOLS,
+  fetchHeHistory,
+  fetchHeBalances,
+  fetchHeOpenOrders,
+  fetchHeTokenPrecisions
+};
@@ -0,0 +1,151 @@
+/**
+ * Hive-Engine market order matching: ties market_buy/market_sell fills and
+ * market_cancel refunds back to the market_placeOrder they belong to, so a
+ * single order split across many fills can be reported per fill or as one
+ * trade.
+ */
+
+const { MAX_PRECISION, decimalsOf, normalize, add, isPositive } = require('./decimal');
+
+const TRADE_GROUPINGS = ['fill', 'order'];
+
+// Relative price difference still treated as the same limit price; fill
+// quantities are rounded to the token precision, so their price drifts a little
+const PRICE_TOLERANCE = 0.001;
+
+// Quantities below this count as fully filled
+const EPSILON = 1e-8;
+
+// Operations at the same timestamp are applied in this order
+const OPERATION_ORDER = {
+  market_placeOrder: 0,
+  market_buy: 1,
+  market_sell: 1,
+  market_cancel: 2
+};
+
+/**
+ * Parse a quantity field as a number, for matching prices and quantities;
+ * reported amounts stay exact decimal strings
+ * @param {string|number} value - Quantity
+ * @returns {number} - Parsed quantity, 0 when missing
+ */
+function toQuantity(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+}
+
+/**
+ * The other party of a fill
+ * @param {Object} tx - market_buy or market_sell history item
+ * @param {string} account - Our account
+ * @returns {string} - Counterparty account, or '' when unknown
+ */
+function fillCounterparty(tx, account) {
+  if (tx.from && tx.from !== account) return tx.from;
+  if (tx.to && tx.to !== account) return tx.to;
+  return '';
+}
+
+/**
+ * Market fee charged on a fill, when the history reports one
+ * @param {Object} tx - market_buy or market_sell history item
+ * @returns {Object} - { amount, symbol }, both '' when no fee was charged
+ */
+function fillFee(tx) {
+  if (!isPositive(tx.fee)) {
+    return { amount: '', symbol: '' };
+  }
+  const amount = normalize(tx.fee, decimalsOf(tx.fee));
+  // Fees are taken from what the fill pays out
+  const symbol = tx.feeSymbol || (tx.operation === 'market_buy' ? tx.symbol : 'SWAP.HIVE');
+  return { amount, symbol };
+}
+
+/**
+ * Check whether an order can take a fill at a price
+ * @param {Object} order - Open order
+ * @param {number} price - Fill price in SWAP.HIVE per token
+ * @returns {boolean} - True if the fill price is the order's limit price
+ */
+function priceMatches(order, price) {
+  return order.price > 0 && Math.abs(price - order.price) <= order.price * PRICE_TOLERANCE;
+}
+
+/**
+ * Match fills and cancels to the orders they belong to
+ * @param {Array<Object>} transactions - Hive-Engine history items, any order
+ * @returns {Object} - { orders, orderOf }: orders by id, and a Map from fill/cancel item to its order
+ */
+function matchOrders(transactions) {
+  const orders = new Map();
+  const orderOf = new Map();
+
+  const sorted = transactions
+    .filter(tx => tx.operation in OPERATION_ORDER)
+    .sort((a, b) => a.timestamp - b.timestamp || OPERATION_ORDER[a.operation] - OPERATION_ORDER[b.operation]);
+
+  const openOrders = (symbol, side) => [...orders.values()]
+    .filter(order => order.symbol === symbol && order.side === side && order.open);
+
+  for (const tx of sorted) {
+    if (tx.operation === 'market_placeOrder') {
+      const price = toQuantity(tx.price);
+      const quantityLocked = toQuantity(tx.quantityLocked);
+      orders.set(tx.transactionId, {
+        id: tx.transactionId,
+        symbol: tx.symbol,
+        side: tx.orderType,
+        price,
+        // Buy orders lock SWAP.HIVE, sell orders lock the tokens themselves
+        remainingTokens: tx.orderType === 'buy' ? (price > 0 ? quantityLocked / price : 0) : quantityLocked,
+        timestamp: tx.timestamp,
+        fills: [],
+        refunded: '0',
+        open: true
+      });
+      continue;
+    }
+
+    if (tx.operation === 'market_cancel') {
+      // Cancels name the order when the history records it; otherwise take the newest open order of that side
+      const candidates = openOrders(tx.symbol, tx.orderType);
+      const order = orders.get(tx.orderID) || orders.get(tx.orderId) || candidates[candidates.length - 1];
+      if (order) {
+        order.refunded = add(order.refunded, tx.quantityReturned, MAX_PRECISION);
+        order.open = false;
+        orderOf.set(tx, order);
+      }
+      continue;
+    }
+
+    const side = tx.operation === 'market_buy' ? 'buy' : 'sell';
+    const tokens = toQuantity(tx.quantityTokens);
+    const price = tokens > 0 ? toQuantity(tx.quantityHive) / tokens : 0;
+
+    // A fill in the transaction that placed the order is the order taking liquidity,
+    // at whatever price the book offered; later fills happen at the order's own price
+    let order = orders.get(tx.transactionId);
+    if (!order || order.side !== side || order.symbol !== tx.symbol) {
+      order = openOrders(tx.symbol, side).find(candidate => priceMatches(candidate, price));
+    }
+    if (order) {
+      order.fills.push(tx);
+      order.remainingTokens -= tokens;
+      if (order.remainingTokens <= EPSILON) {
+        order.open = false;
+      }
+      orderOf.set(tx, order);
+    }
+  }
+
+  return { orders, orderOf };
+}
+
+module.exports = {
+  TRADE_GROUPINGS,
+  toQuantity,
+  fillCounterparty,
+  fillFee,
+  matchOrders
+};
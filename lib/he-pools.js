@@ -0,0 +1,118 @@
+/**
+ * Hive-Engine liquidity pool (marketpools) history items: swaps, adding and
+ * removing liquidity, and the rewards paid to liquidity providers.
+ */
+
+const { toQuantity } = require('./he-market');
+const { MAX_PRECISION, normalize, isPositive } = require('./decimal');
+
+// Contracts that pay out liquidity pool rewards
+const POOL_REWARD_CONTRACTS = ['distribution', 'marketpools'];
+
+/**
+ * Read the first present field of a history item
+ * @param {Object} tx - History item
+ * @param {Array<string>} fields - Field names, in order of preference
+ * @returns {*} - Field value, or undefined
+ */
+function firstField(tx, fields) {
+  const field = fields.find(name => tx[name] !== undefined && tx[name] !== '');
+  return field ? tx[field] : undefined;
+}
+
+/**
+ * Split a pool's token pair, e.g. "SWAP.HIVE:BEE"
+ * @param {string} tokenPair - Token pair
+ * @returns {Array<string>} - [base, quote]
+ */
+function splitTokenPair(tokenPair) {
+  const [base = '', quote = ''] = String(tokenPair || '').split(':');
+  return [base, quote];
+}
+
+/**
+ * Asset name used for the shares of a pool
+ * @param {string} tokenPair - Token pair
+ * @returns {string} - LP share asset, e.g. "LP:SWAP.HIVE:BEE"
+ */
+function lpSymbol(tokenPair) {
+  return `LP:${tokenPair}`;
+}
+
+/**
+ * Check whether an asset is a pool share
+ * @param {string} symbol - Asset symbol
+ * @returns {boolean} - True for LP shares
+ */
+function isLpSymbol(symbol) {
+  return String(symbol || '').startsWith('LP:');
+}
+
+/**
+ * Both legs of a swap
+ * @param {Object} tx - marketpools_swapTokens history item
+ * @returns {Object|null} - { tokenPair, inAmount, inSymbol, outAmount, outSymbol } seen from our side, or null when incomplete
+ */
+function parseSwap(tx) {
+  const swap = {
+    tokenPair: tx.tokenPair || '',
+    // What the pool paid us
+    inAmount: normalize(firstField(tx, ['quantityOut', 'amountOut']), MAX_PRECISION),
+    inSymbol: firstField(tx, ['symbolOut', 'tokenOut']) || '',
+    // What we paid the pool
+    outAmount: normalize(firstField(tx, ['quantityIn', 'amountIn']), MAX_PRECISION),
+    outSymbol: firstField(tx, ['symbolIn', 'tokenIn']) || ''
+  };
+  if (!swap.inSymbol || !swap.outSymbol || !isPositive(swap.inAmount) || !isPositive(swap.outAmount)) {
+    return null;
+  }
+  return swap;
+}
+
+/**
+ * Token amounts and shares of adding or removing liquidity
+ * @param {Object} tx - marketpools_addLiquidity or marketpools_removeLiquidity history item
+ * @returns {Object|null} - { tokenPair, legs: [{ amount, symbol }, ...], shares, sharesEstimated }, or null when incomplete
+ */
+function parseLiquidity(tx) {
+  const [base, quote] = splitTokenPair(tx.tokenPair);
+  const legs = [
+    { amount: normalize(firstField(tx, ['baseQuantity', 'quantityBase']), MAX_PRECISION), symbol: tx.baseSymbol || base },
+    { amount: normalize(firstField(tx, ['quoteQuantity', 'quantityQuote']), MAX_PRECISION), symbol: tx.quoteSymbol || quote }
+  ].filter(leg => isPositive(leg.amount) && leg.symbol);
+  if (legs.length === 0) {
+    return null;
+  }
+
+  // The history does not always carry the shares; for a constant-product pool
+  // the geometric mean of both amounts is proportional to them
+  let shares = normalize(firstField(tx, ['shares', 'sharesOut', 'sharesIn', 'quantityShares']), MAX_PRECISION);
+  const sharesEstimated = !isPositive(shares);
+  if (sharesEstimated) {
+    // An estimate either way, so floating point is good enough here
+    shares = normalize(legs.length === 2 ? Math.sqrt(toQuantity(legs[0].amount) * toQuantity(legs[1].amount)) : 0, MAX_PRECISION);
+  }
+
+  return { tokenPair: tx.tokenPair || `${base}:${quote}`, legs, shares, sharesEstimated };
+}
+
+/**
+ * Check whether a history item is a liquidity pool reward paid to us
+ * @param {Object} tx - History item
+ * @param {string} account - Our account
+ * @returns {boolean} - True for pool rewards
+ */
+function isPoolReward(tx, account) {
+  return tx.operation === 'tokens_transferFromContract'
+    && POOL_REWARD_CONTRACTS.includes(tx.from)
+    && tx.to === account
+    && isPositive(tx.quantity);
+}
+
+module.exports = {
+  lpSymbol,
+  isLpSymbol,
+  parseSwap,
+  parseLiquidity,
+  isPoolReward
+};
@@ -0,0 +1,118 @@
+/**
+ * Holdings snapshot (formue): what an account held at the start and at the
+ * end of the period. The chain only reports balances as they are today, so
+ * they are rolled back with the balance changes since: the closing holdings
+ * are today's balances less what changed after the period, and the opening
+ * holdings are the closing ones less what changed within it.
+ */
+
+const { writeCsvFile } = require('./csv');
+const { formatTimestamp } = require('./transaction');
+const { normalize, subtract, compare } = require('./decimal');
+
+// Columns of the holdings report
+const HOLDINGS_HEADER = ['account', 'asset', 'balance', 'opening', 'closing', 'opening_value', 'closing_value', 'currency', 'note'];
+
+const NUMERIC_COLUMNS = ['opening', 'closing', 'opening_value', 'closing_value'];
+
+/**
+ * Take balance changes off balances
+ * @param {Map<string, string>} balances - Amounts keyed by balanceKey
+ * @param {Map<string, Object>} changes - { asset, balance, change } keyed by balanceKey
+ * @param {Function} precisionOf - Decimals of an asset
+ * @returns {Map<string, Object>} - { asset, balance, amount } keyed by balanceKey
+ */
+function rollBack(balances, changes, precisionOf) {
+  const result = new Map();
+  for (const [key, amount] of balances) {
+    const [asset, balance] = key.split('|');
+    result.set(key, { asset, balance, amount: normalize(amount, precisionOf(asset)) });
+  }
+  for (const [key, { asset, balance, change }] of changes) {
+    const previous = result.has(key) ? result.get(key).amount : '0';
+    result.set(key, { asset, balance, amount: subtract(previous, change, precisionOf(asset)) });
+  }
+  return result;
+}
+
+/**
+ * Holdings at the start and end of the period, from today's balances
+ * @param {string} account - Account the balances belong to
+ * @param {Map<string, string>} current - Today's amounts keyed by balanceKey
+ * @param {Object} changes - { later, period }: changes after and within the period, as balanceChanges returns them
+ * @param {Function} precisionOf - Decimals of an asset
+ * @returns {Array<Object>} - Lines of { account, asset, balance, opening, closing, note }, leaving out balances that were empty throughout
+ */
+function holdingsFromCurrent(account, current, changes, precisionOf) {
+  const closing = rollBack(current, changes.later, precisionOf);
+  const amounts = new Map([...closing].map(([key, { amount }]) => [key, amount]));
+  const opening = rollBack(amounts, changes.period, precisionOf);
+
+  const lines = [];
+  for (const [key, { asset, balance, amount }] of opening) {
+    const closingAmount = closing.has(key) ? closing.get(key).amount : normalize(0, precisionOf(asset));
+    const line = { account, asset, balance, opening: amount, closing: closingAmount, note: '' };
+    if (compare(line.opening, 0) < 0 || compare(line.closing, 0) < 0) {
+      line.note = 'negative: history is incomplete or has operations that are not tracked';
+    }
+    if (compare(line.opening, 0) !== 0 || compare(line.closing, 0) !== 0) {
+      lines.push(line);
+    }
+  }
+  return lines.sort((a, b) => a.asset.localeCompare(b.asset) || a.balance.localeCompare(b.balance));
+}
+
+/**
+ * When the holdings are valued: the first second of the period and its last
+ * second, or now while the period is still running
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period (exclusive)
+ * @returns {Object} - { opening, closing } timestamps
+ */
+function holdingTimestamps(startDate, endDate) {
+  return {
+    opening: formatTimestamp(startDate),
+    closing: formatTimestamp(new Date(Math.min(endDate.getTime() - 1000, Date.now())))
+  };
+}
+
+/**
+ * Value the holdings at the start and end of the period
+ * @param {Array<Object>} lines - Holdings lines, valued in place
+ * @param {Object} oracle - Price oracle
+ * @param {Object} timestamps - { opening, closing }: when the holdings are valued
+ * @param {Function} [priceAsset] - Maps a line to the asset its amounts are priced as
+ */
+async function valueHoldings(lines, oracle, timestamps, priceAsset = line => line.asset) {
+  for (const line of lines) {
+    const asset = priceAsset(line);
+    for (const side of ['opening', 'closing']) {
+      const value = compare(line[side], 0) === 0 ? 0 : await oracle.value(line[side], asset, timestamps[side]);
+      line[`${side}_value`] = value === null ? '' : value.toFixed(2);
+    }
+    line.currency = oracle.currency;
+  }
+}
+
+/**
+ * Write the holdings report
+ * @param {string} filename - Report filename
+ * @param {Array<Object>} lines - Holdings lines
+ * @param {Object} format - CSV format (delimiter, decimalSeparator, bom)
+ */
+function writeHoldings(filename, lines, format) {
+  const rows = lines.map(line => HOLDINGS_HEADER.map(column => line[column] === undefined ? '' : line[column]));
+  writeCsvFile(filename, HOLDINGS_HEADER, rows, { format, numericColumns: NUMERIC_COLUMNS });
+  console.log(`✓ Wrote ${lines.length} holdings to ${filename}`);
+  for (const line of lines.filter(line => line.note.startsWith('negative'))) {
+    console.warn(`⚠ ${line.account} ${line.asset} ${line.balance}: ${line.note}`);
+  }
+}
+
+module.exports = {
+  HOLDINGS_HEADER,
+  holdingTimestamps,
+  holdingsFromCurrent,
+  valueHoldings,
+  writeHoldings
+};
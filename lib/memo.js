@@ -0,0 +1,113 @@
+/**
+ * Encrypted transfer memos. A memo starting with "#" followed by base58 text
+ * was encrypted with the memo keys of the sender and receiver; copied as it is
+ * it only fills the note with noise. With the account's private memo key it is
+ * decrypted locally, and otherwise replaced with a marker. The keys are only
+ * held in memory and never written anywhere.
+ */
+
+const fs = require('fs');
+const { Memo, PrivateKey } = require('@hiveio/dhive');
+
+// Environment variable that can hold private memo keys, comma-separated
+const MEMO_KEY_ENV = 'HIVE_MEMO_KEY';
+
+// Written in place of a memo that could not be decrypted
+const ENCRYPTED_MEMO_MARKER = '[encrypted memo]';
+
+// Encrypted memos are long base58 strings; a short "#tag" memo is plain text
+const ENCRYPTED_MEMO_PATTERN = /^#[1-9A-HJ-NP-Za-km-z]{50,}$/;
+
+/**
+ * Check whether a memo is encrypted
+ * @param {string} memo - Transfer memo
+ * @returns {boolean} - True if the memo is encrypted
+ */
+function isEncryptedMemo(memo) {
+  return typeof memo === 'string' && ENCRYPTED_MEMO_PATTERN.test(memo);
+}
+
+/**
+ * Load private memo keys from the environment and an optional key file with
+ * one key per line. Invalid keys fail without showing the key.
+ * @param {string} [keyFile] - Key file
+ * @param {Object} [env] - Environment variables
+ * @returns {Array<PrivateKey>} - Private memo keys
+ */
+function loadMemoKeys(keyFile, env = process.env) {
+  const sources = [];
+  if (env[MEMO_KEY_ENV]) {
+    sources.push({ name: MEMO_KEY_ENV, keys: env[MEMO_KEY_ENV].split(',') });
+  }
+  if (keyFile) {
+    sources.push({ name: keyFile, keys: fs.readFileSync(keyFile, 'utf8').split(/\r?\n/) });
+  }
+
+  const keys = [];
+  for (const { name, keys: values } of sources) {
+    values.map(value => value.trim()).filter(Boolean).forEach((value, index) => {
+      try {
+        keys.push(PrivateKey.fromString(value));
+      } catch (error) {
+        throw new Error(`${name}: key ${index + 1} is not a valid private memo key`);
+      }
+    });
+  }
+  return keys;
+}
+
+class MemoReader {
+  /**
+   * @param {Array<PrivateKey>} [keys] - Private memo keys to decrypt with
+   */
+  constructor(keys = []) {
+    this.keys = keys;
+    this.decrypted = 0;
+    this.hidden = 0;
+  }
+
+  /**
+   * Readable text of a memo: plain memos as they are, encrypted ones decrypted
+   * with the first key that fits, or the marker when none does
+   * @param {string} memo - Transfer memo
+   * @returns {string} - Memo text
+   */
+  read(memo) {
+    if (!isEncryptedMemo(memo)) return memo || '';
+    for (const key of this.keys) {
+      try {
+        const text = Memo.decode(key, memo);
+        this.decrypted++;
+        return text.startsWith('#') ? text.substring(1) : text;
+      } catch (error) {
+        // Not encrypted for this key, try the next one
+      }
+    }
+    this.hidden++;
+    return ENCRYPTED_MEMO_MARKER;
+  }
+
+  /**
+   * Print how many encrypted memos were decrypted and how many hidden
+   * @param {string} account - Account whose memos were read
+   */
+  report(account) {
+    if (this.decrypted > 0) {
+      console.log(`✓ ${account}: decrypted ${this.decrypted} encrypted memo${this.decrypted === 1 ? '' : 's'}`);
+    }
+    if (this.hidden > 0) {
+      const hint = this.keys.length > 0
+        ? 'none of the memo keys given fit them'
+        : `set ${MEMO_KEY_ENV} or --memo-key-file to decrypt them`;
+      console.log(`${account}: ${this.hidden} encrypted memo${this.hidden === 1 ? '' : 's'} written as ${ENCRYPTED_MEMO_MARKER} (${hint})`);
+    }
+  }
+}
+
+module.exports = {
+  MEMO_KEY_ENV,
+  ENCRYPTED_MEMO_MARKER,
+  isEncryptedMemo,
+  loadMemoKeys,
+  MemoReader
+};
@@ -0,0 +1,144 @@
+/**
+ * Peg (bridge) movements between Hive L1 and Hive-Engine: HIVE/HBD sent to a
+ * gateway account is minted as SWAP.HIVE/SWAP.HBD on Hive-Engine, and burned
+ * SWAP tokens are paid out on L1 by the gateway. Both legs move the same
+ * funds between our own wallets; only the gateway fee leaves them.
+ */
+
+const { MAX_PRECISION, scale, compare } = require('./decimal');
+
+// Gateway accounts that run the Hive-Engine peg
+const DEFAULT_GATEWAYS = ['honey-swap', 'hive-engine', 'graphene-swap'];
+
+// Hive-Engine operations of the peg contract itself
+const PEG_OPERATIONS = {
+  hivepegged_buy: 'deposit',
+  hivepegged_withdraw: 'withdrawal'
+};
+
+// Longest time between the two legs of a peg movement, in seconds
+const PEG_WINDOW = 6 * 60 * 60;
+
+// Largest gateway fee, in percent of the amount, still accepted when linking legs by amount
+const MAX_FEE_PERCENT = 5;
+
+// Plain deposit memos name the Hive-Engine account to credit
+const ACCOUNT_MEMO_PATTERN = /^[a-z][a-z0-9.-]{2,15}$/;
+
+// Hive-Engine transaction ids are 40 hex characters
+const HE_TXID_PATTERN = /\b[0-9a-f]{40}\b/gi;
+
+/**
+ * Hive-Engine token an L1 currency is pegged to
+ * @param {string} currency - HIVE or HBD
+ * @returns {string} - SWAP.HIVE or SWAP.HBD
+ */
+function pegSymbol(currency) {
+  return `SWAP.${currency}`;
+}
+
+/**
+ * Check whether a memo is a Hive-Engine peg instruction, e.g. the JSON memo
+ * {"id":"ssc-mainnet-hive","json":{"contractName":"hivepegged",...}}
+ * @param {string} memo - Transfer memo
+ * @returns {boolean} - True for peg memos
+ */
+function isPegMemo(memo) {
+  if (!memo || !memo.trim().startsWith('{')) return false;
+  try {
+    const parsed = JSON.parse(memo);
+    const payloads = [].concat(parsed && parsed.json !== undefined ? parsed.json : parsed);
+    return payloads.some(payload => payload && payload.contractName === 'hivepegged');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Recognize the L1 leg of a peg movement
+ * @param {Object} operation - transfer operation
+ * @param {string} account - Our account
+ * @param {Array<string>} gateways - Gateway accounts
+ * @returns {Object|null} - { direction: 'deposit'|'withdrawal', gateway }, or null for other transfers
+ */
+function l1PegLeg(operation, account, gateways) {
+  const incoming = operation.to === account;
+  const gateway = incoming ? operation.from : operation.to;
+  const currency = String(operation.amount).split(' ')[1];
+  if (!['HIVE', 'HBD'].includes(currency)) return null;
+  if (!gateways.includes(gateway) && !(!incoming && isPegMemo(operation.memo))) return null;
+  // A deposit whose memo names another account credits that account on Hive-Engine
+  const memo = String(operation.memo || '').trim();
+  if (!incoming && ACCOUNT_MEMO_PATTERN.test(memo) && memo !== account) return null;
+  return { direction: incoming ? 'withdrawal' : 'deposit', gateway };
+}
+
+/**
+ * Recognize the Hive-Engine leg of a peg movement
+ * @param {Object} tx - Hive-Engine history item
+ * @param {string} account - Our account
+ * @param {Array<string>} gateways - Gateway accounts
+ * @returns {Object|null} - { direction: 'deposit'|'withdrawal', gateway }, or null for other items
+ */
+function hePegLeg(tx, account, gateways) {
+  if (!String(tx.symbol).startsWith('SWAP.')) return null;
+  if (PEG_OPERATIONS[tx.operation]) {
+    return { direction: PEG_OPERATIONS[tx.operation], gateway: tx.to === account ? tx.from || '' : tx.to || '' };
+  }
+  if (!['tokens_transfer', 'tokens_issue'].includes(tx.operation)) return null;
+  if (tx.to === account && gateways.includes(tx.from)) {
+    return { direction: 'deposit', gateway: tx.from };
+  }
+  if (tx.from === account && gateways.includes(tx.to)) {
+    return { direction: 'withdrawal', gateway: tx.to };
+  }
+  return null;
+}
+
+/**
+ * Link L1 peg transfers to their Hive-Engine legs. A Hive-Engine transaction id
+ * in the L1 memo links directly; otherwise the closest leg in time of the same
+ * direction and token is taken whose amount differs by no more than a fee.
+ * Deposits reach Hive-Engine after the L1 transfer, withdrawals leave it before.
+ * @param {Array<Object>} pegs - L1 legs: { direction, amount (decimal string), symbol, timestamp (seconds), memo }
+ * @param {Array<Object>} heLegs - Hive-Engine legs: { direction, amount (decimal string), symbol, timestamp (seconds), transactionId }
+ * @returns {Map} - L1 leg to its Hive-Engine leg
+ */
+function linkPegLegs(pegs, heLegs) {
+  const links = new Map();
+  const used = new Set();
+
+  for (const peg of [...pegs].sort((a, b) => a.timestamp - b.timestamp)) {
+    const candidates = heLegs.filter(leg => !used.has(leg) && leg.direction === peg.direction && leg.symbol === peg.symbol);
+    const txids = (String(peg.memo || '').match(HE_TXID_PATTERN) || []).map(id => id.toLowerCase());
+
+    let match = candidates.find(leg => txids.includes(String(leg.transactionId).toLowerCase()));
+    if (!match) {
+      const deposit = peg.direction === 'deposit';
+      match = candidates
+        .filter(leg => {
+          const delay = deposit ? leg.timestamp - peg.timestamp : peg.timestamp - leg.timestamp;
+          // What arrives on the other side is the amount sent less the fee
+          const [sent, received] = deposit ? [peg.amount, leg.amount] : [leg.amount, peg.amount];
+          return delay >= 0 && delay <= PEG_WINDOW && compare(received, sent) <= 0
+            && compare(received, scale(sent, 100 - MAX_FEE_PERCENT, 100, MAX_PRECISION)) >= 0;
+        })
+        .sort((a, b) => Math.abs(a.timestamp - peg.timestamp) - Math.abs(b.timestamp - peg.timestamp))[0];
+    }
+    if (match) {
+      used.add(match);
+      links.set(peg, match);
+    }
+  }
+
+  return links;
+}
+
+module.exports = {
+  DEFAULT_GATEWAYS,
+  PEG_WINDOW,
+  pegSymbol,
+  l1PegLeg,
+  hePegLeg,
+  linkPegLegs
+};
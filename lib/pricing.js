@@ -0,0 +1,398 @@
+/**
+ * Fiat valuation of exported rows. Prices come from pluggable sources that
+ * are tried in order; a price quoted in another currency (e.g. a Hive-Engine
+ * token priced in HIVE, or HIVE priced in USD) is converted by looking up the
+ * quote currency itself, until the target fiat currency is reached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const SUPPORTED_CURRENCIES = ['NOK', 'USD', 'EUR'];
+const PRICE_SOURCES = ['csv', 'hive-market', 'he-market'];
+
+// How many days back a daily price may be reused when a day has none (weekends for FX rates)
+const MAX_PRICE_AGE_DAYS = 5;
+
+// Quote currencies are followed at most this many hops, e.g. token -> HIVE -> USD -> NOK
+const MAX_CONVERSION_DEPTH = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the YYYY-MM-DD day key of a timestamp
+ * @param {string|Date} timestamp - Row timestamp ("2024-01-01 12:00:00") or Date
+ * @returns {string} - Day key
+ */
+function dayKey(timestamp) {
+  if (timestamp instanceof Date) {
+    return timestamp.toISOString().slice(0, 10);
+  }
+  return String(timestamp).slice(0, 10);
+}
+
+/**
+ * Step a day key back by a number of days
+ * @param {string} day - Day key
+ * @param {number} days - Days to step back
+ * @returns {string} - Earlier day key
+ */
+function previousDay(day, days = 1) {
+  return dayKey(new Date(new Date(`${day}T00:00:00Z`).getTime() - days * DAY_MS));
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Daily prices from a local CSV file with the columns date,asset,price,currency.
+ * FX rates go in the same file, e.g. "2024-01-02,USD,10.45,NOK".
+ */
+class CsvPriceSource {
+  /**
+   * @param {string} filename - Path to the price file
+   */
+  constructor(filename) {
+    this.name = `csv:${path.basename(filename)}`;
+    this.prices = {};
+
+    const lines = fs.readFileSync(filename, 'utf8').split(/\r?\n/);
+    for (const [index, line] of lines.entries()) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const [date, asset, price, currency] = trimmed.split(',').map(field => field.trim());
+      if (index === 0 && date.toLowerCase() === 'date') continue;
+
+      const value = parseFloat(price);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !asset || !currency || isNaN(value)) {
+        throw new Error(`${filename}:${index + 1}: expected "date,asset,price,currency", got "${trimmed}"`);
+      }
+      this.prices[`${asset.toUpperCase()}@${date}`] = { price: value, currency: currency.toUpperCase() };
+    }
+  }
+
+  /**
+   * Look up the price of an asset on a day
+   * @param {string} asset - Asset symbol
+   * @param {string} day - Day key
+   * @returns {Promise<Object|null>} - { price, currency } or null
+   */
+  async getPrice(asset, day) {
+    for (let age = 0; age <= MAX_PRICE_AGE_DAYS; age++) {
+      const entry = this.prices[`${asset}@${previousDay(day, age)}`];
+      if (entry) return entry;
+    }
+    return null;
+  }
+}
+
+/**
+ * HIVE and HBD prices from the Hive internal market. HIVE is valued at the
+ * median fill price of the day in HBD, and HBD is taken at its 1 USD peg.
+ */
+class HiveMarketPriceSource {
+  /**
+   * @param {Client} client - Hive client
+   */
+  constructor(client) {
+    this.name = 'hive-market';
+    this.client = client;
+    this.cache = {};
+  }
+
+  /**
+   * Median HBD-per-HIVE fill price for one day
+   * @param {string} day - Day key
+   * @returns {Promise<number|null>} - Price in HBD, or null if nothing traded
+   */
+  async fetchDailyMedian(day) {
+    const end = `${dayKey(new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS))}T00:00:00`;
+    const prices = [];
+    let start = `${day}T00:00:00`;
+
+    // get_trade_history returns at most 1000 fills per call, so page forward through the day
+    while (true) {
+      const trades = await this.client.call('condenser_api', 'get_trade_history', [start, end, 1000]);
+      for (const trade of trades) {
+        const [currentAmount, currentSymbol] = trade.current_pays.split(' ');
+        const [openAmount] = trade.open_pays.split(' ');
+        const hive = parseFloat(currentSymbol === 'HIVE' ? currentAmount : openAmount);
+        const hbd = parseFloat(currentSymbol === 'HIVE' ? openAmount : currentAmount);
+        if (hive > 0) prices.push(hbd / hive);
+      }
+      if (trades.length < 1000) break;
+
+      const lastDate = trades[trades.length - 1].date;
+      const next = new Date(new Date(`${lastDate}Z`).getTime() + 1000).toISOString().slice(0, 19);
+      if (next <= start) break;
+      start = next;
+    }
+
+    if (prices.length > 0) {
+      return median(prices);
+    }
+
+    // Fall back to the volume-weighted price of the daily market bucket
+    const buckets = await this.client.call('condenser_api', 'get_market_history', [86400, `${day}T00:00:00`, end]);
+    const bucket = buckets.find(entry => entry.open.startsWith(day));
+    if (bucket && bucket.hive.volume > 0) {
+      return bucket.non_hive.volume / bucket.hive.volume;
+    }
+    return null;
+  }
+
+  async getPrice(asset, day) {
+    if (asset === 'HBD') {
+      return { price: 1, currency: 'USD' };
+    }
+    if (asset !== 'HIVE') {
+      return null;
+    }
+
+    if (!(day in this.cache)) {
+      this.cache[day] = await this.fetchDailyMedian(day);
+    }
+    const price = this.cache[day];
+    return price ? { price, currency: 'USD' } : null;
+  }
+}
+
+/**
+ * Hive-Engine token prices in HIVE from the daily market history
+ */
+class HeMarketPriceSource {
+  /**
+   * @param {Date} startDate - Start of the export period
+   * @param {Date} endDate - End of the export period (exclusive)
+   * @param {string} [endpoint] - Hive-Engine market history endpoint
+   */
+  constructor(startDate, endDate, endpoint = 'https://accounts.hive-engine.com/marketHistory') {
+    this.name = 'he-market';
+    this.endpoint = endpoint;
+    // Include a few days before the period so early rows can fall back to an earlier price
+    this.timestampStart = Math.floor(startDate.getTime() / 1000) - MAX_PRICE_AGE_DAYS * 86400;
+    this.timestampEnd = Math.floor(endDate.getTime() / 1000);
+    this.history = {};
+  }
+
+  /**
+   * Fetch the daily history of one token for the whole period
+   * @param {string} symbol - Token symbol
+   * @returns {Promise<Object>} - Price in HIVE keyed by day
+   */
+  async fetchHistory(symbol) {
+    const response = await axios.get(this.endpoint, {
+      params: {
+        symbol,
+        timestampStart: this.timestampStart,
+        timestampEnd: this.timestampEnd
+      }
+    });
+
+    const prices = {};
+    for (const entry of response.data || []) {
+      const volumeHive = parseFloat(entry.volumeHive || entry.volumeSteem);
+      const volumeToken = parseFloat(entry.volumeToken);
+      const price = volumeHive > 0 && volumeToken > 0
+        ? volumeHive / volumeToken
+        : parseFloat(entry.closePrice);
+      if (!isNaN(price) && price > 0) {
+        prices[dayKey(new Date(entry.timestamp * 1000))] = price;
+      }
+    }
+    return prices;
+  }
+
+  async getPrice(asset, day) {
+    if (asset === 'HIVE' || asset === 'HBD' || asset === 'SWAP.HIVE' || SUPPORTED_CURRENCIES.includes(asset)) {
+      return null;
+    }
+
+    if (!this.history[asset]) {
+      this.history[asset] = await this.fetchHistory(asset);
+    }
+    for (let age = 0; age <= MAX_PRICE_AGE_DAYS; age++) {
+      const price = this.history[asset][previousDay(day, age)];
+      if (price) return { price, currency: 'HIVE' };
+    }
+    return null;
+  }
+}
+
+/**
+ * Resolves fiat prices through a chain of price sources and keeps track of
+ * everything it could not price
+ */
+class PriceOracle {
+  /**
+   * @param {Array<Object>} sources - Price sources, tried in order
+   * @param {string} currency - Target fiat currency
+   */
+  constructor(sources, currency) {
+    this.sources = sources;
+    this.currency = currency;
+    this.cache = {};
+    this.missing = {};
+  }
+
+  /**
+   * Price one unit of an asset in the target currency
+   * @param {string} asset - Asset symbol
+   * @param {string} day - Day key
+   * @param {number} [depth=0] - Conversion depth, used internally
+   * @returns {Promise<number|null>} - Price, or null if it cannot be resolved
+   */
+  async getPrice(asset, day, depth = 0) {
+    if (asset === this.currency) return 1;
+
+    const key = `${asset}@${day}`;
+    if (key in this.cache) return this.cache[key];
+
+    let result = null;
+    if (depth < MAX_CONVERSION_DEPTH) {
+      for (const source of this.sources) {
+        let quote;
+        try {
+          quote = await source.getPrice(asset, day);
+        } catch (error) {
+          console.warn(`⚠ Price source ${source.name} failed for ${asset} on ${day}: ${error.message}`);
+          continue;
+        }
+        if (!quote) continue;
+
+        const quoteRate = await this.getPrice(quote.currency, day, depth + 1);
+        if (quoteRate !== null) {
+          result = quote.price * quoteRate;
+          break;
+        }
+      }
+    }
+
+    if (result === null) {
+      this.missing[key] = { asset, day };
+    }
+    this.cache[key] = result;
+    return result;
+  }
+
+  /**
+   * Value an amount of an asset at a timestamp
+   * @param {number|string} amount - Amount
+   * @param {string} asset - Asset symbol
+   * @param {string} timestamp - Row timestamp
+   * @returns {Promise<number|null>} - Value in the target currency, or null
+   */
+  async value(amount, asset, timestamp) {
+    const quantity = parseFloat(amount);
+    if (!asset || isNaN(quantity)) return null;
+
+    const price = await this.getPrice(asset, dayKey(timestamp));
+    return price === null ? null : quantity * price;
+  }
+
+  /**
+   * Prices that could not be resolved, sorted by day
+   * @returns {Array<Object>} - Array of { asset, day }
+   */
+  getMissing() {
+    return Object.values(this.missing).sort((a, b) => a.day.localeCompare(b.day) || a.asset.localeCompare(b.asset));
+  }
+}
+
+/**
+ * Value every row and set its Verdi/Verdi-Valuta fields. The row value is
+ * the value of what came in, or of what went out when nothing came in.
+ * @param {Array<Object>} rows - Rows to value
+ * @param {PriceOracle} oracle - Price oracle
+ * @param {Function} getLegs - Maps a row to { in, out, fee }, each { amount, asset }
+ * @returns {Promise<number>} - Number of rows that could not be valued
+ */
+async function valueRows(rows, oracle, getLegs) {
+  let unvalued = 0;
+
+  for (const row of rows) {
+    const legs = getLegs(row);
+    const valuation = {};
+    for (const side of ['in', 'out', 'fee']) {
+      const leg = legs[side];
+      valuation[side] = leg && leg.asset ? await oracle.value(leg.amount, leg.asset, row.timestamp) : null;
+    }
+
+    const value = valuation.in !== null ? valuation.in : valuation.out;
+    row.valuation = valuation;
+    row.value = value === null ? '' : value.toFixed(2);
+    row.valueCurrency = value === null ? '' : oracle.currency;
+    if (value === null && (legs.in.asset || legs.out.asset)) {
+      unvalued++;
+    }
+  }
+
+  return unvalued;
+}
+
+/**
+ * Print and write a report of the prices that could not be resolved
+ * @param {PriceOracle} oracle - Price oracle
+ * @param {string} filename - Report filename
+ */
+function reportMissingPrices(oracle, filename) {
+  const missing = oracle.getMissing();
+  if (missing.length === 0) {
+    console.log(`✓ All rows valued in ${oracle.currency}`);
+    return;
+  }
+
+  const lines = ['date,asset,currency', ...missing.map(({ asset, day }) => `${day},${asset},${oracle.currency}`)];
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, lines.join('\n'));
+
+  const assets = [...new Set(missing.map(entry => entry.asset))].join(', ');
+  console.warn(`⚠ Missing ${oracle.currency} prices for ${missing.length} asset/day pairs (${assets})`);
+  console.warn(`⚠ Rows on those days have an empty Verdi column, see ${filename}`);
+}
+
+/**
+ * Build a price oracle from the command-line options
+ * @param {Object} pricing - { currency, sources, priceFile }
+ * @param {Object} period - { startDate, endDate }
+ * @param {Client} client - Hive client for the internal market source
+ * @returns {PriceOracle} - Configured price oracle
+ */
+function createPriceOracle(pricing, period, client) {
+  const sources = pricing.sources.map(name => {
+    switch (name) {
+      case 'csv':
+        return new CsvPriceSource(pricing.priceFile);
+      case 'hive-market':
+        return new HiveMarketPriceSource(client);
+      case 'he-market':
+        return new HeMarketPriceSource(period.startDate, period.endDate);
+      default:
+        throw new Error(`Unknown price source "${name}"`);
+    }
+  });
+  return new PriceOracle(sources, pricing.currency);
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  PRICE_SOURCES,
+  CsvPriceSource,
+  HiveMarketPriceSource,
+  HeMarketPriceSource,
+  PriceOracle,
+  valueRows,
+  reportMissingPrices,
+  createPriceOracle
+};
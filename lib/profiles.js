@@ -0,0 +1,260 @@
+/**
+ * Output profiles: how exported rows are written for a particular tax tool.
+ * Rows are built with the Kryptosekken type labels; each profile maps them to
+ * its own vocabulary and defines its columns, date format and number format.
+ */
+
+const { writeCsvFile } = require('./csv');
+const { TYPE_CATEGORIES } = require('./transaction');
+
+const DEFAULT_PROFILE = 'kryptosekken';
+
+/**
+ * Split an export timestamp ("YYYY-MM-DD HH:MM:SS", UTC) into its parts
+ * @param {string} timestamp - Row timestamp
+ * @returns {Object} - { year, month, day, time }
+ */
+function dateParts(timestamp) {
+  const [date, time = '00:00:00'] = String(timestamp).split(' ');
+  const [year, month, day] = date.split('-');
+  return { year, month, day, time };
+}
+
+const DATE_FORMATS = {
+  // 2024-03-01 12:00:00
+  iso: (timestamp) => timestamp,
+  // 2024-03-01 12:00:00 UTC
+  isoUtc: (timestamp) => `${timestamp} UTC`,
+  // 2024-03-01T12:00:00Z
+  iso8601: (timestamp) => `${String(timestamp).replace(' ', 'T')}Z`,
+  // 01.03.2024 12:00:00
+  dotted: (timestamp) => {
+    const { year, month, day, time } = dateParts(timestamp);
+    return `${day}.${month}.${year} ${time}`;
+  },
+  // 03/01/2024 12:00:00
+  us: (timestamp) => {
+    const { year, month, day, time } = dateParts(timestamp);
+    return `${month}/${day}/${year} ${time}`;
+  }
+};
+
+/**
+ * Profile definitions. `columns` lists [header, field of the profile row] pairs,
+ * `types` maps each category to the tool's label (a category left out cannot
+ * be expressed by the tool), and `format` holds the default delimiter and
+ * decimal separator. Columns listed in `valueColumns` are only written when
+ * rows are valued. Tools without a transfer between own wallets set
+ * `splitInternal`, and get internal moves as a withdrawal carrying the fee
+ * and a deposit, which they match up again.
+ */
+const PROFILES = {
+  kryptosekken: {
+    name: 'Kryptosekken',
+    columns: [
+      ['Tidspunkt', 'date'], ['Type', 'type'],
+      ['Inn', 'inAmount'], ['Inn-Valuta', 'inAsset'],
+      ['Ut', 'outAmount'], ['Ut-Valuta', 'outAsset'],
+      ['Gebyr', 'feeAmount'], ['Gebyr-Valuta', 'feeAsset'],
+      ['Marked', 'market'], ['Notat', 'note'],
+      ['Verdi', 'value'], ['Verdi-Valuta', 'valueCurrency']
+    ],
+    valueColumns: ['Verdi', 'Verdi-Valuta'],
+    numericColumns: ['Inn', 'Ut', 'Gebyr', 'Verdi'],
+    // Kryptosekken is the native vocabulary, so its types pass through as they are
+    types: null,
+    formatDate: DATE_FORMATS.iso,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  },
+  koinly: {
+    name: 'Koinly',
+    columns: [
+      ['Date', 'date'],
+      ['Sent Amount', 'outAmount'], ['Sent Currency', 'outAsset'],
+      ['Received Amount', 'inAmount'], ['Received Currency', 'inAsset'],
+      ['Fee Amount', 'feeAmount'], ['Fee Currency', 'feeAsset'],
+      ['Net Worth Amount', 'value'], ['Net Worth Currency', 'valueCurrency'],
+      ['Label', 'type'], ['Description', 'note'], ['TxHash', 'txid']
+    ],
+    valueColumns: [],
+    numericColumns: ['Sent Amount', 'Received Amount', 'Fee Amount', 'Net Worth Amount'],
+    // A row with both Sent and Received filled and no label is a transfer between own wallets
+    types: { trade: '', income: 'income', withdrawal: '', deposit: '', internal: '', spend: '', loss: 'lost' },
+    formatDate: DATE_FORMATS.isoUtc,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  },
+  cointracking: {
+    name: 'CoinTracking',
+    columns: [
+      ['Type', 'type'],
+      ['Buy Amount', 'inAmount'], ['Buy Currency', 'inAsset'],
+      ['Sell Amount', 'outAmount'], ['Sell Currency', 'outAsset'],
+      ['Fee', 'feeAmount'], ['Fee Currency', 'feeAsset'],
+      ['Exchange', 'market'], ['Trade-Group', 'group'], ['Comment', 'note'], ['Date', 'date']
+    ],
+    valueColumns: [],
+    numericColumns: ['Buy Amount', 'Sell Amount', 'Fee'],
+    types: { trade: 'Trade', income: 'Income', withdrawal: 'Withdrawal', deposit: 'Deposit', spend: 'Spend', loss: 'Lost' },
+    splitInternal: true,
+    formatDate: DATE_FORMATS.dotted,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  },
+  cointracker: {
+    name: 'CoinTracker',
+    columns: [
+      ['Date', 'date'],
+      ['Received Quantity', 'inAmount'], ['Received Currency', 'inAsset'],
+      ['Sent Quantity', 'outAmount'], ['Sent Currency', 'outAsset'],
+      ['Fee Amount', 'feeAmount'], ['Fee Currency', 'feeAsset'],
+      ['Tag', 'type']
+    ],
+    valueColumns: [],
+    numericColumns: ['Received Quantity', 'Sent Quantity', 'Fee Amount'],
+    // Like Koinly, a row with both sides filled and no tag is a transfer
+    types: { trade: '', income: 'payment', withdrawal: '', deposit: '', internal: '', spend: 'payment', loss: 'lost' },
+    formatDate: DATE_FORMATS.us,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  },
+  accointing: {
+    name: 'Accointing',
+    columns: [
+      ['transactionType', 'type'], ['date', 'date'],
+      ['inBuyAmount', 'inAmount'], ['inBuyAsset', 'inAsset'],
+      ['outSellAmount', 'outAmount'], ['outSellAsset', 'outAsset'],
+      ['feeAmount (optional)', 'feeAmount'], ['feeAsset (optional)', 'feeAsset'],
+      ['classification (optional)', 'classification'], ['operationId (optional)', 'txid'],
+      ['comments (optional)', 'note']
+    ],
+    valueColumns: [],
+    numericColumns: ['inBuyAmount', 'outSellAmount', 'feeAmount (optional)'],
+    types: { trade: 'order', income: 'deposit', withdrawal: 'withdraw', deposit: 'deposit', spend: 'withdraw', loss: 'withdraw' },
+    classifications: { income: 'income', spend: 'payment', loss: 'lost' },
+    splitInternal: true,
+    formatDate: DATE_FORMATS.us,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  },
+  generic: {
+    name: 'generic',
+    columns: [
+      ['date', 'date'], ['type', 'type'],
+      ['in_amount', 'inAmount'], ['in_asset', 'inAsset'],
+      ['out_amount', 'outAmount'], ['out_asset', 'outAsset'],
+      ['fee_amount', 'feeAmount'], ['fee_asset', 'feeAsset'],
+      ['value', 'value'], ['value_currency', 'valueCurrency'],
+      ['market', 'market'], ['txid', 'txid'], ['note', 'note']
+    ],
+    valueColumns: [],
+    numericColumns: ['in_amount', 'out_amount', 'fee_amount', 'value'],
+    types: { trade: 'trade', income: 'income', withdrawal: 'withdrawal', deposit: 'deposit', internal: 'internal', spend: 'spend', loss: 'loss' },
+    formatDate: DATE_FORMATS.iso8601,
+    format: { delimiter: ',', decimalSeparator: '.' }
+  }
+};
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+/**
+ * Look up a profile by name
+ * @param {string} [name] - Profile name, the default profile when omitted
+ * @returns {Object} - Profile definition
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown output format "${name}", expected one of ${PROFILE_NAMES.join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Column headers a profile writes
+ * @param {Object} profile - Profile definition
+ * @param {boolean} withValue - Whether rows are valued
+ * @returns {Array<string>} - Header
+ */
+function profileHeader(profile, withValue) {
+  return profile.columns
+    .map(([header]) => header)
+    .filter(header => withValue || !profile.valueColumns.includes(header));
+}
+
+/**
+ * Split an internal move into the withdrawal from one wallet, which carries
+ * the fee, and the deposit into the other
+ * @param {Object} row - Internal row
+ * @returns {Array<Object>} - Withdrawal and deposit rows
+ */
+function splitInternalRow(row) {
+  return [
+    { ...row, category: 'withdrawal', inAmount: '', inAsset: '' },
+    { ...row, category: 'deposit', outAmount: '', outAsset: '', feeAmount: '', feeAsset: '' }
+  ];
+}
+
+/**
+ * Map rows to the fields of a profile. Rows are normalized transactions (see
+ * ./transaction), with value and valueCurrency once valued.
+ * @param {Object} profile - Profile definition
+ * @param {Array<Object>} rows - Rows to write
+ * @param {boolean} withValue - Whether rows are valued
+ * @returns {Object} - { header, lines, skipped }: skipped counts rows per type the profile cannot express
+ */
+function profileLines(profile, rows, withValue) {
+  const header = profileHeader(profile, withValue);
+  const columns = profile.columns.filter(([name]) => header.includes(name));
+  const lines = [];
+  const skipped = {};
+
+  const split = rows.flatMap(row => profile.splitInternal && (row.category || TYPE_CATEGORIES[row.type]) === 'internal'
+    ? splitInternalRow(row)
+    : [row]);
+  for (const row of split) {
+    const category = row.category || TYPE_CATEGORIES[row.type];
+    let type = row.type;
+    if (profile.types) {
+      type = category ? profile.types[category] : undefined;
+      if (type === undefined) {
+        skipped[row.type] = (skipped[row.type] || 0) + 1;
+        continue;
+      }
+    }
+
+    const fields = {
+      ...row,
+      date: profile.formatDate(row.timestamp),
+      type,
+      classification: (profile.classifications && profile.classifications[category]) || '',
+      // Hive-Engine fills keep the market order they belong to
+      group: row.order ? row.order.id : ''
+    };
+    lines.push(columns.map(([, field]) => fields[field] === undefined ? '' : fields[field]));
+  }
+
+  return { header, lines, skipped };
+}
+
+/**
+ * Write rows to a CSV file in a profile's layout
+ * @param {string} filename - Output filename
+ * @param {Array<Object>} rows - Rows to write, see profileLines
+ * @param {Object} options - { profile, withValue, format }
+ * @returns {number} - Number of rows written
+ */
+function writeProfileCsv(filename, rows, options) {
+  const profile = options.profile || getProfile();
+  const { header, lines, skipped } = profileLines(profile, rows, Boolean(options.withValue));
+  writeCsvFile(filename, header, lines, { format: options.format, numericColumns: profile.numericColumns });
+
+  for (const [type, count] of Object.entries(skipped)) {
+    console.warn(`⚠ ${count} ${type} row${count === 1 ? '' : 's'} left out of ${filename}: ${profile.name} has no matching type`);
+  }
+  return lines.length;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_NAMES,
+  getProfile,
+  profileLines,
+  writeProfileCsv
+};
@@ -0,0 +1,169 @@
+/**
+ * Balance reconciliation: the opening balances plus the changes of every
+ * exported row must add up to the balances the account actually had at the
+ * end of the period. A difference means rows are missing or wrong, e.g. an
+ * operation type that is not handled or a history page that was skipped.
+ */
+
+const { readCsvFile, writeCsvFile } = require('./csv');
+const { transactionLedger } = require('./transaction');
+const { decimalsOf, normalize, add, subtract, compare } = require('./decimal');
+
+// Columns of the reconciliation report; the file can be read back as next period's opening balances
+const RECONCILIATION_HEADER = ['account', 'asset', 'balance', 'opening', 'change', 'expected', 'actual', 'difference', 'note'];
+
+const NUMERIC_COLUMNS = ['opening', 'change', 'expected', 'actual', 'difference'];
+
+/**
+ * Key of one balance of one asset
+ * @param {string} asset - Asset symbol
+ * @param {string} balance - Balance name, e.g. liquid or savings
+ * @returns {string} - Key
+ */
+function balanceKey(asset, balance) {
+  return `${asset}|${balance}`;
+}
+
+/**
+ * Add up the balance changes of exported rows
+ * @param {Array<Object>} rows - Normalized transactions
+ * @param {Function} [mapEntry] - Maps a ledger entry to the { asset, balance } it is reconciled as, or null to leave it out
+ * @returns {Map<string, Object>} - { asset, balance, change } keyed by balanceKey
+ */
+function balanceChanges(rows, mapEntry = entry => entry) {
+  const changes = new Map();
+  for (const row of rows) {
+    for (const entry of transactionLedger(row)) {
+      const target = mapEntry(entry);
+      if (!target) continue;
+      const key = balanceKey(target.asset, target.balance);
+      const previous = changes.has(key) ? changes.get(key).change : '0';
+      const precision = Math.max(decimalsOf(previous), decimalsOf(entry.amount));
+      changes.set(key, { asset: target.asset, balance: target.balance, change: add(previous, entry.amount, precision) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Read balances from CSV files: reconciliation reports of the previous
+ * period (their actual balances, or the expected ones where they had none),
+ * or files of their own with the columns asset,balance,amount and optionally account
+ * @param {Array<string>} filenames - Balances files
+ * @param {string} account - Account whose balances to read; lines for other accounts are skipped
+ * @returns {Map<string, string>} - Amounts keyed by balanceKey
+ */
+function readBalances(filenames, account) {
+  const balances = new Map();
+  for (const filename of filenames) {
+    for (const record of readCsvFile(filename)) {
+      if (record.account && record.account !== account) continue;
+      const value = [record.actual, record.expected, record.amount].find(field => field !== undefined && field !== '');
+      if (!record.asset || value === undefined) continue;
+      const amount = value.replace(',', '.');
+      if (!/^-?\d+(\.\d+)?$/.test(amount)) {
+        throw new Error(`${filename}: "${value}" is not an amount (${record.asset})`);
+      }
+      balances.set(balanceKey(record.asset, record.balance || 'liquid'), amount);
+    }
+  }
+  return balances;
+}
+
+/**
+ * Explain one line of the reconciliation report
+ * @param {Object} line - Reconciliation line
+ * @returns {string} - Note
+ */
+function reconciliationNote(line) {
+  if (line.opening === '') return 'no opening balance';
+  if (line.actual === '') return 'no actual balance';
+  const sign = compare(line.difference, 0);
+  if (sign === 0) return 'reconciled';
+  const amount = subtract(0, line.difference, decimalsOf(line.difference));
+  return sign > 0
+    ? `${line.difference} ${line.asset} more than the rows explain: income or deposits are missing`
+    : `${amount} ${line.asset} less than the rows explain: spending or withdrawals are missing`;
+}
+
+/**
+ * Reconcile the balance changes of the rows against opening and actual balances
+ * @param {string} account - Account the balances belong to
+ * @param {Map<string, Object>} changes - From balanceChanges
+ * @param {Object} balances - { opening, actual }: Maps of amounts keyed by balanceKey, either may be null
+ * @param {Function} precisionOf - Decimals of an asset
+ * @returns {Array<Object>} - Lines of { account, asset, balance, opening, change, expected, actual, difference, note };
+ *   opening, expected, actual and difference are '' where unknown
+ */
+function reconcileBalances(account, changes, balances, precisionOf) {
+  const { opening, actual } = balances;
+  const entries = new Map();
+  for (const [key, change] of changes) entries.set(key, change);
+  for (const source of [opening, actual]) {
+    for (const key of source ? source.keys() : []) {
+      if (!entries.has(key)) {
+        const [asset, balance] = key.split('|');
+        entries.set(key, { asset, balance, change: '0' });
+      }
+    }
+  }
+
+  const lines = [];
+  for (const [key, { asset, balance, change }] of entries) {
+    const precision = precisionOf(asset);
+    const line = { account, asset, balance, opening: '', change: normalize(change, precision), expected: '', actual: '', difference: '' };
+    if (opening) {
+      line.opening = normalize(opening.get(key) || 0, precision);
+      line.expected = add(line.opening, line.change, precision);
+    }
+    if (actual) {
+      line.actual = normalize(actual.get(key) || 0, precision);
+    }
+    if (line.expected !== '' && line.actual !== '') {
+      line.difference = subtract(line.actual, line.expected, precision);
+    }
+    line.note = reconciliationNote(line);
+    const amounts = [line.opening, line.change, line.actual].filter(amount => amount !== '');
+    if (amounts.some(amount => compare(amount, 0) !== 0)) {
+      lines.push(line);
+    }
+  }
+
+  return lines.sort((a, b) => a.asset.localeCompare(b.asset) || a.balance.localeCompare(b.balance));
+}
+
+/**
+ * Write the reconciliation report and print what it found
+ * @param {string} filename - Report filename
+ * @param {Array<Object>} lines - From reconcileBalances
+ * @param {Object} format - CSV format (delimiter, decimalSeparator, bom)
+ * @returns {Array<Object>} - The lines with a difference
+ */
+function writeReconciliation(filename, lines, format) {
+  writeCsvFile(filename, RECONCILIATION_HEADER, lines.map(line => RECONCILIATION_HEADER.map(column => line[column])),
+    { format, numericColumns: NUMERIC_COLUMNS });
+  console.log(`✓ Wrote ${lines.length} balances to ${filename}`);
+
+  const compared = lines.filter(line => line.difference !== '');
+  const discrepancies = compared.filter(line => compare(line.difference, 0) !== 0);
+  if (lines.length > 0 && compared.length === 0) {
+    const missing = lines.some(line => line.actual === '') ? 'actual balances at the end of the period' : 'opening balances';
+    console.log(`Balances not reconciled: no ${missing} (see --opening-balances and --closing-balances)`);
+  }
+  for (const line of discrepancies) {
+    console.warn(`⚠ ${line.account} ${line.asset} ${line.balance}: ${line.note} (expected ${line.expected}, actual ${line.actual})`);
+  }
+  if (compared.length > 0 && discrepancies.length === 0) {
+    console.log(`✓ All ${compared.length} balances reconcile with the exported rows`);
+  }
+  return discrepancies;
+}
+
+module.exports = {
+  RECONCILIATION_HEADER,
+  balanceKey,
+  balanceChanges,
+  readBalances,
+  reconcileBalances,
+  writeReconciliation
+};
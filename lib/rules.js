@@ -0,0 +1,211 @@
+/**
+ * Classification rules: a user-editable JSON file that overrides the type,
+ * note and market of exported rows. The exporters label every transfer by
+ * its direction alone, while only the user knows that a transfer went to
+ * their own exchange account, paid a vendor or refunded a purchase.
+ *
+ * The file holds a list of rules, tried in order; the first one that matches
+ * a row applies to it:
+ *
+ *   [{ "name": "Binance deposits",
+ *      "match": { "counterparty": "deepcrypto8", "direction": "out" },
+ *      "set": { "type": "Overføring-Intern", "note": "to Binance: {note}" } }]
+ */
+
+const fs = require('fs');
+const { writeCsvFile } = require('./csv');
+const { TYPE_CATEGORIES } = require('./transaction');
+const { compare } = require('./decimal');
+
+// Conditions a rule can match on; all given conditions must hold
+const MATCH_FIELDS = ['chain', 'opType', 'type', 'direction', 'counterparty', 'memo', 'note', 'asset', 'minAmount', 'maxAmount'];
+
+// Row fields a rule can set; notes may use the placeholders {note}, {memo} and {counterparty}
+const SET_FIELDS = ['type', 'note', 'market'];
+
+const DIRECTIONS = ['in', 'out'];
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+// Columns of the rule report
+const RULE_REPORT_HEADER = ['timestamp', 'chain', 'opType', 'txid', 'counterparty', 'amount', 'asset', 'rule', 'previous_type', 'type', 'note'];
+
+/**
+ * Check and compile one rule
+ * @param {Object} rule - Rule as written in the file
+ * @param {number} index - Position of the rule in the file
+ * @returns {Object} - { name, match, set, memo, note }: the memo and note conditions compiled to regular expressions
+ */
+function compileRule(rule, index) {
+  const label = `rule ${index + 1}${rule && rule.name ? ` (${rule.name})` : ''}`;
+  if (!rule || typeof rule.match !== 'object' || typeof rule.set !== 'object' || !rule.match || !rule.set) {
+    throw new Error(`${label} needs a "match" and a "set" object`);
+  }
+  for (const field of Object.keys(rule.match)) {
+    if (!MATCH_FIELDS.includes(field)) {
+      throw new Error(`${label}: cannot match on "${field}", use ${MATCH_FIELDS.join(', ')}`);
+    }
+  }
+  for (const field of Object.keys(rule.set)) {
+    if (!SET_FIELDS.includes(field)) {
+      throw new Error(`${label}: cannot set "${field}", use ${SET_FIELDS.join(', ')}`);
+    }
+  }
+  if (Object.keys(rule.set).length === 0) {
+    throw new Error(`${label}: "set" is empty`);
+  }
+  const { match, set } = rule;
+  for (const type of [].concat(set.type, match.type).filter(value => value !== undefined)) {
+    if (!TYPE_CATEGORIES[type]) {
+      throw new Error(`${label}: "${type}" is not a row type, use ${Object.keys(TYPE_CATEGORIES).join(', ')}`);
+    }
+  }
+  if (match.direction !== undefined && !DIRECTIONS.includes(match.direction)) {
+    throw new Error(`${label}: direction must be "in" or "out", got "${match.direction}"`);
+  }
+  for (const field of ['minAmount', 'maxAmount'].filter(name => match[name] !== undefined)) {
+    if (!AMOUNT_PATTERN.test(String(match[field]))) {
+      throw new Error(`${label}: ${field} must be an amount, got "${match[field]}"`);
+    }
+  }
+
+  const pattern = (field) => {
+    if (match[field] === undefined) return null;
+    try {
+      return new RegExp(match[field], 'i');
+    } catch (error) {
+      throw new Error(`${label}: ${field} is not a valid regular expression: ${error.message}`);
+    }
+  };
+  return { name: rule.name || label, match, set, memo: pattern('memo'), note: pattern('note') };
+}
+
+/**
+ * Read and check a rules file
+ * @param {string} filename - JSON file with a list of rules
+ * @returns {Array<Object>} - Compiled rules, in file order
+ */
+function readRules(filename) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (error) {
+    throw new Error(`${filename}: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`${filename}: expected a list of rules`);
+  }
+  return rules.map((rule, index) => {
+    try {
+      return compileRule(rule, index);
+    } catch (error) {
+      throw new Error(`${filename}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Direction of a row: in when it only receives, out when it only sends
+ * @param {Object} row - Normalized transaction
+ * @returns {string} - in, out, or '' for trades and rows without amounts
+ */
+function rowDirection(row) {
+  if (row.inAmount !== '' && row.outAmount === '') return 'in';
+  if (row.outAmount !== '' && row.inAmount === '') return 'out';
+  return '';
+}
+
+/**
+ * The amount and asset a rule's amount and asset conditions are checked against
+ * @param {Object} row - Normalized transaction
+ * @returns {Object} - { amount, asset }
+ */
+function rowAmount(row) {
+  return rowDirection(row) === 'out'
+    ? { amount: row.outAmount, asset: row.outAsset }
+    : { amount: row.inAmount, asset: row.inAsset };
+}
+
+/**
+ * Check whether a rule matches a row
+ * @param {Object} rule - Compiled rule
+ * @param {Object} row - Normalized transaction
+ * @returns {boolean} - True if every condition of the rule holds
+ */
+function matchesRule(rule, row) {
+  const { match } = rule;
+  const { amount, asset } = rowAmount(row);
+  const listed = (value, expected) => [].concat(expected).map(String).includes(value);
+
+  if (match.chain !== undefined && !listed(row.chain, match.chain)) return false;
+  if (match.opType !== undefined && !listed(row.opType, match.opType)) return false;
+  if (match.type !== undefined && !listed(row.type, match.type)) return false;
+  if (match.direction !== undefined && rowDirection(row) !== match.direction) return false;
+  if (match.counterparty !== undefined && !listed(row.counterparty, match.counterparty)) return false;
+  if (match.asset !== undefined && !listed(asset, match.asset)) return false;
+  if (rule.memo && !rule.memo.test(row.memo || '')) return false;
+  if (rule.note && !rule.note.test(row.note)) return false;
+  if (match.minAmount !== undefined && (amount === '' || compare(amount, match.minAmount) < 0)) return false;
+  if (match.maxAmount !== undefined && (amount === '' || compare(amount, match.maxAmount) > 0)) return false;
+  return true;
+}
+
+/**
+ * Apply the first matching rule to each row, in place
+ * @param {Array<Object>} rows - Normalized transactions
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {Array<Object>} - Hits of { rule, row, previousType }, one per changed row
+ */
+function applyRules(rows, rules) {
+  const hits = [];
+  for (const row of rows) {
+    const rule = rules.find(candidate => matchesRule(candidate, row));
+    if (!rule) continue;
+
+    const previousType = row.type;
+    const { set } = rule;
+    if (set.note !== undefined) {
+      row.note = set.note
+        .replace(/\{note\}/g, row.note)
+        .replace(/\{memo\}/g, row.memo || '')
+        .replace(/\{counterparty\}/g, row.counterparty);
+    }
+    if (set.market !== undefined) row.market = set.market;
+    if (set.type !== undefined) {
+      row.type = set.type;
+      row.category = TYPE_CATEGORIES[set.type];
+    }
+    hits.push({ rule, row, previousType });
+  }
+  return hits;
+}
+
+/**
+ * Write which rule changed each row, and print how often each rule hit
+ * @param {string} filename - Report filename
+ * @param {Array<Object>} hits - From applyRules
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} format - CSV format (delimiter, decimalSeparator, bom)
+ */
+function writeRuleReport(filename, hits, rules, format) {
+  const rows = hits.map(({ rule, row, previousType }) => {
+    const { amount, asset } = rowAmount(row);
+    return [row.timestamp, row.chain, row.opType, row.txid, row.counterparty, amount, asset, rule.name, previousType, row.type, row.note];
+  });
+  writeCsvFile(filename, RULE_REPORT_HEADER, rows, { format, numericColumns: ['amount'] });
+  console.log(`✓ Wrote ${hits.length} rule matches to ${filename}`);
+
+  for (const rule of rules) {
+    const count = hits.filter(hit => hit.rule === rule).length;
+    console.log(count > 0 ? `✓ ${rule.name}: ${count} row${count === 1 ? '' : 's'}` : `${rule.name}: no rows`);
+  }
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  SET_FIELDS,
+  readRules,
+  matchesRule,
+  applyRules,
+  writeRuleReport
+};
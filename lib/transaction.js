@@ -0,0 +1,129 @@
+/**
+ * Normalized transaction model shared by the L1 and Hive-Engine exporters.
+ * Every exported row is one of these, whatever chain it came from, so
+ * valuation, output profiles and reports only deal with a single shape.
+ */
+
+const { decimalsOf, subtract } = require('./decimal');
+
+// Chains a transaction can come from
+const CHAINS = {
+  HIVE: 'hive',
+  HIVE_ENGINE: 'hive-engine'
+};
+
+// Balances of an account a row can move funds in or out of: liquid funds,
+// Hive savings and Hive Power, and staked and delegated Hive-Engine tokens
+const BALANCES = {
+  LIQUID: 'liquid',
+  SAVINGS: 'savings',
+  VESTING: 'vesting',
+  STAKED: 'staked',
+  DELEGATED: 'delegated'
+};
+
+// What each row type means, independent of any tax tool. Row types are the
+// Kryptosekken labels the exporters were built around.
+const TYPE_CATEGORIES = {
+  'Handel': 'trade',
+  'Inntekt': 'income',
+  'Overføring-Ut': 'withdrawal',
+  'Overføring-Inn': 'deposit',
+  'Overføring-Intern': 'internal',
+  'Forbruk': 'spend',
+  'Tap': 'loss'
+};
+
+/**
+ * Format a point in time as an export timestamp, "YYYY-MM-DD HH:MM:SS" in UTC
+ * @param {Date|number|string} time - Date, seconds since the epoch (Hive-Engine),
+ *   or an ISO timestamp; Hive API timestamps without a timezone are UTC
+ * @returns {string} - Timestamp
+ */
+function formatTimestamp(time) {
+  let date;
+  if (time instanceof Date) {
+    date = time;
+  } else if (typeof time === 'number') {
+    date = new Date(time * 1000);
+  } else {
+    date = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(time) ? time : `${time}Z`);
+  }
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Build a normalized transaction, filling in blanks for the fields not given
+ * @param {Object} fields - Transaction fields:
+ *   chain, timestamp, type, inAmount, inAsset, outAmount, outAsset, feeAmount, feeAsset,
+ *   market, note, memo, opType, txid, block, counterparty, account, and ledger for rows
+ *   that move other balances than their in/out/fee legs suggest (see transactionLedger)
+ * @returns {Object} - Transaction, with its category derived from the type
+ */
+function createTransaction(fields) {
+  const amount = (value) => value !== undefined && value !== null ? value : '';
+  return {
+    chain: fields.chain,
+    timestamp: fields.timestamp,
+    type: fields.type,
+    category: TYPE_CATEGORIES[fields.type] || '',
+    inAmount: amount(fields.inAmount),
+    inAsset: fields.inAsset || '',
+    outAmount: amount(fields.outAmount),
+    outAsset: fields.outAsset || '',
+    feeAmount: amount(fields.feeAmount),
+    feeAsset: fields.feeAsset || '',
+    market: fields.market || '',
+    note: fields.note || '',
+    memo: fields.memo || '',
+    opType: fields.opType || '',
+    txid: fields.txid || '',
+    block: fields.block !== undefined ? fields.block : '',
+    counterparty: fields.counterparty || '',
+    account: fields.account || '',
+    ledger: fields.ledger || null
+  };
+}
+
+/**
+ * The in/out/fee legs of a transaction, for valuation
+ * @param {Object} tx - Transaction
+ * @returns {Object} - { in, out, fee }, each { amount, asset }
+ */
+function transactionLegs(tx) {
+  return {
+    in: { amount: tx.inAmount, asset: tx.inAsset },
+    out: { amount: tx.outAmount, asset: tx.outAsset },
+    fee: { amount: tx.feeAmount, asset: tx.feeAsset }
+  };
+}
+
+/**
+ * The changes a transaction makes to the account's balances. Rows that move
+ * funds between balances (savings, Hive Power) or in a unit of their own
+ * (VESTS) carry a ledger; any other row adds its in leg to the liquid balance
+ * and takes its out and fee legs from it.
+ * @param {Object} tx - Transaction
+ * @returns {Array<Object>} - Entries of { asset, balance, amount }, amounts signed decimal strings
+ */
+function transactionLedger(tx) {
+  if (tx.ledger) return tx.ledger;
+  const negate = (amount) => subtract(0, amount, decimalsOf(amount));
+  return [
+    { asset: tx.inAsset, amount: tx.inAmount },
+    { asset: tx.outAsset, amount: tx.outAmount && negate(tx.outAmount) },
+    { asset: tx.feeAsset, amount: tx.feeAmount && negate(tx.feeAmount) }
+  ]
+    .filter(entry => entry.asset && entry.amount)
+    .map(entry => ({ asset: entry.asset, balance: BALANCES.LIQUID, amount: entry.amount }));
+}
+
+module.exports = {
+  CHAINS,
+  BALANCES,
+  TYPE_CATEGORIES,
+  formatTimestamp,
+  createTransaction,
+  transactionLegs,
+  transactionLedger
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryCache, openCache } = require('../lib/cache');
+
+const keyOf = item => item.id;
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-cache-'));
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('append: new items and the scan progress survive a reload, known keys are skipped', () => {
+  const cache = new HistoryCache(dir, 'l1/taxpayer', keyOf, 'v1');
+  cache.append([{ id: 1 }, { id: 2 }], { oldest: 1 });
+  cache.append([{ id: 2 }, { id: 3 }], { newest: 3 });
+
+  const reloaded = new HistoryCache(dir, 'l1/taxpayer', keyOf, 'v1').load();
+  assert.deepEqual(reloaded.values(), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  assert.deepEqual(reloaded.meta, { signature: 'v1', oldest: 1, newest: 3 });
+  assert.equal(reloaded.has(2), true);
+  assert.equal(fs.readFileSync(path.join(dir, 'l1', 'taxpayer.jsonl'), 'utf8').split('\n').length, 4);
+});
+
+test('load: a partial last line from an interrupted write is ignored', () => {
+  new HistoryCache(dir, 'he', keyOf, 'v1').append([{ id: 'a' }, { id: 'b' }], { complete: true });
+  fs.appendFileSync(path.join(dir, 'he.jsonl'), '{"id":"c","amo');
+
+  const reloaded = new HistoryCache(dir, 'he', keyOf, 'v1').load();
+  assert.deepEqual(reloaded.values(), [{ id: 'a' }, { id: 'b' }]);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('load: a cache written for other settings is discarded', () => {
+  new HistoryCache(dir, 'he', keyOf, 'v1').append([{ id: 'a' }], { complete: true });
+
+  const other = new HistoryCache(dir, 'he', keyOf, 'v2').load();
+  assert.equal(other.size, 0);
+  assert.deepEqual(other.meta, { signature: 'v2' });
+  assert.equal(fs.existsSync(path.join(dir, 'he.jsonl')), false);
+});
+
+test('openCache: off without a cache directory, emptied with --refresh', () => {
+  assert.equal(openCache({ cacheDir: null }, 'he', keyOf, 'v1'), null);
+
+  openCache({ cacheDir: dir }, 'he', keyOf, 'v1').append([{ id: 'a' }]);
+  assert.equal(openCache({ cacheDir: dir }, 'he', keyOf, 'v1').size, 1);
+
+  const refreshed = openCache({ cacheDir: dir, refresh: true }, 'he', keyOf, 'v1');
+  assert.equal(refreshed.size, 0);
+  assert.equal(fs.existsSync(path.join(dir, 'he.jsonl')), false);
+});
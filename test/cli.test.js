@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandArgs, isValidAccountName, DEFAULT_HE_HISTORY_NODES } = require('../lib/cli');
+
+test('account names: segments of 3+ chars starting with a letter', () => {
+  assert.equal(isValidAccountName('taxpayer'), true);
+  assert.equal(isValidAccountName('hive.fund'), true);
+  assert.equal(isValidAccountName('deepcrypto8'), true);
+  assert.equal(isValidAccountName('ab'), false);
+  assert.equal(isValidAccountName('Taxpayer'), false);
+  assert.equal(isValidAccountName('9lives'), false);
+  assert.equal(isValidAccountName('trailing-'), false);
+  assert.equal(isValidAccountName('ab.cde'), false);
+
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'Bad_Name']), /not a valid Hive account name/);
+  assert.throws(() => parseCommandArgs('l1', []), /--account is required/);
+  assert.throws(() => parseCommandArgs('he', ['--account', 'taxpayer,landlord']), /takes a single --account/);
+});
+
+test('symbols: Hive-Engine symbols with digits and dots are accepted and upper-cased', () => {
+  for (const symbol of ['LEO', 'SWAP.HIVE', 'BEE', 'SPT2', 'ALIVE3.X']) {
+    assert.equal(parseCommandArgs('he', ['--account', 'taxpayer', '--symbol', symbol]).symbol, symbol);
+  }
+  assert.equal(parseCommandArgs('he', ['--account', 'taxpayer', '--symbol', 'leo']).symbol, 'LEO');
+  assert.equal(parseCommandArgs('he', ['--account', 'taxpayer']).symbol, null);
+
+  for (const symbol of ['1UP', '.LEO', 'TOOLONGSYMBOL', 'LE-O']) {
+    assert.throws(() => parseCommandArgs('he', ['--account', 'taxpayer', '--symbol', symbol]), /not a valid Hive-Engine token symbol/);
+  }
+  assert.throws(() => parseCommandArgs('he-raw', ['--account', 'taxpayer']), /--symbol is required/);
+});
+
+test('period: a year, or an inclusive --from/--to range ending the day after --to', () => {
+  const year = parseCommandArgs('l1', ['--account', 'taxpayer', '--year', '2024']);
+  assert.equal(year.startDate.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(year.endDate.toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.equal(year.label, '2024');
+
+  const range = parseCommandArgs('l1', ['--account', 'taxpayer', '--from=2024-03-01', '--to=2024-03-31']);
+  assert.equal(range.startDate.toISOString(), '2024-03-01T00:00:00.000Z');
+  assert.equal(range.endDate.toISOString(), '2024-04-01T00:00:00.000Z');
+  assert.equal(range.label, '2024-03-01_2024-03-31');
+
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--year', '24']), /four-digit year/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--year', '2024', '--from', '2024-01-01']), /either --year or --from\/--to/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--from', '2024-01-01']), /must be given together/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--from', '2024-02-30', '--to', '2024-03-01']), /--from must be a date/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--from', '2024-03-02', '--to', '2024-03-01']), /must not be before --from/);
+});
+
+test('pricing: non-USD currencies need a price file with the FX rates', () => {
+  assert.equal(parseCommandArgs('l1', ['--account', 'taxpayer']).pricing, null);
+  assert.deepEqual(parseCommandArgs('l1', ['--account', 'taxpayer', '--currency', 'usd']).pricing, {
+    currency: 'USD',
+    sources: ['hive-market', 'he-market'],
+    priceFile: undefined
+  });
+
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--currency', 'NOK']), /--currency NOK needs USD to NOK rates/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--currency', 'XYZ']), /--currency must be one of/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--price-source', 'csv']), /need --currency/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--currency', 'USD', '--price-source', 'csv']), /needs --price-file/);
+});
+
+test('CSV format: the profile brings its own format, the options override it', () => {
+  const kryptosekken = parseCommandArgs('l1', ['--account', 'taxpayer']);
+  assert.equal(kryptosekken.profile.name, 'Kryptosekken');
+  assert.deepEqual(kryptosekken.csvFormat, { delimiter: ',', decimalSeparator: '.', bom: false });
+
+  const semicolon = parseCommandArgs('l1', ['--account', 'taxpayer', '--delimiter', 'semicolon', '--decimal-separator', 'comma', '--bom']);
+  assert.deepEqual(semicolon.csvFormat, { delimiter: ';', decimalSeparator: ',', bom: true });
+
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--decimal-separator', 'comma', '--delimiter', 'comma']), /decimal comma needs another --delimiter/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--delimiter', 'pipe']), /--delimiter must be comma, semicolon or tab/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--format', 'excel']), /--format must be one of/);
+});
+
+test('arguments: unknown options, missing values and stray arguments are rejected', () => {
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--verbose']), /Unknown option --verbose/);
+  assert.throws(() => parseCommandArgs('l1', ['--account']), /--account requires a value/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--bom=yes']), /does not take a value/);
+  assert.throws(() => parseCommandArgs('l1', ['taxpayer']), /Unexpected argument "taxpayer"/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--nodes', 'api.hive.blog']), /must be http\(s\) URLs/);
+  assert.throws(() => parseCommandArgs('l2', []), /Unknown command "l2"/);
+  assert.deepEqual(parseCommandArgs('l1', ['--help']), { command: 'l1', help: true });
+  assert.deepEqual(parseCommandArgs('he', ['--account', 'taxpayer']).nodes, DEFAULT_HE_HISTORY_NODES);
+});
+
+test('nodes: l1 takes its own Hive-Engine history endpoints for linking peg transfers', () => {
+  const l1 = parseCommandArgs('l1', ['--account', 'taxpayer', '--he-nodes', 'https://history.example/accountHistory, https://backup.example/accountHistory']);
+  assert.deepEqual(l1.heNodes, ['https://history.example/accountHistory', 'https://backup.example/accountHistory']);
+  assert.deepEqual(parseCommandArgs('l1', ['--account', 'taxpayer']).heNodes, DEFAULT_HE_HISTORY_NODES);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--he-nodes', 'history.example']), /--he-nodes entries must be http\(s\) URLs/);
+  assert.throws(() => parseCommandArgs('l1', ['--account', 'taxpayer', '--he-nodes', ',']), /--he-nodes must list at least one URL/);
+  assert.throws(() => parseCommandArgs('he', ['--account', 'taxpayer', '--he-nodes', 'https://history.example']), /Unknown option --he-nodes/);
+});
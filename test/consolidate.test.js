@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const history = require('./fixtures/l1-history.json');
+const { processTransactionBatch } = require('../hive_tax_exporter');
+const { INTERNAL_TYPE, consolidateRows } = require('../lib/consolidate');
+
+// The recurrent salary payment from employer to taxpayer, seen from both accounts
+const salary = history.recurrentTransfer.filter(([, tx]) => tx.op[1].memo === 'salary').map(([, tx]) => tx);
+
+/**
+ * Export the salary payment for one account as the l1 command would
+ * @param {string} account - Exported account
+ * @returns {Promise<Object>} - { account, rows }
+ */
+async function exportOf(account) {
+  const { regular } = await processTransactionBatch(salary, { account, gateways: [] });
+  return { account, rows: regular.map(row => ({ ...row, account })) };
+}
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('a recurrent transfer between own accounts is internal on both sides', async () => {
+  const { rows, internalCount } = consolidateRows([await exportOf('taxpayer'), await exportOf('employer')]);
+
+  assert.equal(internalCount, 2);
+  assert.deepEqual(rows.map(row => [row.type, row.account, row.inAmount, row.outAmount, row.counterparty]), [
+    [INTERNAL_TYPE, 'taxpayer', '150.000', '', 'employer'],
+    [INTERNAL_TYPE, 'employer', '', '150.000', 'taxpayer']
+  ]);
+  assert.equal(rows[0].note, '[intern] taxpayer: employer to taxpayer: salary');
+});
+
+test('a recurrent transfer from another account stays income, and --internal drop keeps it', async () => {
+  const tagged = consolidateRows([await exportOf('taxpayer'), { account: 'landlord', rows: [] }]);
+  assert.equal(tagged.internalCount, 0);
+  assert.deepEqual(tagged.rows.map(row => row.type), ['Inntekt']);
+
+  const dropped = consolidateRows([await exportOf('taxpayer'), await exportOf('employer')], 'drop');
+  assert.deepEqual(dropped, { rows: [], internalCount: 2 });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CSV_FORMAT, parseCsv, readCsvFile, formatCsvField, writeCsvFile } = require('../lib/csv');
+
+const SEMICOLON_COMMA = { delimiter: ';', decimalSeparator: ',', bom: true };
+
+test('formatCsvField: fields with the delimiter, quotes or line breaks are quoted', () => {
+  assert.equal(formatCsvField('plain', DEFAULT_CSV_FORMAT), 'plain');
+  assert.equal(formatCsvField('taxpayer to landlord: rent, March', DEFAULT_CSV_FORMAT), '"taxpayer to landlord: rent, March"');
+  assert.equal(formatCsvField('the "good" memo', DEFAULT_CSV_FORMAT), '"the ""good"" memo"');
+  assert.equal(formatCsvField('two\nlines', DEFAULT_CSV_FORMAT), '"two\nlines"');
+  assert.equal(formatCsvField('a;b', DEFAULT_CSV_FORMAT), 'a;b');
+  assert.equal(formatCsvField('a;b', SEMICOLON_COMMA), '"a;b"');
+  assert.equal(formatCsvField(null, DEFAULT_CSV_FORMAT), '');
+  assert.equal(formatCsvField(0, DEFAULT_CSV_FORMAT), '0');
+});
+
+test('formatCsvField: only numeric fields get the decimal comma', () => {
+  assert.equal(formatCsvField('-12.345', SEMICOLON_COMMA, true), '-12,345');
+  assert.equal(formatCsvField('12.345', SEMICOLON_COMMA), '12.345');
+  assert.equal(formatCsvField('v1.2 release', SEMICOLON_COMMA, true), 'v1.2 release');
+  assert.equal(formatCsvField('12.345', { delimiter: ',', decimalSeparator: ',' }, true), '"12,345"');
+});
+
+test('parseCsv: quoted delimiters, doubled quotes, line breaks, CRLF and a byte order mark', () => {
+  const text = '\ufeffa,b,c\r\n"x, y","say ""hi""","multi\nline"\r\n\r\n1,,3';
+
+  assert.deepEqual(parseCsv(text), [
+    ['a', 'b', 'c'],
+    ['x, y', 'say "hi"', 'multi\nline'],
+    ['1', '', '3']
+  ]);
+});
+
+test('writeCsvFile and readCsvFile: what is written reads back the same in every format', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-csv-'));
+  const rows = [
+    ['2024-03-01 10:00:00', '1.500', 'landlord; "rent", March\nsecond line'],
+    ['2024-03-02 10:00:00', '', 'plain']
+  ];
+
+  try {
+    for (const format of [DEFAULT_CSV_FORMAT, SEMICOLON_COMMA, { delimiter: '\t', decimalSeparator: '.', bom: false }]) {
+      const filename = path.join(dir, 'out', 'rows.csv');
+      writeCsvFile(filename, ['Tidspunkt', 'Inn', 'Notat'], rows, { format, numericColumns: ['Inn'] });
+
+      const records = readCsvFile(filename);
+      assert.deepEqual(records.map(record => record.Notat), rows.map(row => row[2]));
+      assert.deepEqual(records.map(record => record.Inn), format.decimalSeparator === ',' ? ['1,500', ''] : ['1.500', '']);
+      assert.equal(fs.readFileSync(filename, 'utf8').startsWith('\ufeff'), format.bom);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
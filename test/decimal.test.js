@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PRECISION, decimalsOf, toUnits, fromUnits, normalize, sum, add, subtract, scale, compare, isPositive, l1Precision
+} = require('../lib/decimal');
+
+test('toUnits and fromUnits: amounts round half away from zero, malformed ones are rejected', () => {
+  assert.equal(toUnits('1.000', 3), 1000n);
+  assert.equal(toUnits('0.0005', 3), 1n);
+  assert.equal(toUnits('-0.0005', 3), -1n);
+  assert.equal(toUnits('1e-3', 3), 1n);
+  assert.equal(toUnits(0.1, 8), 10000000n);
+  assert.equal(toUnits('', 3), 0n);
+  assert.throws(() => toUnits('12 HIVE', 3), /"12 HIVE" is not a decimal amount/);
+  assert.throws(() => toUnits('.', 3), /is not a decimal amount/);
+
+  assert.equal(fromUnits(1500n, 3), '1.500');
+  assert.equal(fromUnits(-5n, 3), '-0.005');
+  assert.equal(fromUnits(42n, 0), '42');
+});
+
+test('decimalsOf and normalize: amounts are written at the precision of their asset', () => {
+  assert.equal(decimalsOf('99.25000000'), 8);
+  assert.equal(decimalsOf('12'), 0);
+  assert.equal(decimalsOf('1.5e-2'), 3);
+  assert.equal(normalize('99.25000000', 3), '99.250');
+  assert.equal(normalize('0.12345', 3), '0.123');
+  assert.equal(normalize(2, MAX_PRECISION), '2.00000000');
+});
+
+test('sum, add and subtract: exact where floating point is not', () => {
+  assert.equal(sum(['0.1', '0.2', '', '-0.3'], 3), '0.000');
+  assert.equal(add('0.1', '0.2', MAX_PRECISION), '0.30000000');
+  assert.equal(subtract('100.000', '99.25000000', 3), '0.750');
+  assert.equal(subtract(0, '5.500', 3), '-5.500');
+});
+
+test('scale: VESTS to HIVE rounds once, at the end', () => {
+  assert.equal(scale('2000.000000', '1.100', '2000.000000', 3), '1.100');
+  assert.equal(scale('1.000000', '1', '3', 3), '0.333');
+  assert.equal(scale('2.000000', '1', '3', 3), '0.667');
+  assert.throws(() => scale('1', '1', '0', 3), /Cannot scale/);
+});
+
+test('compare, isPositive and l1Precision', () => {
+  assert.equal(compare('1.10', '1.1'), 0);
+  assert.equal(compare('0.001', '0.0009'), 1);
+  assert.equal(compare('-1', '0'), -1);
+  assert.equal(isPositive('0.00000001'), true);
+  assert.equal(isPositive('0.000'), false);
+  assert.equal(isPositive(''), false);
+  assert.deepEqual(['HIVE', 'HBD', 'VESTS', 'LEO'].map(l1Precision), [3, 3, 6, MAX_PRECISION]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDustThresholds, isDust, applyDustPolicy } = require('../lib/dust');
+const { createTransaction, transactionLedger } = require('../lib/transaction');
+
+/**
+ * An incoming row of the taxpayer
+ * @param {string} timestamp - Export timestamp
+ * @param {string} amount - Amount received
+ * @param {Object} [fields] - Other fields, and the value when the row is valued
+ * @returns {Object} - Normalized transaction
+ */
+function income(timestamp, amount, fields = {}) {
+  const { value, valueCurrency, ...rest } = fields;
+  const row = createTransaction({
+    chain: 'hive',
+    timestamp,
+    type: 'Inntekt',
+    inAmount: amount,
+    inAsset: 'HIVE',
+    opType: 'transfer',
+    account: 'taxpayer',
+    ...rest
+  });
+  // Valuation adds these to a row once it is priced
+  return value === undefined ? row : { ...row, value, valueCurrency };
+}
+
+const THRESHOLDS = { HIVE: '0.010' };
+
+test('parseDustThresholds: per-asset amounts, token symbols with digits included', () => {
+  assert.deepEqual(parseDustThresholds('hive=0.01, LEO=0.1,BEE2=5'), { HIVE: '0.01', LEO: '0.1', BEE2: '5' });
+  assert.throws(() => parseDustThresholds('HIVE:0.01'), /Dust thresholds must look like ASSET=amount, got "HIVE:0.01"/);
+  assert.throws(() => parseDustThresholds('HIVE=-1'), /must look like ASSET=amount/);
+});
+
+test('isDust: an amount in or out at most the threshold of its asset; 0 turns the asset off', () => {
+  assert.equal(isDust(income('2024-03-01 00:00:00', '0.010'), THRESHOLDS), true);
+  assert.equal(isDust(income('2024-03-01 00:00:00', '0.011'), THRESHOLDS), false);
+  assert.equal(isDust(income('2024-03-01 00:00:00', '0.001', { inAsset: 'HBD' }), THRESHOLDS), false);
+  assert.equal(isDust(income('2024-03-01 00:00:00', '0.001'), { HIVE: '0' }), false);
+});
+
+test('separate: dust rows leave the main rows for a file of their own', () => {
+  const rows = [income('2024-03-01 00:00:00', '0.001'), income('2024-03-01 01:00:00', '5.000'), income('2024-03-01 02:00:00', '0.002')];
+
+  const result = applyDustPolicy(rows, { thresholds: THRESHOLDS, aggregation: 'separate' });
+
+  assert.deepEqual(result.rows, [rows[1]]);
+  assert.deepEqual(result.dust, [rows[0], rows[2]]);
+  assert.equal(result.aggregated, 0);
+});
+
+test('day: dust rows add up to one row per day, in place of the latest, with their values and ledgers', () => {
+  const rows = [
+    income('2024-03-01 00:00:00', '0.001', { value: '0.01', valueCurrency: 'NOK' }),
+    income('2024-03-01 01:00:00', '5.000', { value: '20.00', valueCurrency: 'NOK' }),
+    income('2024-03-01 02:00:00', '0.002', { value: '0.02', valueCurrency: 'NOK' }),
+    income('2024-03-02 00:00:00', '0.003', { value: '0.03', valueCurrency: 'NOK' }),
+    income('2024-03-01 03:00:00', '0.004', { ledger: [{ asset: 'HIVE', balance: 'vesting', amount: '0.004' }] })
+  ];
+
+  const result = applyDustPolicy(rows, { thresholds: THRESHOLDS, aggregation: 'day' });
+
+  assert.equal(result.aggregated, 3);
+  assert.deepEqual(result.dust, []);
+  assert.deepEqual(result.rows.map(row => [row.timestamp, row.inAmount, row.note]), [
+    ['2024-03-01 01:00:00', '5.000', ''],
+    ['2024-03-02 00:00:00', '0.003', ''],
+    ['2024-03-01 03:00:00', '0.007', '3 dust rows in 2024-03-01']
+  ]);
+  const summary = result.rows[2];
+  assert.equal(summary.value, '0.03');
+  assert.equal(summary.valueCurrency, 'NOK');
+  assert.equal(summary.opType, 'transfer');
+  assert.deepEqual(transactionLedger(summary).map(entry => `${entry.balance} ${entry.amount}`),
+    ['liquid 0.001', 'liquid 0.002', 'vesting 0.004']);
+});
+
+test('month: rows of different types or assets are added up apart', () => {
+  const rows = [
+    income('2024-03-01 00:00:00', '0.001'),
+    income('2024-03-15 00:00:00', '0.002'),
+    income('2024-03-20 00:00:00', '0.003', { type: 'Forbruk', inAmount: '', inAsset: '', outAmount: '0.003', outAsset: 'HIVE' }),
+    income('2024-04-01 00:00:00', '0.004')
+  ];
+
+  const result = applyDustPolicy(rows, { thresholds: THRESHOLDS, aggregation: 'month' });
+
+  assert.equal(result.aggregated, 2);
+  assert.deepEqual(result.rows.map(row => [row.type, row.inAmount, row.outAmount, row.note]), [
+    ['Inntekt', '0.003', '', '2 dust rows in 2024-03'],
+    ['Forbruk', '', '0.003', ''],
+    ['Inntekt', '0.004', '', '']
+  ]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXCHANGE_ACCOUNTS, parseExchangeAccounts, exchangeOf } = require('../lib/exchanges');
+const { processTransactions } = require('../he_tax_exporter');
+
+test('parseExchangeAccounts: account=Exchange pairs', () => {
+  assert.deepEqual(parseExchangeAccounts('mexc-hive=MEXC, my.exchange=Other Exchange '), { 'mexc-hive': 'MEXC', 'my.exchange': 'Other Exchange' });
+  assert.throws(() => parseExchangeAccounts('mexc-hive'), /Exchange accounts must look like account=Exchange, got "mexc-hive"/);
+  assert.throws(() => parseExchangeAccounts('MEXC=mexc'), /must look like account=Exchange/);
+});
+
+test('exchangeOf: the registry, or the accounts given', () => {
+  assert.equal(exchangeOf('deepcrypto8'), 'Binance');
+  assert.equal(exchangeOf('landlord'), null);
+  assert.equal(exchangeOf('constructor'), null);
+  assert.equal(exchangeOf('mexc-hive', { ...EXCHANGE_ACCOUNTS, 'mexc-hive': 'MEXC' }), 'MEXC');
+});
+
+test('he: token transfers to and from an exchange are transfers tagged with its name', () => {
+  const ctx = { account: 'taxpayer', gateways: [], exchanges: EXCHANGE_ACCOUNTS, precisions: new Map([['LEO', 3]]) };
+  const item = (fields) => ({ operation: 'tokens_transfer', timestamp: 1710000000, symbol: 'LEO', quantity: '25', ...fields });
+
+  const { rewards } = processTransactions([
+    item({ transactionId: 'out1', from: 'taxpayer', to: 'upbit-exchange', memo: '12345' }),
+    item({ transactionId: 'in1', from: 'upbitsends', to: 'taxpayer' })
+  ], ctx);
+
+  assert.deepEqual(rewards.map(row => [row.type, row.inAmount, row.outAmount, row.market, row.note, row.counterparty]), [
+    ['Overføring-Ut', '', '25.000', 'Upbit', 'Upbit deposit to upbit-exchange', 'upbit-exchange'],
+    ['Overføring-Inn', '25.000', '', 'Upbit', 'Upbit withdrawal from upbitsends', 'upbitsends']
+  ]);
+  assert.equal(rewards[0].memo, '12345');
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { METHODS, LotBook, computeGains } = require('../lib/gains');
+
+/**
+ * Engine row as rowFromRecord builds it from an exported CSV line
+ * @param {string} timestamp - Row time
+ * @param {string} type - Row type
+ * @param {Object} fields - inAmount, inAsset, outAmount, outAsset, feeAmount, feeAsset, value
+ * @returns {Object} - Engine row
+ */
+function row(timestamp, type, fields) {
+  return {
+    timestamp,
+    type,
+    inAmount: '0',
+    inAsset: '',
+    outAmount: '0',
+    outAsset: '',
+    feeAmount: '0',
+    feeAsset: '',
+    value: null,
+    valueCurrency: 'USD',
+    note: '',
+    source: 'test',
+    ...fields
+  };
+}
+
+/**
+ * The fields of a disposal or lot the tests check, with fiat rounded to cents
+ * @param {Object} entry - Disposal or lot
+ * @returns {Array} - [acquired, amount, cost, gain]
+ */
+function summary(entry) {
+  return [entry.acquired, entry.amount, entry.cost.toFixed(2), entry.gain === undefined ? null : entry.gain.toFixed(2)];
+}
+
+/**
+ * A lot book holding two HIVE lots: 10 for 4 USD, then 10 for 6 USD
+ * @param {string} method - Cost-basis method
+ * @returns {LotBook} - Lot book
+ */
+function twoLots(method) {
+  const book = new LotBook(method);
+  book.acquire('HIVE', '10.000', 4, '2024-01-01 00:00:00');
+  book.acquire('HIVE', '10.000', 6, '2024-02-01 00:00:00');
+  return book;
+}
+
+test('LotBook: a partial lot keeps the rest of its cost, per method', () => {
+  const fifo = twoLots('fifo');
+  assert.deepEqual(fifo.consume('HIVE', '15'), {
+    parts: [
+      { acquired: '2024-01-01 00:00:00', amount: '10.00000000', cost: 4 },
+      { acquired: '2024-02-01 00:00:00', amount: '5.00000000', cost: 3 }
+    ],
+    shortfall: '0.00000000'
+  });
+  assert.deepEqual(fifo.remaining().map(summary), [['2024-02-01 00:00:00', '5.00000000', '3.00', null]]);
+
+  const lifo = twoLots('lifo');
+  assert.deepEqual(lifo.consume('HIVE', '15').parts.map(part => [part.acquired, part.amount, part.cost]), [
+    ['2024-02-01 00:00:00', '10.00000000', 6],
+    ['2024-01-01 00:00:00', '5.00000000', 2]
+  ]);
+  assert.deepEqual(lifo.remaining().map(summary), [['2024-01-01 00:00:00', '5.00000000', '2.00', null]]);
+
+  const average = twoLots('average');
+  assert.deepEqual(average.consume('HIVE', '15').parts, [{ acquired: '2024-01-01 00:00:00', amount: '15.00000000', cost: 7.5 }]);
+  assert.deepEqual(average.remaining().map(summary), [['2024-01-01 00:00:00', '5.00000000', '2.50', null]]);
+});
+
+test('LotBook: taking more than the lots hold leaves a shortfall', () => {
+  for (const method of METHODS) {
+    const { parts, shortfall } = twoLots(method).consume('HIVE', '25');
+    assert.equal(parts.reduce((sum, part) => sum + part.cost, 0), 10, method);
+    assert.equal(shortfall, '5.00000000', method);
+  }
+  assert.deepEqual(new LotBook('fifo').consume('HBD', '1'), { parts: [], shortfall: '1.00000000' });
+  assert.throws(() => new LotBook('hifo'), /Unknown cost-basis method "hifo"/);
+});
+
+test('LotBook: restored lots go back in acquisition order', () => {
+  const book = twoLots('fifo');
+  const { parts } = book.consume('HIVE', '12');
+  book.acquire('HIVE', '1.000', 1, '2024-03-01 00:00:00');
+  book.restore('HIVE', parts);
+
+  assert.deepEqual(book.remaining().map(summary), [
+    ['2024-01-01 00:00:00', '10.00000000', '4.00', null],
+    ['2024-02-01 00:00:00', '8.00000000', '4.80', null],
+    ['2024-02-01 00:00:00', '2.00000000', '1.20', null],
+    ['2024-03-01 00:00:00', '1.00000000', '1.00', null]
+  ]);
+  assert.equal(book.consume('HIVE', '10').parts[0].acquired, '2024-01-01 00:00:00');
+});
+
+test('computeGains: opening lots are sold first, a crypto fee is disposed of at the row\'s price', () => {
+  const result = computeGains([
+    row('2024-01-10 12:00:00', 'Handel', { inAmount: '16.000', inAsset: 'HBD', outAmount: '40.000', outAsset: 'HIVE', feeAmount: '1.000', feeAsset: 'HIVE', value: 16 })
+  ], {
+    method: 'fifo',
+    openingLots: [{ asset: 'HIVE', acquired: '2023-05-01 00:00:00', amount: '100.000', cost: 20, currency: 'USD' }]
+  });
+
+  assert.equal(result.currency, 'USD');
+  assert.deepEqual(result.disposals.map(disposal => [disposal.kind, ...summary(disposal)]), [
+    ['Handel', '2023-05-01 00:00:00', '40.00000000', '8.00', '8.00'],
+    ['Gebyr', '2023-05-01 00:00:00', '1.00000000', '0.20', '0.20']
+  ]);
+  assert.deepEqual(result.lots.map(summary), [
+    ['2024-01-10 12:00:00', '16.00000000', '16.00', null],
+    ['2023-05-01 00:00:00', '59.00000000', '11.80', null]
+  ]);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('computeGains: spending more than held realizes the rest at a cost of 0 with a warning', () => {
+  const result = computeGains([
+    row('2024-01-01 00:00:00', 'Inntekt', { inAmount: '10.000', inAsset: 'HIVE', value: 3 }),
+    row('2024-01-05 00:00:00', 'Forbruk', { outAmount: '15.000', outAsset: 'HIVE', value: 6 })
+  ], { method: 'fifo' });
+
+  assert.deepEqual(result.disposals.map(summary), [
+    ['2024-01-01 00:00:00', '10.00000000', '3.00', '1.00'],
+    ['', '5.00000000', '0.00', '2.00']
+  ]);
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /disposed 5\.00000000 HIVE more than held/);
+});
+
+test('computeGains: lots sent to our exchange account come back with the withdrawal, for every method', () => {
+  for (const method of METHODS) {
+    const result = computeGains([
+      row('2024-01-01 00:00:00', 'Inntekt', { inAmount: '100.000', inAsset: 'HIVE', value: 30 }),
+      row('2024-02-01 00:00:00', 'Overføring-Ut', { outAmount: '100.000', outAsset: 'HIVE', value: 40 }),
+      // 1 HIVE withdrawal fee kept by the exchange
+      row('2024-03-01 00:00:00', 'Overføring-Inn', { inAmount: '99.000', inAsset: 'HIVE', value: 50 }),
+      row('2024-04-01 00:00:00', 'Handel', { inAmount: '60.000', inAsset: 'HBD', outAmount: '99.000', outAsset: 'HIVE', value: 60 })
+    ], { method });
+
+    assert.deepEqual(result.disposals.map(summary), [['2024-01-01 00:00:00', '99.00000000', '29.70', '30.30']], method);
+    assert.deepEqual(result.away.map(summary), [['2024-01-01 00:00:00', '1.00000000', '0.30', null]], method);
+    assert.deepEqual(result.transfers.map(transfer => [transfer.amount, transfer.cost.toFixed(2)]), [['100.000', '30.00']], method);
+  }
+});
+
+test('computeGains: income from a third party is a new lot, a deposit beyond what left is one for the rest', () => {
+  const result = computeGains([
+    row('2024-01-01 00:00:00', 'Inntekt', { inAmount: '10.000', inAsset: 'HIVE', value: 3 }),
+    row('2024-02-01 00:00:00', 'Overføring-Ut', { outAmount: '10.000', outAsset: 'HIVE', value: 4 }),
+    row('2024-02-15 00:00:00', 'Inntekt', { inAmount: '10.000', inAsset: 'HIVE', value: 5 }),
+    row('2024-03-01 00:00:00', 'Overføring-Inn', { inAmount: '15.000', inAsset: 'HIVE', value: 9 })
+  ], { method: 'fifo' });
+
+  assert.deepEqual(result.lots.map(summary), [
+    ['2024-01-01 00:00:00', '10.00000000', '3.00', null],
+    ['2024-02-15 00:00:00', '10.00000000', '5.00', null],
+    ['2024-03-01 00:00:00', '5.00000000', '3.00', null]
+  ]);
+  assert.deepEqual(result.away, []);
+});
+
+test('computeGains: rows valued in two currencies are refused', () => {
+  assert.throws(() => computeGains([
+    row('2024-01-01 00:00:00', 'Inntekt', { inAmount: '1.000', inAsset: 'HIVE', value: 3 }),
+    row('2024-01-02 00:00:00', 'Inntekt', { inAmount: '1.000', inAsset: 'HIVE', value: 30, valueCurrency: 'NOK' })
+  ], { method: 'fifo' }), /more than one currency \(USD, NOK\)/);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { fetchHeHistory } = require('../lib/he-history');
+
+/**
+ * Account history items newest first, one a minute
+ * @param {number} count - Number of items
+ * @param {string} [prefix='tx'] - Prefix of the item ids
+ * @param {number} [newest=1710000000] - Timestamp of the newest item
+ * @returns {Array<Object>} - History items
+ */
+function historyOf(count, prefix = 'tx', newest = 1710000000) {
+  return Array.from({ length: count }, (_, index) => ({
+    _id: `${prefix}${index}`,
+    timestamp: newest - index * 60,
+    operation: 'tokens_transfer',
+    symbol: 'LEO'
+  }));
+}
+
+/**
+ * Serve an account history the way the history API pages it
+ * @param {Function} historyAt - Returns the history as the endpoint has it on the nth request
+ * @param {Function} [limitAt] - Returns how many items the endpoint hands out on the nth request
+ * @returns {Object} - Mocked axios.get
+ */
+function serve(historyAt, limitAt = (request, limit) => limit) {
+  let request = 0;
+  return test.mock.method(axios, 'get', async (url, { params }) => {
+    const history = historyAt(request);
+    const limit = limitAt(request, params.limit);
+    request++;
+    return { data: history.slice(params.offset, params.offset + limit) };
+  });
+}
+
+/**
+ * Export context for the whole history of LEO
+ * @param {Object} [options] - Overrides, e.g. the cache directory
+ * @returns {Object} - Export context
+ */
+function contextOf(options = {}) {
+  return {
+    account: 'taxpayer',
+    symbol: 'LEO',
+    nodes: ['https://history.example/accountHistory'],
+    startTimestamp: 1,
+    endTimestamp: 2000000000,
+    label: 'all time',
+    cacheDir: null,
+    ...options
+  };
+}
+
+/**
+ * Start over with fresh mocks: silenced console output, no endpoint
+ */
+function resetMocks() {
+  test.mock.restoreAll();
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+}
+
+test.beforeEach(resetMocks);
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('pages overlap by one item and the end is confirmed by a page with nothing new', async () => {
+  const history = historyOf(120);
+  const get = serve(() => history);
+
+  const transactions = await fetchHeHistory(contextOf());
+
+  assert.deepEqual(transactions.map(tx => tx._id), history.map(tx => tx._id));
+  assert.deepEqual(get.mock.calls.map(call => call.arguments[1].params.offset), [0, 49, 98, 119]);
+  assert.equal(console.warn.mock.callCount(), 0);
+  assert.ok(console.log.mock.calls.some(call => /Completeness check passed: 3 pages fetched/.test(call.arguments[0])));
+});
+
+test('a page that does not continue from the one before fails the run', async () => {
+  // The second request goes to an endpoint that lacks the five newest items
+  const history = historyOf(120);
+  serve(request => (request === 0 ? history : history.slice(5)));
+
+  await assert.rejects(fetchHeHistory(contextOf()), /History gap at offset 49: the page does not continue from transaction tx49/);
+});
+
+test('items that arrive while paging are repeated and dropped, not lost', async () => {
+  const history = historyOf(120);
+  const grown = [...historyOf(3, 'new', 1710000180), ...history];
+  serve(request => (request === 0 ? history : grown));
+
+  const transactions = await fetchHeHistory(contextOf());
+
+  assert.deepEqual(transactions.map(tx => tx._id), history.map(tx => tx._id));
+  assert.match(console.warn.mock.calls[0].arguments[0], /page at offset 49 repeated 3 transactions/);
+});
+
+test('a page cut short before the end does not end the history', async () => {
+  const history = historyOf(120);
+  serve(() => history, (request, limit) => (request === 0 ? 30 : limit));
+
+  const transactions = await fetchHeHistory(contextOf());
+
+  assert.equal(transactions.length, 120);
+  assert.match(console.warn.mock.calls[0].arguments[0], /page at offset 0 returned only 30 of 50 transactions although more followed/);
+});
+
+test('cache: later runs fetch what is new, a cache that is not in the history any more is replaced', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-he-history-'));
+  try {
+    const history = historyOf(60);
+    serve(() => history);
+    assert.equal((await fetchHeHistory(contextOf({ cacheDir }))).length, 60);
+
+    // Two new transfers: one page, which meets the cache
+    resetMocks();
+    const grown = [...historyOf(2, 'new', 1710000120), ...history];
+    const get = serve(() => grown);
+    assert.equal((await fetchHeHistory(contextOf({ cacheDir }))).length, 62);
+    assert.equal(get.mock.callCount(), 1);
+
+    // An unrelated history: every page is fetched and replaces the cache
+    resetMocks();
+    serve(() => historyOf(10, 'other'));
+    const transactions = await fetchHeHistory(contextOf({ cacheDir }));
+    assert.deepEqual(transactions.map(tx => tx._id), historyOf(10, 'other').map(tx => tx._id));
+    assert.match(console.warn.mock.calls[0].arguments[0], /None of the 62 cached transactions is in the account history any more/);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('cache: an interrupted scan resumes from the oldest cached item', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-he-history-'));
+  try {
+    const history = historyOf(120);
+    // The period starts within the second page, so the first run stops there
+    const startTimestamp = history[60].timestamp;
+    serve(() => history);
+    assert.equal((await fetchHeHistory(contextOf({ cacheDir, startTimestamp }))).length, 61);
+
+    resetMocks();
+    const get = serve(() => history);
+    assert.equal((await fetchHeHistory(contextOf({ cacheDir }))).length, 120);
+    // Newer than the cache, then on from the oldest cached item (99th) to the end
+    assert.deepEqual(get.mock.calls.map(call => call.arguments[1].params.offset), [0, 98, 119]);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fillCounterparty, fillFee, matchOrders } = require('../lib/he-market');
+
+/**
+ * A buy order for 100 BEE at 0.5 SWAP.HIVE, taking 20 BEE off the book when
+ * placed, then filled by two sellers and cancelled with the rest refunded
+ * @returns {Array<Object>} - History items, newest first as the API lists them
+ */
+function buyOrderHistory() {
+  return [
+    { operation: 'market_cancel', transactionId: 'cancel1', timestamp: 1710003000, symbol: 'BEE', orderType: 'buy', orderID: 'order1', quantityReturned: '15' },
+    { operation: 'market_buy', transactionId: 'fill2', timestamp: 1710002000, symbol: 'BEE', from: 'seller2', to: 'taxpayer', quantityTokens: '20', quantityHive: '10' },
+    { operation: 'market_buy', transactionId: 'fill1', timestamp: 1710001000, symbol: 'BEE', from: 'seller1', to: 'taxpayer', quantityTokens: '30', quantityHive: '15.0001' },
+    { operation: 'market_buy', transactionId: 'order1', timestamp: 1710000000, symbol: 'BEE', from: 'maker', to: 'taxpayer', quantityTokens: '20', quantityHive: '9.6' },
+    { operation: 'market_placeOrder', transactionId: 'order1', timestamp: 1710000000, symbol: 'BEE', orderType: 'buy', price: '0.5', quantityLocked: '50' }
+  ];
+}
+
+test('matchOrders: fills taken when placing, later fills at the limit price and the cancel belong to the order', () => {
+  const history = buyOrderHistory();
+  const { orders, orderOf } = matchOrders(history);
+
+  const order = orders.get('order1');
+  assert.deepEqual(order.fills.map(fill => fill.transactionId), ['order1', 'fill1', 'fill2']);
+  assert.equal(order.refunded, '15.00000000');
+  assert.equal(order.open, false);
+  for (const tx of history.filter(item => item.operation !== 'market_placeOrder')) {
+    assert.equal(orderOf.get(tx), order);
+  }
+});
+
+test('matchOrders: fills at another price, token or side stay unmatched; a filled order takes no more', () => {
+  const history = [
+    { operation: 'market_placeOrder', transactionId: 'sell1', timestamp: 1710000000, symbol: 'LEO', orderType: 'sell', price: '0.2', quantityLocked: '10' },
+    { operation: 'market_sell', transactionId: 'fill1', timestamp: 1710000100, symbol: 'LEO', from: 'taxpayer', to: 'buyer', quantityTokens: '10', quantityHive: '2' },
+    { operation: 'market_sell', transactionId: 'fill2', timestamp: 1710000200, symbol: 'LEO', from: 'taxpayer', to: 'buyer', quantityTokens: '1', quantityHive: '0.2' },
+    { operation: 'market_sell', transactionId: 'fill3', timestamp: 1710000300, symbol: 'BEE', from: 'taxpayer', to: 'buyer', quantityTokens: '1', quantityHive: '0.2' },
+    { operation: 'market_buy', transactionId: 'fill4', timestamp: 1710000300, symbol: 'LEO', from: 'seller', to: 'taxpayer', quantityTokens: '1', quantityHive: '0.2' }
+  ];
+  const { orders, orderOf } = matchOrders(history);
+
+  assert.deepEqual(orders.get('sell1').fills.map(fill => fill.transactionId), ['fill1']);
+  assert.equal(orders.get('sell1').open, false);
+  assert.deepEqual(history.filter(tx => orderOf.has(tx)).map(tx => tx.transactionId), ['fill1']);
+});
+
+test('matchOrders: a cancel without an order id closes the newest open order of its side', () => {
+  const history = [
+    { operation: 'market_placeOrder', transactionId: 'older', timestamp: 1710000000, symbol: 'BEE', orderType: 'sell', price: '0.3', quantityLocked: '5' },
+    { operation: 'market_placeOrder', transactionId: 'newer', timestamp: 1710000100, symbol: 'BEE', orderType: 'sell', price: '0.4', quantityLocked: '5' },
+    { operation: 'market_cancel', transactionId: 'cancel1', timestamp: 1710000200, symbol: 'BEE', orderType: 'sell', quantityReturned: '5' }
+  ];
+  const { orders } = matchOrders(history);
+
+  assert.equal(orders.get('newer').open, false);
+  assert.equal(orders.get('newer').refunded, '5.00000000');
+  assert.equal(orders.get('older').open, true);
+});
+
+test('fillCounterparty and fillFee: the other account, and the fee in what the fill pays out', () => {
+  const buy = { operation: 'market_buy', symbol: 'BEE', from: 'seller', to: 'taxpayer', fee: '0.025' };
+  const sell = { operation: 'market_sell', symbol: 'BEE', from: 'taxpayer', to: 'buyer', fee: '0.10' };
+
+  assert.equal(fillCounterparty(buy, 'taxpayer'), 'seller');
+  assert.equal(fillCounterparty(sell, 'taxpayer'), 'buyer');
+  assert.equal(fillCounterparty({ from: 'taxpayer' }, 'taxpayer'), '');
+  assert.deepEqual(fillFee(buy), { amount: '0.025', symbol: 'BEE' });
+  assert.deepEqual(fillFee(sell), { amount: '0.10', symbol: 'SWAP.HIVE' });
+  assert.deepEqual(fillFee({ ...sell, feeSymbol: 'BEE' }), { amount: '0.10', symbol: 'BEE' });
+  assert.deepEqual(fillFee({ ...buy, fee: '0' }), { amount: '', symbol: '' });
+});
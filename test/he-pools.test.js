@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lpSymbol, isLpSymbol, parseSwap, parseLiquidity, isPoolReward } = require('../lib/he-pools');
+
+test('lpSymbol and isLpSymbol: pool shares are named after their token pair', () => {
+  assert.equal(lpSymbol('SWAP.HIVE:BEE'), 'LP:SWAP.HIVE:BEE');
+  assert.equal(isLpSymbol('LP:SWAP.HIVE:BEE'), true);
+  assert.equal(isLpSymbol('BEE'), false);
+  assert.equal(isLpSymbol(undefined), false);
+});
+
+test('parseSwap: what the pool paid us comes in, what we paid goes out', () => {
+  const swap = parseSwap({
+    operation: 'marketpools_swapTokens',
+    tokenPair: 'SWAP.HIVE:BEE',
+    symbolIn: 'SWAP.HIVE',
+    quantityIn: '10',
+    symbolOut: 'BEE',
+    quantityOut: '48.123'
+  });
+
+  assert.deepEqual(swap, {
+    tokenPair: 'SWAP.HIVE:BEE',
+    inAmount: '48.12300000',
+    inSymbol: 'BEE',
+    outAmount: '10.00000000',
+    outSymbol: 'SWAP.HIVE'
+  });
+  // Older items name the fields differently
+  assert.equal(parseSwap({ tokenIn: 'BEE', amountIn: '5', tokenOut: 'SWAP.HIVE', amountOut: '1' }).inSymbol, 'SWAP.HIVE');
+  assert.equal(parseSwap({ symbolIn: 'SWAP.HIVE', quantityIn: '10', symbolOut: 'BEE' }), null);
+});
+
+test('parseLiquidity: both legs and the shares, estimated when the history lacks them', () => {
+  assert.deepEqual(parseLiquidity({ tokenPair: 'SWAP.HIVE:BEE', baseQuantity: '4', quoteQuantity: '9', shares: '5.5' }), {
+    tokenPair: 'SWAP.HIVE:BEE',
+    legs: [{ amount: '4.00000000', symbol: 'SWAP.HIVE' }, { amount: '9.00000000', symbol: 'BEE' }],
+    shares: '5.50000000',
+    sharesEstimated: false
+  });
+
+  const estimated = parseLiquidity({ tokenPair: 'SWAP.HIVE:BEE', baseQuantity: '4', quoteQuantity: '9' });
+  assert.equal(estimated.shares, '6.00000000');
+  assert.equal(estimated.sharesEstimated, true);
+
+  assert.equal(parseLiquidity({ tokenPair: 'SWAP.HIVE:BEE' }), null);
+});
+
+test('isPoolReward: only positive payouts from the reward contracts to us', () => {
+  const reward = { operation: 'tokens_transferFromContract', from: 'distribution', to: 'taxpayer', quantity: '0.5' };
+
+  assert.equal(isPoolReward(reward, 'taxpayer'), true);
+  assert.equal(isPoolReward({ ...reward, from: 'marketpools' }, 'taxpayer'), true);
+  assert.equal(isPoolReward({ ...reward, from: 'tokens' }, 'taxpayer'), false);
+  assert.equal(isPoolReward({ ...reward, to: 'someone' }, 'taxpayer'), false);
+  assert.equal(isPoolReward({ ...reward, quantity: '0' }, 'taxpayer'), false);
+  assert.equal(isPoolReward({ ...reward, operation: 'tokens_transfer' }, 'taxpayer'), false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processTransactions } = require('../he_tax_exporter');
+const { transactionLedger } = require('../lib/transaction');
+
+/**
+ * A token history item of the taxpayer, at a fixed time
+ * @param {string} operation - Operation name
+ * @param {Object} fields - from, to, quantity and any other fields
+ * @returns {Object} - History item
+ */
+function item(operation, fields) {
+  return { operation, transactionId: `${operation}-1`, timestamp: 1710000000, blockNumber: 1000, symbol: 'LEO', ...fields };
+}
+
+/**
+ * Process history items as the exporter would
+ * @param {Array<Object>} transactions - History items
+ * @param {Object} [options] - Export context overrides
+ * @returns {Object} - Processed trades, rewards and internal rows
+ */
+function processHistory(transactions, options = {}) {
+  const ctx = { account: 'taxpayer', gateways: [], exchanges: {}, precisions: new Map([['LEO', 3]]), ...options };
+  return processTransactions(transactions, ctx);
+}
+
+/**
+ * The fields of a row the tests check, as [type, inAmount, inAsset, outAmount, outAsset, note]
+ * @param {Object} row - Normalized transaction
+ * @returns {Array<string>} - Row fields
+ */
+function fields(row) {
+  return [row.type, row.inAmount, row.inAsset, row.outAmount, row.outAsset, row.note];
+}
+
+/**
+ * The ledger of a row as "balance amount" strings
+ * @param {Object} row - Normalized transaction
+ * @returns {Array<string>} - Ledger entries
+ */
+function ledger(row) {
+  return transactionLedger(row).map(entry => `${entry.balance} ${entry.amount}`);
+}
+
+test('staking, unstaking and delegating our own tokens are internal moves between balances', () => {
+  const { trades, rewards, internal, counts } = processHistory([
+    item('tokens_stake', { transactionId: 'stake1', from: 'taxpayer', to: 'taxpayer', quantity: '10' }),
+    item('tokens_unstakeStart', { transactionId: 'unstake1', from: 'taxpayer', quantity: '4' }),
+    item('tokens_unstakeDone', { transactionId: 'unstake1', from: 'taxpayer', quantity: '4' }),
+    item('tokens_delegate', { transactionId: 'delegate1', from: 'taxpayer', to: 'curator', quantity: '3' }),
+    item('tokens_undelegateStart', { transactionId: 'undelegate1', from: 'taxpayer', to: 'curator', quantity: '3' }),
+    item('tokens_undelegateDone', { transactionId: 'undelegate1', from: 'taxpayer', quantity: '3' })
+  ]);
+
+  assert.deepEqual([trades.length, rewards.length], [0, 0]);
+  assert.deepEqual(internal.map(fields), [
+    ['Overføring-Intern', '10.000', 'LEO', '10.000', 'LEO', 'stake1 stake'],
+    ['Overføring-Intern', '4.000', 'LEO', '4.000', 'LEO', 'unstake1 unstake'],
+    ['Overføring-Intern', '3.000', 'LEO', '3.000', 'LEO', 'delegate1 delegate to curator'],
+    ['Overføring-Intern', '3.000', 'LEO', '3.000', 'LEO', 'undelegate1 undelegation returned']
+  ]);
+  assert.deepEqual(internal.map(ledger), [
+    ['liquid -10.000', 'staked 10.000'],
+    ['staked -4.000', 'liquid 4.000'],
+    ['staked -3.000', 'delegated 3.000'],
+    ['delegated -3.000', 'staked 3.000']
+  ]);
+  // Starting an unstake or an undelegation only marks tokens as pending
+  assert.deepEqual(counts.LEO, { transactions: 6, trades: 0, rewards: 0, internal: 4 });
+});
+
+test('tokens staked to us are income, or a movement with the movement stake policy', () => {
+  const stake = item('tokens_stake', { from: 'friend', to: 'taxpayer', quantity: '2.5' });
+
+  const income = processHistory([stake]).rewards;
+  assert.deepEqual(income.map(fields), [['Inntekt', '2.500', 'LEO', '', '', 'friend tokens_stake']]);
+  assert.deepEqual(income.map(ledger), [['staked 2.500']]);
+
+  const movement = processHistory([stake], { stakePolicy: 'movement' }).rewards;
+  assert.deepEqual(movement.map(fields), [['Overføring-Inn', '2.500', 'LEO', '', '', 'friend tokens_stake']]);
+});
+
+test('staking to another account gives the tokens away', () => {
+  const { rewards, internal } = processHistory([
+    item('tokens_stake', { from: 'taxpayer', to: 'friend', quantity: '5' })
+  ]);
+
+  assert.equal(internal.length, 0);
+  assert.deepEqual(rewards.map(fields), [['Overføring-Ut', '', '', '5.000', 'LEO', 'stake to friend']]);
+  assert.deepEqual(rewards.map(ledger), [['liquid -5.000']]);
+});
@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const history = require('./fixtures/l1-history.json');
+const { processTransactionBatch } = require('../hive_tax_exporter');
+const { transactionLedger } = require('../lib/transaction');
+const { DEFAULT_GATEWAYS } = require('../lib/peg');
+
+// Hive client answering the vesting ratio lookup with the recorded power-down:
+// 1.100 HIVE for 2000 VESTS
+const client = {
+  address: ['https://api.example'],
+  currentAddress: 'https://api.example',
+  call: async (api, method) => {
+    if (method !== 'enum_virtual_ops') throw new Error(`unexpected call ${api}.${method}`);
+    return { ops: [history.vestingRatio] };
+  }
+};
+
+/**
+ * Process recorded account history items as the exporter would
+ * @param {Array} items - [index, transaction] pairs as get_account_history returns them
+ * @param {Object} [options] - Export context overrides
+ * @returns {Promise<Object>} - Processed regular and internal rows
+ */
+function processHistory(items, options = {}) {
+  const ctx = { client, account: history.account, gateways: [], rewardTiming: 'claim', ...options };
+  return processTransactionBatch(items.map(([, tx]) => tx), ctx);
+}
+
+/**
+ * The fields of a row the tests check, as
+ * [type, inAmount, inAsset, outAmount, outAsset, feeAmount, feeAsset, counterparty]
+ * @param {Object} row - Normalized transaction
+ * @returns {Array<string>} - Row fields
+ */
+function fields(row) {
+  return [row.type, row.inAmount, row.inAsset, row.outAmount, row.outAsset, row.feeAmount, row.feeAsset, row.counterparty];
+}
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('escrow: sent with the agent fee, agent fee earned, rejected and released funds returned', async () => {
+  const { regular, internal } = await processHistory(history.escrow);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Overføring-Ut', '', '', '10.000', 'HIVE', '0.500', 'HBD', 'seller'],
+    ['Overføring-Ut', '', '', '50.000', 'HBD', '', '', 'seller'],
+    ['Inntekt', '1.000', 'HIVE', '', '', '', '', 'buyer'],
+    ['Overføring-Inn', '5.000', 'HBD', '', '', '', '', ''],
+    ['Overføring-Inn', '0.100', 'HBD', '', '', '', '', ''],
+    ['Inntekt', '25.000', 'HBD', '', '', '', '', 'buyer']
+  ]);
+  assert.match(regular[3].note, /^Escrow #8 .*rejected/);
+  assert.equal(internal.length, 0);
+});
+
+test('fill_convert_request: HBD converted to HIVE is a trade', async () => {
+  const { regular } = await processHistory(history.convert);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Handel', '33.112', 'HIVE', '10.000', 'HBD', '', '', '']
+  ]);
+  assert.equal(regular[0].market, 'Hive Blockchain Conversion');
+});
+
+test('collateralized convert: the HIVE used, not the collateral, is traded for HBD', async () => {
+  const { regular } = await processHistory(history.collateralizedConvert);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Handel', '15.000', 'HBD', '52.100', 'HIVE', '', '', '']
+  ]);
+  assert.match(regular[0].note, /#42 \(requested 2024-03-05 08:00:00 47\.900 HIVE collateral returned\)/);
+});
+
+test('recurrent transfer: a payment is spent, one to an exchange is a deposit there, one received is income', async () => {
+  const { regular } = await processHistory(history.recurrentTransfer);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Forbruk', '', '', '20.000', 'HBD', '', '', 'landlord'],
+    ['Overføring-Ut', '', '', '5.000', 'HIVE', '', '', 'deepcrypto8'],
+    ['Inntekt', '150.000', 'HBD', '', '', '', '', 'employer']
+  ]);
+  assert.equal(regular[0].memo, 'rent');
+  assert.equal(regular[1].market, 'Binance');
+  assert.deepEqual(transactionLedger(regular[2]), [{ asset: 'HBD', balance: 'liquid', amount: '150.000' }]);
+});
+
+test('recurrent transfer: one received from an exchange is a withdrawal from our wallet there', async () => {
+  const { regular } = await processHistory(history.recurrentTransfer.slice(2), { exchanges: { employer: 'Payroll Exchange' } });
+
+  assert.deepEqual(regular.map(fields), [
+    ['Overføring-Inn', '150.000', 'HBD', '', '', '', '', 'employer']
+  ]);
+  assert.equal(regular[0].market, 'Payroll Exchange');
+});
+
+test('account_create, account_create_with_delegation and claim_account: paid creation fees are spent, free claims write nothing', async () => {
+  const { regular } = await processHistory(history.accountCreate);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Forbruk', '', '', '3.000', 'HIVE', '', '', ''],
+    ['Forbruk', '', '', '1.000', 'HIVE', '', '', ''],
+    ['Forbruk', '', '', '3.000', 'HIVE', '', '', '']
+  ]);
+  assert.equal(regular[0].note, 'Account creation fee for newfriend');
+  // The VESTS delegated to the new account stay ours
+  assert.equal(regular[1].note, 'Account creation fee for youngfriend');
+  assert.deepEqual(transactionLedger(regular[1]), [{ asset: 'HIVE', balance: 'liquid', amount: '-1.000' }]);
+  assert.equal(regular[2].note, 'Account creation token claim fee');
+});
+
+test('proposal_fee: the fee for creating a DHF proposal is spent, create_proposal writes nothing', async () => {
+  const { regular, internal } = await processHistory(history.proposalFee);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Forbruk', '', '', '87.000', 'HBD', '', '', 'hive.fund']
+  ]);
+  assert.equal(regular[0].note, 'DHF proposal #300 creation fee');
+  assert.equal(internal.length, 0);
+});
+
+test('power-ups: the VESTS bought come from the completed op, a missing one is warned about and left out', async () => {
+  const warn = test.mock.method(console, 'warn', () => {});
+  const { regular, internal } = await processHistory(history.powerUps);
+
+  assert.equal(regular.length, 0);
+  assert.deepEqual(internal.map(fields), [
+    ['Overføring-Intern', '11.000', 'HIVE', '11.000', 'HIVE', '', '', ''],
+    ['Overføring-Intern', '5.500', 'HIVE', '5.500', 'HIVE', '', '', '']
+  ]);
+  assert.deepEqual(transactionLedger(internal[0]), [
+    { asset: 'HIVE', balance: 'liquid', amount: '-11.000' },
+    { asset: 'VESTS', balance: 'vesting', amount: '20000.000000' }
+  ]);
+  assert.deepEqual(transactionLedger(internal[1]), [{ asset: 'HIVE', balance: 'liquid', amount: '-5.500' }]);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Power-up of 5\.500 HIVE in block 80005300 has no transfer_to_vesting_completed op/);
+});
+
+test('proposal_pay: DHF payments are income from the fund', async () => {
+  const { regular } = await processHistory(history.proposalPay);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Inntekt', '125.500', 'HBD', '', '', '', '', 'hive.fund']
+  ]);
+});
+
+test('author, curation and benefactor rewards: reported when paid out, VESTS as HIVE at the day\'s ratio', async () => {
+  const { regular } = await processHistory(history.rewards, { rewardTiming: 'payout' });
+
+  assert.deepEqual(regular.map(fields), [
+    ['Inntekt', '1.250', 'HBD', '', '', '', '', ''],
+    ['Inntekt', '2.200', 'HIVE', '', '', '', '', ''],
+    ['Inntekt', '0.110', 'HIVE', '', '', '', '', ''],
+    ['Inntekt', '0.500', 'HBD', '', '', '', '', ''],
+    ['Inntekt', '0.550', 'HIVE', '', '', '', '', '']
+  ]);
+  assert.deepEqual(transactionLedger(regular[1]), [{ asset: 'VESTS', balance: 'vesting', amount: '4000.000000' }]);
+  assert.equal(regular[2].note, 'Curation reward: @friend/their-post');
+});
+
+test('author, curation and benefactor rewards: left to the claims by default', async () => {
+  const { regular, internal } = await processHistory(history.rewards);
+
+  assert.equal(regular.length + internal.length, 0);
+});
+
+test('power-down routes: own liquid is internal, auto-vested VESTS routed out and in are HIVE at the day\'s ratio', async () => {
+  const { regular, internal } = await processHistory(history.powerDownRoutes);
+
+  assert.deepEqual(regular.map(fields), [
+    ['Overføring-Ut', '', '', '2.200', 'HIVE', '', '', 'savingsalt'],
+    ['Inntekt', '1.100', 'HIVE', '', '', '', '', 'generous']
+  ]);
+  assert.deepEqual(transactionLedger(regular[0]), [{ asset: 'VESTS', balance: 'vesting', amount: '-4000.000000' }]);
+  assert.deepEqual(transactionLedger(regular[1]), [{ asset: 'VESTS', balance: 'vesting', amount: '2000.000000' }]);
+
+  assert.deepEqual(internal.map(fields), [
+    ['Overføring-Intern', '5.500', 'HIVE', '5.500', 'HIVE', '', '', '']
+  ]);
+  assert.deepEqual(transactionLedger(internal[0]), [
+    { asset: 'VESTS', balance: 'vesting', amount: '-10000.000000' },
+    { asset: 'HIVE', balance: 'liquid', amount: '5.500' }
+  ]);
+});
+
+test('peg transfers: what arrived moves between our wallets, the gateway fee is charged once, the L1 leg leaves L1', async () => {
+  // The Hive-Engine history API answers with the recorded mint of the deposit
+  test.mock.method(axios, 'get', async () => ({ data: history.pegHeHistory }));
+  const { regular, internal } = await processHistory(history.pegs, {
+    gateways: DEFAULT_GATEWAYS,
+    heNodes: ['https://history.example/accountHistory']
+  });
+
+  assert.deepEqual(regular.map(fields), [
+    ['Overføring-Intern', '99.250', 'HIVE', '99.250', 'HIVE', '0.750', 'HIVE', 'honey-swap']
+  ]);
+  assert.deepEqual(transactionLedger(regular[0]), [{ asset: 'HIVE', balance: 'liquid', amount: '-100.000' }]);
+
+  // Without its Hive-Engine leg the withdrawal still brings the L1 amount in
+  assert.deepEqual(internal.map(fields), [
+    ['Overføring-Intern', '20.000', 'HIVE', '20.000', 'HIVE', '', '', 'honey-swap']
+  ]);
+  assert.deepEqual(transactionLedger(internal[0]), [{ asset: 'HIVE', balance: 'liquid', amount: '20.000' }]);
+});
+
+/**
+ * A producer_reward of 2000 VESTS to the account, on its own day so the
+ * ratio cache does not answer for it
+ * @param {string} timestamp - Time of the reward
+ * @param {number} block - Block of the reward
+ * @returns {Object} - Account history transaction
+ */
+function producerReward(timestamp, block) {
+  return {
+    trx_id: '0000000000000000000000000000000000000000',
+    block,
+    trx_in_block: 0,
+    op_in_trx: 0,
+    virtual_op: true,
+    timestamp,
+    op: ['producer_reward', { producer: history.account, vesting_shares: '2000.000000 VESTS' }]
+  };
+}
+
+/**
+ * A power-down payout as enum_virtual_ops returns it
+ * @param {number} block - Block of the payout
+ * @param {string} hive - HIVE paid out, in milli-HIVE
+ * @param {string} vests - VESTS withdrawn, in micro-VESTS
+ * @returns {Object} - Virtual op
+ */
+function powerDown(block, hive, vests) {
+  return {
+    block,
+    op: {
+      type: 'fill_vesting_withdraw_operation',
+      value: {
+        from_account: 'someone',
+        to_account: 'someone',
+        withdrawn: { amount: vests, precision: 6, nai: '@@000000037' },
+        deposited: { amount: hive, precision: 3, nai: '@@000000021' }
+      }
+    }
+  };
+}
+
+test('vesting ratio: taken from the largest conversion before the block, not the nearest', async () => {
+  const ops = [
+    powerDown(80500000, '550000', '1000000000000'),
+    // Rounded to 0.001 HIVE, a tiny power-down would value the VESTS at twice as much
+    powerDown(80500090, '1', '1000000')
+  ];
+  const lookup = { ...client, call: async () => ({ ops }) };
+  const { regular } = await processTransactionBatch([producerReward('2024-05-01T12:00:00', 80500100)], {
+    client: lookup,
+    account: history.account,
+    gateways: []
+  });
+
+  assert.deepEqual(regular.map(fields), [
+    ['Inntekt', '1.100', 'HIVE', '', '', '', '', '']
+  ]);
+});
+
+test('vesting ratio: without a large enough conversion in any window the export fails', async () => {
+  test.mock.method(console, 'error', () => {});
+  const ranges = [];
+  const lookup = {
+    ...client,
+    call: async (api, method, params) => {
+      ranges.push(params.block_range_end - params.block_range_begin);
+      return { ops: [powerDown(80600090, '999', '1800000000')] };
+    }
+  };
+
+  await assert.rejects(
+    processTransactionBatch([producerReward('2024-05-02T12:00:00', 80600100)], { client: lookup, account: history.account, gateways: [] }),
+    /No power-up or power-down of at least 1\.000 HIVE found in the 201600 blocks before block 80600100/
+  );
+  assert.deepEqual(ranges, [101, 1201, 28801, 201601]);
+});
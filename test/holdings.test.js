@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const history = require('./fixtures/l1-history.json');
+const { processTransactionBatch, holdingsOfAccount } = require('../hive_tax_exporter');
+const { processTransactions } = require('../he_tax_exporter');
+const { heldTokenBalances } = require('../lib/he-balances');
+const { balanceChanges } = require('../lib/reconcile');
+const { holdingsFromCurrent } = require('../lib/holdings');
+
+/**
+ * Hive client answering with today's balances and the funds locked in an
+ * open order, a conversion, a collateralized conversion and a savings withdrawal
+ * @returns {Object} - Client
+ */
+function clientWithBalances() {
+  const account = {
+    balance: '100.000 HIVE',
+    hbd_balance: '200.000 HBD',
+    savings_balance: '0.000 HIVE',
+    savings_hbd_balance: '50.000 HBD',
+    vesting_shares: '0.000000 VESTS',
+    reward_hive_balance: '1.000 HIVE',
+    reward_hbd_balance: '0.000 HBD',
+    reward_vesting_balance: '0.000000 VESTS'
+  };
+  const condenser = {
+    get_open_orders: [{ for_sale: 10000, sell_price: { base: '10.000 HIVE', quote: '4.000 HBD' } }],
+    get_conversion_requests: [{ amount: '5.000 HBD' }],
+    get_collateralized_conversion_requests: [{ collateral_amount: '20.000 HIVE', converted_amount: '4.000 HBD' }],
+    get_savings_withdraw_from: [{ amount: '10.000 HBD' }]
+  };
+  return {
+    database: { getAccounts: async () => [account] },
+    call: async (api, method) => {
+      if (api !== 'condenser_api' || !condenser[method]) throw new Error(`unexpected call ${api}.${method}`);
+      return condenser[method];
+    }
+  };
+}
+
+/**
+ * The fields of a holdings line the tests check, as [asset, balance, opening, closing]
+ * @param {Object} line - Holdings line
+ * @returns {Array<string>} - Line fields
+ */
+function fields(line) {
+  return [line.asset, line.balance, line.opening, line.closing];
+}
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('l1: today\'s holdings are rolled back over the rows after and within the period', async () => {
+  const client = clientWithBalances();
+  const options = { startDate: new Date('2024-01-01T00:00:00Z'), endDate: new Date('2024-03-06T00:00:00Z'), rewardTiming: 'claim', gateways: [] };
+  // The escrow is within the period, the recurrent transfers (including the salary received) after it
+  const period = await processTransactionBatch(history.escrow.map(([, tx]) => tx), { client, account: history.account, gateways: [] });
+  const processed = { ...period, dust: [], later: history.recurrentTransfer.map(([, tx]) => tx) };
+
+  const lines = await holdingsOfAccount(client, history.account, processed, options);
+
+  // Locked funds count where the rows still count them: HIVE 100 + 10 in the order + 20 collateral,
+  // HBD 200 + 5 converting - 4 already paid for the collateral, savings 50 + 10 on its way
+  // After the period: 20 HBD rent and 5 HIVE to an exchange paid, 150 HBD salary received
+  // Within it: the escrow took 9 HIVE and 20.400 HBD
+  assert.deepEqual(lines.map(fields), [
+    ['HBD', 'liquid', '91.400', '71.000'],
+    ['HBD', 'savings', '60.000', '60.000'],
+    ['HIVE', 'liquid', '144.000', '135.000']
+  ]);
+});
+
+test('l1: unclaimed rewards are held with --reward-timing payout, as the rows count them when paid', async () => {
+  const client = clientWithBalances();
+  const options = { startDate: new Date('2024-01-01T00:00:00Z'), endDate: new Date('2024-03-06T00:00:00Z'), rewardTiming: 'payout', gateways: [] };
+  const processed = { regular: [], internal: [], dust: [], later: [] };
+
+  const lines = await holdingsOfAccount(client, history.account, processed, options);
+
+  assert.deepEqual(lines.find(line => line.asset === 'HIVE').closing, '131.000');
+});
+
+test('he: open orders keep their tokens liquid, and staking rows move them back between balances', () => {
+  const balances = [
+    { symbol: 'LEO', balance: '5', stake: '10', delegationsOut: '2', pendingUndelegations: '1' },
+    { symbol: 'SWAP.HIVE', balance: '1.5' }
+  ];
+  const orders = {
+    buy: [{ symbol: 'LEO', quantity: '4', price: '0.5', tokensLocked: '2' }],
+    sell: [{ symbol: 'LEO', quantity: '3', price: '0.6' }]
+  };
+  const ctx = { account: 'taxpayer', gateways: [], exchanges: {}, precisions: new Map([['LEO', 3], ['SWAP.HIVE', 8]]) };
+  const later = processTransactions([
+    { operation: 'tokens_stake', transactionId: 'stake1', timestamp: 1720000000, symbol: 'LEO', from: 'taxpayer', to: 'taxpayer', quantity: '4' }
+  ], ctx);
+  const period = processTransactions([
+    { operation: 'tokens_transfer', transactionId: 'gift1', timestamp: 1710000000, symbol: 'LEO', from: 'friend', to: 'taxpayer', quantity: '12' }
+  ], ctx);
+  const changes = {
+    later: balanceChanges([...later.trades, ...later.rewards, ...later.internal]),
+    period: balanceChanges([...period.trades, ...period.rewards, ...period.internal])
+  };
+
+  const lines = holdingsFromCurrent('taxpayer', heldTokenBalances(balances, orders), changes, sym => ctx.precisions.get(sym));
+
+  assert.deepEqual(lines.map(fields), [
+    ['LEO', 'delegated', '3.000', '3.000'],
+    ['LEO', 'liquid', '0.000', '12.000'],
+    ['LEO', 'staked', '6.000', '6.000'],
+    ['SWAP.HIVE', 'liquid', '3.50000000', '3.50000000']
+  ]);
+});
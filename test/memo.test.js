@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Memo, PrivateKey } = require('@hiveio/dhive');
+const { MEMO_KEY_ENV, ENCRYPTED_MEMO_MARKER, isEncryptedMemo, loadMemoKeys, MemoReader } = require('../lib/memo');
+
+// Memo keys of both sides of a transfer, and one that belongs to neither
+const taxpayerKey = PrivateKey.fromSeed('taxpayer-memo');
+const landlordKey = PrivateKey.fromSeed('landlord-memo');
+const strangerKey = PrivateKey.fromSeed('stranger-memo');
+
+const encrypted = Memo.encode(taxpayerKey, landlordKey.createPublic(), '#rent for March');
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('isEncryptedMemo: long base58 text after "#" only', () => {
+  assert.equal(isEncryptedMemo(encrypted), true);
+  assert.equal(isEncryptedMemo('#hive'), false);
+  assert.equal(isEncryptedMemo('rent for March'), false);
+  assert.equal(isEncryptedMemo(`${encrypted.substring(0, 60)}0OIl`), false);
+  assert.equal(isEncryptedMemo(undefined), false);
+});
+
+test('loadMemoKeys: keys from the environment and a key file; a bad key fails without showing it', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-memo-'));
+  try {
+    const keyFile = path.join(dir, 'memo.key');
+    fs.writeFileSync(keyFile, `${landlordKey.toString()}\r\n\r\n`);
+
+    const keys = loadMemoKeys(keyFile, { [MEMO_KEY_ENV]: ` ${taxpayerKey.toString()} ,` });
+    assert.deepEqual(keys.map(key => key.toString()), [taxpayerKey.toString(), landlordKey.toString()]);
+    assert.deepEqual(loadMemoKeys(undefined, {}), []);
+
+    fs.writeFileSync(keyFile, `${landlordKey.toString()}\n5Jnotakey\n`);
+    assert.throws(() => loadMemoKeys(keyFile, {}), error => {
+      assert.equal(error.message, `${keyFile}: key 2 is not a valid private memo key`);
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('MemoReader: decrypts with either side\'s key, hides what no key fits, and reports both', () => {
+  test.mock.method(console, 'log', () => {});
+
+  const reader = new MemoReader([strangerKey, landlordKey]);
+  assert.equal(reader.read(encrypted), 'rent for March');
+  assert.equal(new MemoReader([taxpayerKey]).read(encrypted), 'rent for March');
+  assert.equal(reader.read('plain memo'), 'plain memo');
+  assert.equal(reader.read(undefined), '');
+
+  const locked = new MemoReader([strangerKey]);
+  assert.equal(locked.read(encrypted), ENCRYPTED_MEMO_MARKER);
+  assert.equal(new MemoReader().read(encrypted), ENCRYPTED_MEMO_MARKER);
+
+  reader.report('taxpayer');
+  locked.report('taxpayer');
+  new MemoReader().report('taxpayer');
+  assert.deepEqual(console.log.mock.calls.map(call => call.arguments[0]), [
+    '✓ taxpayer: decrypted 1 encrypted memo',
+    `taxpayer: 1 encrypted memo written as ${ENCRYPTED_MEMO_MARKER} (none of the memo keys given fit them)`
+  ]);
+});
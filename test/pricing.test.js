@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const axios = require('axios');
+const { CsvPriceSource, HiveMarketPriceSource, HeMarketPriceSource, PriceOracle, valueRows } = require('../lib/pricing');
+
+const PRICE_FILE = path.join(__dirname, 'fixtures', 'prices.csv');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('csv: a day without a rate falls back to the last earlier one, at most five days back', async () => {
+  const source = new CsvPriceSource(PRICE_FILE);
+
+  assert.deepEqual(await source.getPrice('USD', '2024-03-02'), { price: 10.5, currency: 'NOK' });
+  assert.deepEqual(await source.getPrice('USD', '2024-03-04'), { price: 10.6, currency: 'NOK' });
+  assert.deepEqual(await source.getPrice('USD', '2024-03-09'), { price: 10.6, currency: 'NOK' });
+  assert.equal(await source.getPrice('USD', '2024-03-10'), null);
+  assert.equal(await source.getPrice('USD', '2024-02-29'), null);
+});
+
+test('oracle: quotes are converted through their currency until the target is reached', async () => {
+  // A Hive-Engine token priced in HIVE, HIVE in USD, USD in NOK
+  const tokens = { name: 'tokens', getPrice: async asset => (asset === 'BEE' ? { price: 0.5, currency: 'HIVE' } : null) };
+  const oracle = new PriceOracle([new CsvPriceSource(PRICE_FILE), tokens], 'NOK');
+
+  assert.equal(await oracle.getPrice('NOK', '2024-03-02'), 1);
+  assert.equal(await oracle.getPrice('USD', '2024-03-02'), 10.5);
+  assert.equal((await oracle.getPrice('HIVE', '2024-03-02')).toFixed(4), '4.4100');
+  assert.equal((await oracle.getPrice('BEE', '2024-03-02')).toFixed(4), '2.2050');
+  assert.equal((await oracle.value('10', 'BEE', '2024-03-02 18:30:00')).toFixed(2), '22.05');
+});
+
+test('oracle: a failing source is skipped and unresolved prices are reported by day', async () => {
+  const broken = { name: 'broken', getPrice: async () => { throw new Error('timeout'); } };
+  const oracle = new PriceOracle([broken, new CsvPriceSource(PRICE_FILE)], 'NOK');
+
+  assert.equal((await oracle.getPrice('HIVE', '2024-03-01')).toFixed(3), '4.200');
+  assert.equal(await oracle.getPrice('LEO', '2024-03-04'), null);
+  assert.equal(await oracle.getPrice('HBD', '2024-03-01'), null);
+  assert.deepEqual(oracle.getMissing(), [
+    { asset: 'HBD', day: '2024-03-01' },
+    { asset: 'LEO', day: '2024-03-04' }
+  ]);
+});
+
+test('valueRows: a row is worth what came in, or what went out when nothing came in', async () => {
+  const oracle = new PriceOracle([new CsvPriceSource(PRICE_FILE)], 'USD');
+  const rows = [
+    { timestamp: '2024-03-01 10:00:00', in: { amount: '100', asset: 'HIVE' }, out: { amount: '', asset: '' } },
+    { timestamp: '2024-03-04 10:00:00', in: { amount: '', asset: '' }, out: { amount: '50', asset: 'HIVE' } },
+    { timestamp: '2024-03-04 10:00:00', in: { amount: '5', asset: 'LEO' }, out: { amount: '', asset: '' } }
+  ];
+
+  const unvalued = await valueRows(rows, oracle, row => ({ in: row.in, out: row.out, fee: null }));
+
+  assert.equal(unvalued, 1);
+  assert.deepEqual(rows.map(row => [row.value, row.valueCurrency]), [['40.00', 'USD'], ['19.00', 'USD'], ['', '']]);
+});
+
+test('hive-market: HIVE is the median fill price of the day in HBD, HBD its USD peg', async () => {
+  const calls = [];
+  const client = {
+    call: async (api, method) => {
+      calls.push(method);
+      return [
+        { date: '2024-03-01T01:00:00', current_pays: '10.000 HIVE', open_pays: '4.000 HBD' },
+        { date: '2024-03-01T02:00:00', current_pays: '1.000 HBD', open_pays: '2.000 HIVE' },
+        { date: '2024-03-01T03:00:00', current_pays: '30.000 HIVE', open_pays: '12.600 HBD' }
+      ];
+    }
+  };
+  const source = new HiveMarketPriceSource(client);
+
+  assert.deepEqual(await source.getPrice('HIVE', '2024-03-01'), { price: 0.42, currency: 'USD' });
+  assert.deepEqual(await source.getPrice('HIVE', '2024-03-01'), { price: 0.42, currency: 'USD' });
+  assert.deepEqual(await source.getPrice('HBD', '2024-03-01'), { price: 1, currency: 'USD' });
+  assert.equal(await source.getPrice('LEO', '2024-03-01'), null);
+  assert.deepEqual(calls, ['get_trade_history']);
+});
+
+test('he-market: a token is priced in HIVE at the day\'s volume-weighted price', async () => {
+  const get = test.mock.method(axios, 'get', async () => ({
+    data: [
+      { timestamp: 1709251200, volumeHive: '30', volumeToken: '100', closePrice: '0.5' },
+      { timestamp: 1709337600, volumeHive: '0', volumeToken: '0', closePrice: '0.25' }
+    ]
+  }));
+  const source = new HeMarketPriceSource(new Date('2024-03-01T00:00:00Z'), new Date('2024-04-01T00:00:00Z'), 'https://market.example/marketHistory');
+
+  assert.deepEqual(await source.getPrice('LEO', '2024-03-01'), { price: 0.3, currency: 'HIVE' });
+  assert.deepEqual(await source.getPrice('LEO', '2024-03-04'), { price: 0.25, currency: 'HIVE' });
+  assert.equal(await source.getPrice('SWAP.HIVE', '2024-03-01'), null);
+  assert.equal(get.mock.callCount(), 1);
+  assert.equal(get.mock.calls[0].arguments[1].params.timestampStart, 1709251200 - 5 * 86400);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProfile, profileLines } = require('../lib/profiles');
+const { createTransaction } = require('../lib/transaction');
+
+// A peg deposit: 100 HIVE sent, 99.25 arrived on Hive-Engine, 0.75 gateway fee
+const pegRow = createTransaction({
+  timestamp: '2024-03-10 12:00:00',
+  type: 'Overføring-Intern',
+  inAmount: '99.25',
+  inAsset: 'HIVE',
+  outAmount: '99.25',
+  outAsset: 'HIVE',
+  feeAmount: '0.75',
+  feeAsset: 'HIVE',
+  note: 'Peg deposit to Hive-Engine via honey-swap',
+  txid: '2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d'
+});
+
+/**
+ * Lines of a profile as header-keyed objects
+ * @param {string} name - Profile name
+ * @param {Array<Object>} rows - Rows to write
+ * @returns {Object} - { lines, skipped }
+ */
+function linesOf(name, rows) {
+  const { header, lines, skipped } = profileLines(getProfile(name), rows, false);
+  return { lines: lines.map(line => Object.fromEntries(header.map((column, index) => [column, line[index]]))), skipped };
+}
+
+test('koinly: an internal move is an unlabelled transfer with its fee', () => {
+  const { lines, skipped } = linesOf('koinly', [pegRow]);
+
+  assert.deepEqual(skipped, {});
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0]['Label'], '');
+  assert.equal(lines[0]['Sent Amount'], '99.25');
+  assert.equal(lines[0]['Received Amount'], '99.25');
+  assert.equal(lines[0]['Fee Amount'], '0.75');
+});
+
+test('cointracker: an internal move is an untagged transfer with its fee', () => {
+  const { lines, skipped } = linesOf('cointracker', [pegRow]);
+
+  assert.deepEqual(skipped, {});
+  assert.deepEqual(lines.map(line => [line['Tag'], line['Sent Quantity'], line['Received Quantity'], line['Fee Amount']]), [
+    ['', '99.25', '99.25', '0.75']
+  ]);
+});
+
+test('cointracking: an internal move is a withdrawal carrying the fee and a deposit', () => {
+  const { lines, skipped } = linesOf('cointracking', [pegRow]);
+
+  assert.deepEqual(skipped, {});
+  assert.deepEqual(lines.map(line => [line['Type'], line['Buy Amount'], line['Sell Amount'], line['Fee'], line['Date']]), [
+    ['Withdrawal', '', '99.25', '0.75', '10.03.2024 12:00:00'],
+    ['Deposit', '99.25', '', '', '10.03.2024 12:00:00']
+  ]);
+});
+
+test('accointing: an internal move is a withdraw carrying the fee and a deposit', () => {
+  const { lines, skipped } = linesOf('accointing', [pegRow]);
+
+  assert.deepEqual(skipped, {});
+  assert.deepEqual(lines.map(line => [line['transactionType'], line['inBuyAmount'], line['outSellAmount'], line['feeAmount (optional)']]), [
+    ['withdraw', '', '99.25', '0.75'],
+    ['deposit', '99.25', '', '']
+  ]);
+});
+
+test('cointracking: fills of a Hive-Engine market order share its id as trade group', () => {
+  const order = { id: '8f0e4c2a1b3d5e7f9a0b1c2d3e4f5a6b7c8d9e0f' };
+  const fill = (quantity, txid) => createTransaction({
+    timestamp: '2024-03-11 09:30:00',
+    type: 'Handel',
+    inAmount: quantity,
+    inAsset: 'BEE',
+    outAmount: '1.00000000',
+    outAsset: 'HIVE',
+    txid
+  });
+  const rows = [
+    { ...fill('4.000', order.id), order },
+    { ...fill('3.500', '1f2e3d4c5b6a79881726354453627180a9b8c7d6'), order },
+    fill('2.000', '0a1b2c3d4e5f60718293a4b5c6d7e8f901234567')
+  ];
+
+  assert.deepEqual(linesOf('cointracking', rows).lines.map(line => line['Trade-Group']), [order.id, order.id, '']);
+});
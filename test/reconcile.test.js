@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const history = require('./fixtures/l1-history.json');
+const { processTransactionBatch } = require('../hive_tax_exporter');
+const { balanceKey, balanceChanges, reconcileBalances } = require('../lib/reconcile');
+const { DEFAULT_GATEWAYS } = require('../lib/peg');
+const { l1Precision } = require('../lib/decimal');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('a period with peg transfers and a recurrent payment received reconciles to zero', async () => {
+  // The deposit's Hive-Engine leg is found (with a gateway fee), the withdrawal's is not
+  test.mock.method(axios, 'get', async () => ({ data: history.pegHeHistory }));
+  const salary = history.recurrentTransfer.filter(([, tx]) => tx.op[1].to === history.account);
+  const processed = await processTransactionBatch([...history.pegs, ...salary].map(([, tx]) => tx), {
+    account: history.account,
+    gateways: DEFAULT_GATEWAYS,
+    heNodes: ['https://history.example/accountHistory']
+  });
+
+  // On L1 the deposit sent 100.000 HIVE and the withdrawal brought in 20.000;
+  // the recurrent salary brought in 150.000 HBD
+  const opening = new Map([[balanceKey('HIVE', 'liquid'), '500.000'], [balanceKey('HBD', 'liquid'), '10.000']]);
+  const actual = new Map([[balanceKey('HIVE', 'liquid'), '420.000'], [balanceKey('HBD', 'liquid'), '160.000']]);
+  const rows = [...processed.regular, ...processed.internal];
+  const lines = reconcileBalances(history.account, balanceChanges(rows), { opening, actual }, l1Precision);
+
+  assert.deepEqual(lines.map(({ asset, balance, change, difference, note }) => ({ asset, balance, change, difference, note })), [
+    { asset: 'HBD', balance: 'liquid', change: '150.000', difference: '0.000', note: 'reconciled' },
+    { asset: 'HIVE', balance: 'liquid', change: '-80.000', difference: '0.000', note: 'reconciled' }
+  ]);
+});
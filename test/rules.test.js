@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readRules, matchesRule, applyRules, writeRuleReport } = require('../lib/rules');
+const { DEFAULT_CSV_FORMAT, readCsvFile } = require('../lib/csv');
+const { createTransaction } = require('../lib/transaction');
+
+let dir;
+
+/**
+ * Write rules to a file and read them back
+ * @param {*} rules - File content, serialized as JSON unless it is a string
+ * @returns {Array<Object>} - Compiled rules
+ */
+function rulesOf(rules) {
+  const filename = path.join(dir, 'rules.json');
+  fs.writeFileSync(filename, typeof rules === 'string' ? rules : JSON.stringify(rules));
+  return readRules(filename);
+}
+
+/**
+ * An outgoing HIVE transfer of the taxpayer
+ * @param {Object} [fields] - Overrides
+ * @returns {Object} - Normalized transaction
+ */
+function transfer(fields = {}) {
+  return createTransaction({
+    chain: 'hive',
+    timestamp: '2024-03-01 10:00:00',
+    type: 'Overføring-Ut',
+    outAmount: '250.000',
+    outAsset: 'HIVE',
+    opType: 'transfer',
+    txid: 'abc123',
+    note: 'transfer to deepcrypto8',
+    memo: 'deposit 104c6e2d',
+    counterparty: 'deepcrypto8',
+    ...fields
+  });
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-tax-rules-'));
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('readRules: malformed files and rules are rejected with the rule they are in', () => {
+  assert.throws(() => rulesOf('{ not json'), /rules\.json: /);
+  assert.throws(() => rulesOf({ match: {}, set: {} }), /expected a list of rules/);
+  assert.throws(() => rulesOf([{ name: 'no set', match: {} }]), /rule 1 \(no set\) needs a "match" and a "set" object/);
+  assert.throws(() => rulesOf([{ match: { wallet: 'x' }, set: { note: 'x' } }]), /cannot match on "wallet"/);
+  assert.throws(() => rulesOf([{ match: {}, set: { value: '1' } }]), /cannot set "value"/);
+  assert.throws(() => rulesOf([{ match: {}, set: {} }]), /"set" is empty/);
+  assert.throws(() => rulesOf([{ match: {}, set: { type: 'Overføring' } }]), /"Overføring" is not a row type, use .*Overføring-Ut/);
+  assert.throws(() => rulesOf([{ match: { direction: 'both' }, set: { note: 'x' } }]), /direction must be "in" or "out"/);
+  assert.throws(() => rulesOf([{ match: { minAmount: '-1' }, set: { note: 'x' } }]), /minAmount must be an amount/);
+  assert.throws(() => rulesOf([{ match: {}, set: { note: 'x' } }, { match: { memo: '(' }, set: { note: 'x' } }]), /rule 2: memo is not a valid regular expression/);
+});
+
+test('matchesRule: every given condition must hold; lists, patterns and amount bounds', () => {
+  const row = transfer();
+  const rule = match => rulesOf([{ match, set: { note: 'x' } }])[0];
+
+  assert.equal(matchesRule(rule({}), row), true);
+  assert.equal(matchesRule(rule({ counterparty: ['binance-hot', 'deepcrypto8'], direction: 'out', asset: 'HIVE' }), row), true);
+  assert.equal(matchesRule(rule({ counterparty: 'deepcrypto8', direction: 'in' }), row), false);
+  assert.equal(matchesRule(rule({ memo: '^DEPOSIT', note: 'deepcrypto' }), row), true);
+  assert.equal(matchesRule(rule({ memo: 'salary' }), row), false);
+  assert.equal(matchesRule(rule({ minAmount: '250', maxAmount: '250.000' }), row), true);
+  assert.equal(matchesRule(rule({ minAmount: '250.001' }), row), false);
+  assert.equal(matchesRule(rule({ maxAmount: '100' }), row), false);
+  assert.equal(matchesRule(rule({ chain: 'hive-engine' }), row), false);
+  // A trade has no direction, so it never matches one
+  assert.equal(matchesRule(rule({ direction: 'out' }), transfer({ type: 'Handel', inAmount: '10.000', inAsset: 'HBD' })), false);
+});
+
+test('applyRules: the first matching rule sets type, category, note and market', () => {
+  const rules = rulesOf([
+    { name: 'Binance deposits', match: { counterparty: 'deepcrypto8' }, set: { type: 'Overføring-Intern', note: 'to Binance: {note} ({memo}, {counterparty})', market: 'Binance' } },
+    { name: 'Everything else', match: {}, set: { note: 'never reached' } }
+  ]);
+  const rows = [transfer(), transfer({ counterparty: 'landlord', note: 'rent', memo: '' })];
+
+  const hits = applyRules(rows, rules);
+
+  assert.deepEqual(hits.map(hit => [hit.rule.name, hit.previousType]), [['Binance deposits', 'Overføring-Ut'], ['Everything else', 'Overføring-Ut']]);
+  assert.equal(rows[0].type, 'Overføring-Intern');
+  assert.equal(rows[0].category, 'internal');
+  assert.equal(rows[0].market, 'Binance');
+  assert.equal(rows[0].note, 'to Binance: transfer to deepcrypto8 (deposit 104c6e2d, deepcrypto8)');
+  assert.equal(rows[1].type, 'Overføring-Ut');
+  assert.equal(rows[1].note, 'never reached');
+});
+
+test('writeRuleReport: one line per changed row, and how often each rule hit', () => {
+  test.mock.method(console, 'log', () => {});
+  const rules = rulesOf([
+    { name: 'Binance deposits', match: { counterparty: 'deepcrypto8' }, set: { type: 'Overføring-Intern' } },
+    { name: 'Vendor', match: { counterparty: 'shop' }, set: { type: 'Forbruk' } }
+  ]);
+  const hits = applyRules([transfer()], rules);
+  const filename = path.join(dir, 'rules.csv');
+
+  writeRuleReport(filename, hits, rules, DEFAULT_CSV_FORMAT);
+
+  const [line] = readCsvFile(filename);
+  assert.deepEqual([line.txid, line.amount, line.asset, line.rule, line.previous_type, line.type], ['abc123', '250.000', 'HIVE', 'Binance deposits', 'Overføring-Ut', 'Overføring-Intern']);
+  assert.deepEqual(console.log.mock.calls.slice(1).map(call => call.arguments[0]), ['✓ Binance deposits: 1 row', 'Vendor: no rows']);
+});